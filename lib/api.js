@@ -0,0 +1,1053 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Programmatic API for awsboxen.
+ *
+ * This module lets you drive awsboxen from other node programs, such as a
+ * deployment service.  Create a client with createClient() and call its
+ * methods, each of which returns a promise for the result of the command.
+ * The client is an EventEmitter, which reports the progress of each command
+ * as 'progress' events; see the progress module for the details.
+ *
+ * The awsboxen command-line client is just one consumer of this API.
+ *
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+const async = require('async');
+const semver = require('semver');
+
+const opts = require('./opts');
+const template = require('./template');
+const freezer = require('./freezer');
+const cfn = require('./cfn');
+const git = require('./git');
+const templateDiff = require('./diff');
+const plan = require('./plan');
+const progress = require('./progress');
+const stackStatus = require('./status');
+const scaffold = require('./scaffold');
+const boxenImages = require('./images');
+const artifact = require('./artifact');
+const config = require('./config');
+const linter = require('./linter');
+const graph = require('./graph');
+const explain = require('./explain');
+const costEstimate = require('./estimate');
+const completion = require('./completion');
+const USAGE = require('./usage').USAGE;
+const formatOutputs = require('./outputs').formatOutputs;
+
+
+// Name of the generated Mappings table giving AMI ids in each region.
+const AMI_MAPPING_NAME = 'AWSBoxenAMIs';
+
+// Commands that work entirely offline, and so don't need AWS credentials,
+// unless they're asked to look at a deployed stack.
+const OFFLINE_COMMANDS = ['init', 'lint', 'graph', 'estimate', 'completion',
+                          'complete'];
+
+
+module.exports = {
+  AWSBoxen: AWSBoxen,
+  createClient: createClient,
+  _getDisplayName: getDisplayName
+};
+
+
+// Try to parse the current version number out of the package.json file.
+//
+module.exports.version = null;
+(function() {
+  var packageJsonPath = path.resolve(__dirname, '..', 'package.json');
+  try {
+    var packageJson = fs.readFileSync(packageJsonPath);
+    var packageData = JSON.parse(packageJson);
+    module.exports.version = packageData.version;
+  } catch (e) {}
+})();
+
+
+
+//  Create a new client for the awsboxen API.
+//  The given options are used as defaults for every command run by the
+//  client, and may use any of the keys accepted by opts.getOptions().
+//
+function createClient(options) {
+  return new AWSBoxen(options);
+}
+
+
+//  A client for the awsboxen API.
+//
+//  The main entry-point is the run() method, which runs the named command
+//  with the given options.  There are also convenience methods for the most
+//  commonly-used commands.  Each returns a promise, which is rejected with
+//  an Error if the command fails.
+//
+function AWSBoxen(options) {
+  EventEmitter.call(this);
+  this.options = options || {};
+}
+util.inherits(AWSBoxen, EventEmitter);
+
+
+//  Run the named command, with the given options merged over those of
+//  the client.  Options are normalized by opts.getOptions(), with any
+//  AWS credentials not given in the options taken from the environment.
+//
+AWSBoxen.prototype.run = function run(command, options) {
+  var self = this;
+  var merged = {};
+  [this.options, options || {}].forEach(function(o) {
+    Object.keys(o).forEach(function(k) {
+      merged[k] = o[k];
+    });
+  });
+  return new Promise(function(resolve, reject) {
+    opts.getOptions(merged, process.env, function(err, opts) {
+      if (err) return reject(makeError(err));
+      resolve(self.execute(command, opts));
+    });
+  });
+};
+
+
+//  Run the named command with an already-normalized options hash, as
+//  produced by opts.getOptions().
+//
+AWSBoxen.prototype.execute = function execute(command, opts) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    if (!module.exports.commands.hasOwnProperty(command)) {
+      return reject(new Error('unknown command: ' + command));
+    }
+    if (OFFLINE_COMMANDS.indexOf(command) === -1 || opts.stack_name) {
+      if (!opts.aws_id) {
+        return reject(makeError('could not determine AWS_ID'));
+      }
+      if (!opts.aws_secret) {
+        return reject(makeError('could not determine AWS_SECRET'));
+      }
+    }
+    opts.emitter = self;
+    module.exports.commands[command](opts, function(err, res) {
+      if (err) return reject(makeError(err));
+      resolve(res);
+    });
+  });
+};
+
+
+//  Deploy the project into the named stack.
+//
+AWSBoxen.prototype.deploy = function deploy(stackName, options) {
+  return this.run('deploy', withKey(options, 'stack_name', stackName));
+};
+
+
+//  Freeze the named Boxen into AMIs, or all of them if none are named.
+//
+AWSBoxen.prototype.freeze = function freeze(boxen, options) {
+  return this.run('freeze', withKey(options, 'boxen', boxen || []));
+};
+
+
+//  Tear down the named stack.
+//
+AWSBoxen.prototype.teardown = function teardown(stackName, options) {
+  return this.run('teardown', withKey(options, 'stack_name', stackName));
+};
+
+
+//  Get information about the named stack, or a resource within it.
+//
+AWSBoxen.prototype.info = function info(stackName, resourceName, options) {
+  if (typeof resourceName === 'object' && resourceName !== null) {
+    options = resourceName;
+    resourceName = null;
+  }
+  options = withKey(options, 'stack_name', stackName);
+  return this.run('info', withKey(options, 'resource_name', resourceName));
+};
+
+
+//  List the names of all current stacks.
+//
+AWSBoxen.prototype.list = function list(options) {
+  return this.run('list', options).then(function(res) {
+    return res.stacks;
+  });
+};
+
+
+// Helper function to copy an options hash, with the given key added.
+//
+function withKey(options, key, value) {
+  var res = {};
+  Object.keys(options || {}).forEach(function(k) {
+    res[k] = options[k];
+  });
+  res[key] = value;
+  return res;
+}
+
+
+// Helper function to turn the error reported by a command into an Error.
+// Most of our errors are strings or error objects from AWS, which are kept
+// in the 'details' property for closer inspection.
+//
+function makeError(err) {
+  if (err instanceof Error) return err;
+  var msg = typeof err === 'string' ? err : JSON.stringify(err);
+  var error = new Error(msg);
+  error.details = err;
+  return error;
+}
+
+
+// The individual commands that can be run through the API or the CLI.
+//
+// Each command is called with a normalized options hash as produced by
+// opts.getOptions(), and reports its result to the callback rather than
+// printing it.  Progress information is reported as the command runs.
+//
+module.exports.commands = {
+
+  init: function init(opts, cb) {
+    scaffold.initConfig(opts.project_dir, cb);
+  },
+
+  showconfig: function showconfig(opts, cb) {
+    opts.ignore_uncommitted = true;
+    withProjectDir(opts, function(projDir, cb) {
+      loadAndCheckConfig(projDir, opts, function(err, cfg, regions) {
+        if (err) return cb(err);
+        addStubAMIParameters(cfg, regions);
+        if (opts.explain) {
+          return cb(null, explain.explainConfig(cfg, projDir));
+        }
+        cb(null, cfg);
+      });
+    }, cb);
+  },
+
+  validate: function validate(opts, cb) {
+    opts.ignore_uncommitted = true;
+    withProjectDir(opts, function(projDir, cb) {
+      loadAndCheckConfig(projDir, opts, function(err, cfg, regions) {
+        if (err) return cb(err);
+        addStubAMIParameters(cfg, regions);
+        delete cfg.AWSBoxenVersion;
+        delete cfg.Boxen;
+        delete cfg.Regions;
+        cfn.validateTemplate(opts, cfg, function(err) {
+          if (err) return cb(err);
+          return cb(null, { valid: true });
+        });
+      });
+    }, cb);
+  },
+
+  lint: function lint(opts, cb) {
+    opts.ignore_uncommitted = true;
+    opts.offline = true;
+    withProjectDir(opts, function(projDir, cb) {
+      loadAndCheckConfig(projDir, opts, function(err, cfg, regions) {
+        if (err) return cb(err);
+        addStubAMIParameters(cfg, regions);
+        var problems = linter.lintTemplate(cfg);
+        addProblemSources(projDir, cfg, problems);
+        var errors = problems.filter(function(problem) {
+          return problem.level === 'error';
+        });
+        cb(null, { valid: errors.length === 0, problems: problems });
+      });
+    }, cb);
+  },
+
+  graph: function graphCommand(opts, cb) {
+    opts.ignore_uncommitted = true;
+    opts.offline = true;
+    withProjectDir(opts, function(projDir, cb) {
+      loadGraph(projDir, opts, function(err, profileGraph) {
+        if (err) return cb(err);
+        if (!opts.profile_explicit || opts.profile === 'Default') {
+          return cb(null, profileGraph);
+        }
+        // Show how the selected profile changes the default topology.
+        var baseOpts = withKey(opts, 'profile', 'Default');
+        loadGraph(projDir, baseOpts, function(err, baseGraph) {
+          if (err) return cb(err);
+          cb(null, graph.diffGraphs(baseGraph, profileGraph));
+        });
+      });
+    }, cb);
+  },
+
+  estimate: function estimate(opts, cb) {
+    opts.ignore_uncommitted = true;
+    opts.offline = true;
+    if (opts.stack_name && opts.compare_profile) {
+      return cb('cannot compare against both a stack and a profile');
+    }
+    var res = { pricesUpdated: null, estimates: [] };
+    withProjectDir(opts, function(projDir, cb) {
+      async.waterfall([
+        function loadThePrices(cb) {
+          costEstimate.loadPrices(opts.price_file, cb);
+        },
+        // Estimate the selected profile, and any profile to compare it to.
+        function estimateProfiles(prices, cb) {
+          res.pricesUpdated = prices.Updated;
+          var profiles = [opts.profile];
+          if (opts.compare_profile) profiles.unshift(opts.compare_profile);
+          async.mapSeries(profiles, function(profile, cb) {
+            var profileOpts = withKey(opts, 'profile', profile);
+            estimateProfile(projDir, profileOpts, prices, cb);
+          }, function(err, estimates) {
+            return cb(err, prices, estimates);
+          });
+        },
+        // Estimate the deployed stack, if we're comparing against it.
+        function estimateDeployed(prices, estimates, cb) {
+          res.estimates = estimates;
+          if (!opts.stack_name) return cb(null);
+          cfn.getDeployedTemplate(opts, function(err, deployed) {
+            if (err) return cb(err);
+            if (!deployed) return cb('no such stack: ' + opts.stack_name);
+            var regions = [{
+              name: opts.aws_region,
+              paramValues: deployed.parameters
+            }];
+            var est = costEstimate.estimateCost(deployed.template, prices,
+                                                regions);
+            est.label = 'stack ' + opts.stack_name + ' (deployed)';
+            res.estimates.unshift(est);
+            cb(null);
+          });
+        }
+      ], function(err) {
+        if (err) return cb(err);
+        if (res.estimates.length > 1) {
+          res.difference = costEstimate.compareEstimates(res.estimates[0],
+                                                         res.estimates[1]);
+        }
+        cb(null, res);
+      });
+    }, cb);
+  },
+
+  diff: function diff(opts, cb) {
+    opts.ignore_uncommitted = true;
+    async.waterfall([
+      // Load the selected configuration.
+      function loadTheConfig(cb) {
+        loadAndCheckConfig(opts.project_dir, opts, cb);
+      },
+      // Fetch the template and parameters of the deployed stack.
+      // If there's no such stack, compare against an empty template.
+      function fetchDeployedTemplate(cfg, regions, cb) {
+        cfn.getDeployedTemplate(opts, function(err, deployed) {
+          if (err) return cb(err);
+          if (!deployed) {
+            progress.log(opts, 'Stack ' + opts.stack_name + ' does not ' +
+                         'exist; everything would be created.');
+            deployed = { template: {}, parameters: {} };
+          } else {
+            // A deploy would record the commit that's currently deployed.
+            template.setPreviousCommit(cfg, deployed.parameters);
+          }
+          cb(null, cfg, regions, deployed);
+        });
+      },
+      // Compare the two, both in structure and in parameter values.
+      // We can't know the AMI ids without freezing the Boxen, so those
+      // are assumed to be the same as in the deployed stack, in each of
+      // the regions in its mapping of AMI ids.
+      function compareTemplates(cfg, regions, deployed, cb) {
+        var amiIds = {};
+        Object.keys(cfg.Boxen).forEach(function(boxName) {
+          var paramName = boxName + 'AMI';
+          if (deployed.parameters.hasOwnProperty(paramName)) {
+            amiIds[boxName] = deployed.parameters[paramName];
+          }
+        });
+        addStubAMIParameters(cfg, regions, amiIds);
+        var mapping = (cfg.Mappings || {})[AMI_MAPPING_NAME] || {};
+        var deployedMappings = deployed.template.Mappings || {};
+        var deployedMapping = deployedMappings[AMI_MAPPING_NAME] || {};
+        Object.keys(mapping).forEach(function(regionName) {
+          var deployedIds = deployedMapping[regionName] || {};
+          Object.keys(mapping[regionName]).forEach(function(paramName) {
+            if (deployedIds.hasOwnProperty(paramName)) {
+              mapping[regionName][paramName] = deployedIds[paramName];
+            }
+          });
+        });
+        delete cfg.AWSBoxenVersion;
+        delete cfg.Boxen;
+        delete cfg.Regions;
+        // AWS won't tell us the values of NoEcho parameters, so those
+        // are left out of the comparison.
+        var deployedParams = deployed.template.Parameters || {};
+        var oldValues = {};
+        var newValues = {};
+        Object.keys(cfg.Parameters).forEach(function(name) {
+          if (!isNoEcho(cfg.Parameters[name])) {
+            newValues[name] = template.resolveParam(name, opts, cfg);
+          }
+        });
+        Object.keys(deployed.parameters).forEach(function(name) {
+          if (!isNoEcho(deployedParams[name]) &&
+              !isNoEcho(cfg.Parameters[name])) {
+            oldValues[name] = deployed.parameters[name];
+          }
+        });
+        var res = templateDiff.diffTemplates(deployed.template, cfg);
+        res.ParameterValues = templateDiff.diffSection(oldValues, newValues);
+        cb(null, res);
+      }
+    ], cb);
+  },
+ 
+  deploy: function deploy(opts, cb) {
+    if (opts.from_artifact) {
+      return deployFromArtifact(opts, cb);
+    }
+    withProjectDir(opts, function(projDir, cb) {
+      deployFromDir(projDir, opts, cb);
+    }, cb);
+  },
+
+  rollback: function rollback(opts, cb) {
+    cfn.checkStack(opts, function(err, stack) {
+      if (err) return cb(err);
+      if (!stack) return cb('no such stack: ' + opts.stack_name);
+      // Roll back to the given commit, or to the previously-deployed one.
+      var commit = opts.commit || stack.AWSBoxenPreviousCommit;
+      if (!commit) {
+        return cb('no previous commit recorded for ' + opts.stack_name +
+                  '; please specify the commit to roll back to');
+      }
+      // Always redeploy with the same profile as the current deployment.
+      // A stack deployed with a chain of profiles can be named by either
+      // the whole chain or just the last profile in it.
+      var deployedProfile = stack.AWSBoxenProfile;
+      if (deployedProfile) {
+        if (opts.profile_explicit && opts.profile !== deployedProfile &&
+            opts.profile !== deployedProfile.split(',').pop()) {
+          return cb('stack ' + opts.stack_name + ' is deployed with profile ' +
+                    deployedProfile + ', not ' + opts.profile +
+                    '; rollback always uses the deployed profile');
+        }
+        opts.profile = deployedProfile;
+      }
+      progress.log(opts, 'Rolling back ' + opts.stack_name + ' to commit ' +
+                   commit + ' (profile ' + opts.profile + ')');
+      opts.ref = commit;
+      withProjectDir(opts, function(projDir, cb) {
+        deployFromDir(projDir, opts, cb);
+      }, cb);
+    });
+  },
+
+  list: function list(opts, cb) {
+    cfn.listStacks(opts, function(err, stackNames) {
+      if (err) return cb(err);
+      cb(null, { stacks: stackNames });
+    });
+  },
+
+  status: function status(opts, cb) {
+    stackStatus.getStatus(opts, opts.project_dir, cb);
+  },
+
+  images: function images(opts, cb) {
+    var projName = opts.project ||
+                   template.getProjectName(opts.project_dir, opts);
+    boxenImages.listImages(opts, projName, function(err, imageList) {
+      if (err) return cb(err);
+      if (!opts.prune_images) return cb(null, imageList);
+      if (opts.prune_older_than === null && opts.prune_keep === null) {
+        return cb('pruning images requires --older-than or --keep');
+      }
+      var doomed = boxenImages.selectImagesToPrune(imageList,
+                                                   opts.prune_older_than,
+                                                   opts.prune_keep);
+      boxenImages.pruneImages(opts, doomed, cb);
+    });
+  },
+
+  info: function list(opts, cb) {
+    cfn.getResourceInfo(opts, function(err, info) {
+      if (err) return cb(err);
+      if (!info) return cb('no such resource: ' + getDisplayName(opts));
+      cb(null, info);
+    });
+  },
+
+  events: function events(opts, cb) {
+    // Events are logged as they're found, since in --follow mode we
+    // might have to wait a long time for them to trickle in.
+    var shownEvents = [];
+    function showEvent(event) {
+      if (opts.event_resource) {
+        if (event.LogicalResourceId !== opts.event_resource) return;
+      }
+      if (opts.event_status) {
+        if (event.ResourceStatus.indexOf(opts.event_status) === -1) return;
+      }
+      progress.event(opts, 'stackEvent', { event: event },
+                     cfn.formatStackEvent(event));
+      shownEvents.push(event);
+    }
+    cfn.getStackEvents(opts, function(err, events) {
+      if (err) return cb(err);
+      // They're given most-recent-first, but we show them in order.
+      events.reverse().forEach(showEvent);
+      if (!opts.follow) return cb(null, shownEvents);
+      cfn.waitForStack(opts, showEvent, function(err) {
+        return cb(err, shownEvents);
+      });
+    });
+  },
+
+  outputs: function outputs(opts, cb) {
+    cfn.getStackOutputs(opts, function(err, stackOutputs) {
+      if (err) return cb(err);
+      if (!stackOutputs) return cb('no such stack: ' + opts.stack_name);
+      if (!opts.out_file) return cb(null, stackOutputs);
+      var data = formatOutputs(stackOutputs, opts.outputs_format);
+      fs.writeFile(opts.out_file, data, function(err) {
+        if (err) return cb(err);
+        progress.log(opts, 'Wrote stack outputs to ' + opts.out_file);
+        return cb(null, stackOutputs);
+      });
+    });
+  },
+
+  teardown: function teardown(opts, cb) {
+    async.waterfall([
+      // Protected stacks can only be torn down by explicit override.
+      function checkProtection(cb) {
+        cfn.checkStack(opts, function(err, stack) {
+          if (err) return cb(err);
+          if (!stack) return cb('no such stack: ' + opts.stack_name);
+          if (stack.AWSBoxenProtected === 'true' && !opts.override_protection) {
+            return cb('stack "' + opts.stack_name + '" is protected; use ' +
+                      '--override-protection to tear it down anyway');
+          }
+          return cb(null);
+        });
+      },
+      // Have the user confirm it by typing the stack name, unless we've
+      // been told not to ask.
+      function confirmTeardown(cb) {
+        if (opts.yes) return cb(null);
+        if (!opts.confirm) {
+          return cb('teardown must be confirmed; use --yes to skip this');
+        }
+        var prompt = 'This will destroy stack "' + opts.stack_name + '" ' +
+                     'and all of its resources.\n' +
+                     'Type the name of the stack to confirm: ';
+        opts.confirm(prompt, function(answer) {
+          if (answer !== opts.stack_name) return cb('teardown cancelled');
+          return cb(null);
+        });
+      },
+      function teardownStack(cb) {
+        cfn.teardownStack(opts, cb);
+      }
+    ], function(err) {
+      if (err) return cb(err);
+      return cb(null, { name: opts.stack_name, status: 'DELETE_COMPLETE' });
+    });
+  },
+
+  freeze: function freeze(opts, cb) {
+    withProjectDir(opts, function(projDir, cb) {
+      freezeFromDir(projDir, opts, cb);
+    }, cb);
+  },
+
+  export: function exportArtifact(opts, cb) {
+    withProjectDir(opts, function(projDir, cb) {
+      buildFromDir(projDir, opts, function(err, cfg, regions) {
+        if (err) return cb(err);
+        var res = artifact.makeArtifact(cfg, opts, regions);
+        artifact.writeArtifact(opts.artifact_file, res, function(err) {
+          if (err) return cb(err);
+          return cb(null, res.manifest);
+        });
+      });
+    }, cb);
+  },
+
+  completion: function completionScript(opts, cb) {
+    var script = completion.getCompletionScript(opts.completion_shell);
+    if (!script) {
+      return cb('unsupported shell "' + opts.completion_shell + '"');
+    }
+    return cb(null, script);
+  },
+
+  complete: function complete(opts, cb) {
+    completion.getCompletions(opts, USAGE, opts.completion_words, cb);
+  }
+
+};
+
+
+// Helper function to get the display name for the target of a command.
+// This is the stack name, plus the resource name if one was given.
+//
+function getDisplayName(opts) {
+  var displayName = opts.stack_name;
+  if (opts.resource_name) {
+    displayName += '::' + opts.resource_name;
+  }
+  return displayName;
+}
+
+
+// Helper function to load and sanity-check the awsboxen config file.
+// The config is loaded offline, and anything that needs AWS is done only
+// once it has been checked, so that mistakes in it are reported early.
+// The target regions are reported along with the config.
+//
+function loadAndCheckConfig(projDir, opts, cb) {
+  var loadOpts = withKey(opts, 'offline', true);
+  template.loadTemplate(projDir, loadOpts, function(err, cfg) {
+    if (err) return cb(err);
+    // Loading fills in the default profile, which later steps rely on.
+    opts.profile = loadOpts.profile;
+    // If the template declares a min/max supported version, ensure
+    // that we're compatible with that declaration.
+    if (cfg.AWSBoxenVersion) {
+      if (!semver.satisfies(module.exports.version, cfg.AWSBoxenVersion)) {
+        var errmsg = 'awsboxen version (' + module.exports.version + ') ';
+        errmsg += 'does not satisfy requirement (' + cfg.AWSBoxenVersion + ')';
+        return cb(errmsg);
+      }
+    }
+    // Check each Boxen against the schema for its type.  Any errors are
+    // reported together, but warnings don't stop us.
+    var problems = freezer.checkBoxen(cfg);
+    addProblemSources(projDir, cfg, problems);
+    var errors = [];
+    problems.forEach(function(problem) {
+      var line = linter.formatProblems([problem])[0];
+      if (problem.level === 'error') {
+        errors.push(line);
+      } else {
+        progress.log(opts, line);
+      }
+    });
+    if (errors.length) return cb(errors.join('\n'));
+    // Check that any target regions are sensibly declared.
+    template.getRegions(cfg, opts, function(err, regions) {
+      if (err) return cb(err);
+      if (opts.offline) return cb(null, cfg, regions);
+      template.setDeployKey(cfg, opts, function(err) {
+        return cb(err, cfg, regions);
+      });
+    });
+  });
+}
+
+
+// Helper function to check whether a template parameter is NoEcho.
+//
+function isNoEcho(param) {
+  return !!param && String(param.NoEcho) === 'true';
+}
+
+
+// Helper function to report each of a list of problems against the config
+// file that it came from, relative to the project directory.
+//
+function addProblemSources(projDir, cfg, problems) {
+  problems.forEach(function(problem) {
+    var source = config.findSource(cfg, problem.path);
+    problem.file = source ? path.relative(projDir, source) : null;
+  });
+}
+
+
+// Helper function to load the config in the given directory, and build
+// the dependency graph of its template.
+//
+function loadGraph(projDir, opts, cb) {
+  loadAndCheckConfig(projDir, opts, function(err, cfg, regions) {
+    if (err) return cb(err);
+    addStubAMIParameters(cfg, regions);
+    cb(null, graph.buildGraph(cfg));
+  });
+}
+
+
+// Helper function to estimate the monthly cost of the project in the
+// given directory, using the profile named in the options.  It's priced in
+// each of its target regions, or just the current region when comparing
+// against a deployed stack.
+//
+function estimateProfile(projDir, opts, prices, cb) {
+  loadAndCheckConfig(projDir, opts, function(err, cfg, regions) {
+    if (err) return cb(err);
+    addStubAMIParameters(cfg, regions);
+    var label = 'profile ' + opts.profile;
+    if (opts.stack_name) {
+      regions = regions.filter(function(region) {
+        return region.name === opts.aws_region;
+      });
+      if (!regions.length) {
+        regions = [{ name: opts.aws_region, parameters: {} }];
+      }
+      label += ' (local)';
+    }
+    regions = regions.map(function(region) {
+      var paramValues = {};
+      Object.keys(cfg.Parameters).forEach(function(name) {
+        paramValues[name] = template.resolveParam(name, opts, cfg);
+        if (region.parameters.hasOwnProperty(name) &&
+            !(opts.define && opts.define.hasOwnProperty(name))) {
+          paramValues[name] = region.parameters[name];
+        }
+      });
+      return { name: region.name, paramValues: paramValues };
+    });
+    var est = costEstimate.estimateCost(cfg, prices, regions);
+    est.label = label;
+    cb(null, est);
+  });
+}
+
+
+// Helper function to deploy the project in the given directory.
+// This is the guts of the 'deploy' command, factored out so that it can
+// also be used to deploy from a temporary checkout.
+//
+function deployFromDir(projDir, opts, cb) {
+  // In dry-run mode, we just report the deployment plan.
+  if (opts.dry_run) {
+    return loadForBuild(projDir, opts, function(err, cfg) {
+      if (err) return cb(err);
+      plan.planDeployment(opts, projDir, cfg, cb);
+    });
+  }
+  buildFromDir(projDir, opts, function(err, cfg, regions) {
+    if (err) return cb(err);
+    deployToRegions(opts, cfg, regions, cb);
+  });
+}
+
+
+// Helper function to load the config for building the project in the
+// given directory.  If it lists several target regions, then the Boxen are
+// built in the first of them, so the config must be loaded for that region
+// in order to resolve any region-specific values in the Boxen.
+//
+function loadForBuild(projDir, opts, cb) {
+  loadAndCheckConfig(projDir, opts, function(err, cfg, regions) {
+    if (err) return cb(err);
+    if (regions[0].name === opts.aws_region) {
+      return cb(null, cfg, regions);
+    }
+    opts.aws_region = regions[0].name;
+    loadAndCheckConfig(projDir, opts, function(err, cfg) {
+      return cb(err, cfg, regions);
+    });
+  });
+}
+
+
+// Helper function to build a deployable template for the project in the
+// given directory.  This freezes each of the Boxen, and replaces them with
+// template parameters giving the resulting AMI ids.  The ids of the AMIs
+// in each target region are also given in a generated Mappings table.
+// The target regions are reported along with the template.
+//
+function buildFromDir(projDir, opts, cb) {
+  async.waterfall([
+    // Load the selected configuration.
+    function loadTheConfig(cb) {
+      loadForBuild(projDir, opts, cb);
+    },
+    // Generate AMIs for each box description, in each target region.
+    // The AMI id becomes a cfn template paramter.
+    function generateBoxenAMIs(cfg, regions, cb) {
+      var regionNames = regions.map(function(region) {
+        return region.name;
+      });
+      var amiIds = {};
+      async.eachSeries(Object.keys(cfg.Boxen), function(boxName, cb) {
+        freezer.createAMIInRegions(opts, projDir, cfg, boxName, regionNames,
+        function(e, ids) {
+          if (e) return cb(e);
+          cfg.Parameters[boxName + 'AMI'] = {
+            Type: 'String',
+            Default: ids[opts.aws_region]
+          };
+          amiIds[boxName] = ids;
+          cb(null);
+        });
+      }, function(err) {
+        if (err) return cb(err);
+        addAMIMappings(cfg, regionNames, amiIds);
+        delete cfg.AWSBoxenVersion;
+        delete cfg.Boxen;
+        delete cfg.Regions;
+        cb(null, cfg, regions);
+      });
+    }
+  ], cb);
+}
+
+
+// Helper function to deploy a template as produced by buildFromDir() into
+// each of the target regions, with any parameter overrides for that region.
+// For a single region the result is the deployed stack, as usual.  For
+// several regions it's a hash giving the name of the stack, and the stack
+// deployed in each region under the key 'regions'.
+//
+function deployToRegions(opts, cfg, regions, cb) {
+  if (regions.length === 1) {
+    opts = withKey(opts, 'aws_region', regions[0].name);
+    return deployTemplate(opts, cfg, regions[0].parameters, cb);
+  }
+  var res = { name: opts.stack_name, regions: {} };
+  async.eachSeries(regions, function(region, cb) {
+    progress.log(opts, 'Deploying ' + opts.stack_name + ' to ' + region.name);
+    var regionOpts = withKey(opts, 'aws_region', region.name);
+    var overrides = region.parameters;
+    deployTemplate(regionOpts, cfg, overrides, function(err, stack) {
+      if (err) return cb(err);
+      res.regions[region.name] = stack;
+      cb(null);
+    });
+  }, function(err) {
+    if (err) return cb(err);
+    cb(null, res);
+  });
+}
+
+
+// Helper function to deploy a template as produced by buildFromDir().
+// It's deployed to the region given in the options, using the AMI ids for
+// that region and the given parameter overrides as parameter defaults.
+//
+function deployTemplate(opts, cfg, overrides, cb) {
+  cfg = makeRegionalTemplate(cfg, opts.aws_region, overrides);
+  async.waterfall([
+    // Record the commit that is currently deployed, if it's different
+    // to the one we're deploying, so that we can roll back to it later.
+    function recordPreviousCommit(cb) {
+      cfn.checkStack(opts, function(err, stack) {
+        if (err) return cb(err);
+        if (stack) template.setPreviousCommit(cfg, stack);
+        cb(null);
+      });
+    },
+    // Deploy the completed CloudFormation template.
+    function deployTheStack(cb) {
+      cfn.deployStack(opts, cfg, cb);
+    }
+  ], cb);
+}
+
+
+// Helper function to deploy a previously-exported artifact file.
+// The artifact's template is deployed exactly as-is into each of the
+// regions it was built for, and since it has no Boxen left to build,
+// there's no need for a project directory.
+//
+function deployFromArtifact(opts, cb) {
+  if (opts.dry_run) {
+    return cb('--dry-run cannot be used with --from-artifact');
+  }
+  artifact.readArtifact(opts.from_artifact, function(err, res) {
+    if (err) return cb(err);
+    var manifest = res.manifest;
+    progress.log(opts, 'Deploying artifact for ' + manifest.project +
+                 ' commit ' + manifest.commit +
+                 ' (profile ' + manifest.profile + ')');
+    // An artifact without regions is deployed to the region we were given.
+    var regions = res.regions || [{ name: opts.aws_region, parameters: {} }];
+    // Each region must have its own AMI ids, or the template would
+    // silently try to use the ids from some other region.
+    var mapping = res.template.Mappings &&
+                  res.template.Mappings[AMI_MAPPING_NAME];
+    for (var i = 0; i < regions.length; i++) {
+      if (mapping && !mapping[regions[i].name]) {
+        return cb('artifact has no AMIs for region ' + regions[i].name);
+      }
+    }
+    deployToRegions(opts, res.template, regions, cb);
+  });
+}
+
+
+// Helper function to freeze Boxen for the project in the given directory.
+// This is the guts of the 'freeze' command, factored out so that it can
+// also be used to freeze from a temporary checkout.
+//
+function freezeFromDir(projDir, opts, cb) {
+  loadForBuild(projDir, opts, function(err, cfg, regions) {
+    if (err) return cb(err);
+    // Freeze the specified boxen, or all if none were specified.
+    if (opts.boxen.length === 0) {
+      opts.boxen = Object.keys(cfg.Boxen);
+    } else {
+      for (var i=0; i < opts.boxen.length; i++) {
+        if (!cfg.Boxen[opts.boxen[i]]) {
+          return cb('unknown Box: ' + opts.boxen[i]);
+        }
+      }
+    }
+    // Create all the AMIs, collecting their ids for later reporting.
+    // This generates a lot of console output, so we don't want to
+    // print the final ids in the middle of it where they'll get lost.
+    // With several target regions, each id is a hash mapping region
+    // names to the id of the AMI in that region.
+    var regionNames = regions.map(function(region) {
+      return region.name;
+    });
+    var amiIds = {};
+    async.eachSeries(opts.boxen, function(boxName, cb) {
+      freezer.createAMIInRegions(opts, projDir, cfg, boxName, regionNames,
+      function(err, ids) {
+        if (err) return cb(err);
+        amiIds[boxName] = ids;
+        if (regionNames.length === 1) {
+          amiIds[boxName] = ids[regionNames[0]];
+        }
+        return cb(null);
+      });
+    }, function(err) {
+      if (err) return cb(err);
+      cb(null, amiIds);
+    });
+  });
+}
+
+
+// Helper function to run a function in the project directory.
+//
+// Normally this is just opts.project_dir, but if a git ref was given
+// in opts.ref then it will be a pristine temporary checkout of that ref.
+// The function is called as fn(projDir, cb) and the temporary checkout is
+// cleaned up after it completes.
+//
+function withProjectDir(opts, fn, cb) {
+  if (!opts.ref) return fn(opts.project_dir, cb);
+  var projDir = opts.project_dir;
+  var result = null;
+  var workDir = null;
+  async.waterfall([
+    function resolveRef(cb) {
+      git.resolveCommit(projDir, opts.ref, cb);
+    },
+    function checkoutRef(commit, cb) {
+      progress.log(opts, 'Checking out ' + opts.ref + ' (' + commit + ')');
+      git.checkoutCommit(projDir, commit, function(err, dirPath) {
+        if (err) return cb(err);
+        workDir = dirPath;
+        cb(null);
+      });
+    },
+    function runInCheckout(cb) {
+      // Keep naming things after the real project, not the temp dir.
+      opts.project_name = template.getProjectName(projDir, opts);
+      // Any explicit config paths must be found within the checkout.
+      opts.config = (opts.config || []).map(function(configPath) {
+        configPath = path.relative(projDir, path.resolve(configPath));
+        return path.join(workDir, configPath);
+      });
+      fn(workDir, function(err, res) {
+        result = res;
+        cb(err);
+      });
+    }
+  ], function(err) {
+    if (!workDir) return cb(err, result);
+    git.removeCheckout(workDir, function(cleanupError) {
+      return cb(err || cleanupError, result);
+    });
+  });
+}
+
+
+// Helper function to generate template parameters for each Boxen AMI.
+// Ids for already-frozen AMIs may be given in the optional amiIds hash,
+// and any Boxen without a known AMI id get a stub placeholder value.
+// Stub entries are also generated in the Mappings table of AMI ids, for
+// each of the given target regions.
+//
+function addStubAMIParameters(cfg, regions, amiIds) {
+  amiIds = amiIds || {};
+  var regionNames = regions.map(function(region) {
+    return region.name;
+  });
+  var regionAMIIds = {};
+  Object.keys(cfg.Boxen).forEach(function(boxName) {
+    cfg.Parameters[boxName + 'AMI'] = {
+      Type: 'String',
+      Default: amiIds[boxName] || 'ami-XXXXXX'
+    };
+    regionAMIIds[boxName] = {};
+    regionNames.forEach(function(regionName) {
+      regionAMIIds[boxName][regionName] = amiIds[boxName] || 'ami-XXXXXX';
+    });
+  });
+  addAMIMappings(cfg, regionNames, regionAMIIds);
+}
+
+
+// Helper function to add the Mappings table of AMI ids for each region.
+// The amiIds hash maps each Boxen name to a hash of per-region ids.  It
+// can be used in the template like so:
+//
+//    {"Fn::FindInMap": ["AWSBoxenAMIs", {"Ref": "AWS::Region"}, "WebHeadAMI"]}
+//
+function addAMIMappings(cfg, regionNames, amiIds) {
+  var boxNames = Object.keys(amiIds);
+  if (!boxNames.length) return;
+  if (!cfg.Mappings) cfg.Mappings = {};
+  var mapping = cfg.Mappings[AMI_MAPPING_NAME] = {};
+  regionNames.forEach(function(regionName) {
+    mapping[regionName] = {};
+    boxNames.forEach(function(boxName) {
+      mapping[regionName][boxName + 'AMI'] = amiIds[boxName][regionName];
+    });
+  });
+}
+
+
+// Helper function to make a copy of a template for deployment into a
+// particular region.  The AMI parameters default to the ids for that
+// region, if known, and any parameter overrides for that region are
+// filled in as the parameter defaults.
+//
+function makeRegionalTemplate(cfg, regionName, overrides) {
+  cfg = JSON.parse(JSON.stringify(cfg));
+  var regionAMIIds = (cfg.Mappings && cfg.Mappings[AMI_MAPPING_NAME]) || {};
+  var defaults = {};
+  Object.keys(regionAMIIds[regionName] || {}).forEach(function(name) {
+    defaults[name] = regionAMIIds[regionName][name];
+  });
+  Object.keys(overrides || {}).forEach(function(name) {
+    defaults[name] = overrides[name];
+  });
+  Object.keys(defaults).forEach(function(name) {
+    if (cfg.Parameters && cfg.Parameters[name]) {
+      cfg.Parameters[name].Default = defaults[name];
+    }
+  });
+  return cfg;
+}
@@ -0,0 +1,107 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Deployment artifacts.
+ *
+ * An artifact is a fully-resolved CloudFormation template, with the ids of
+ * the frozen Boxen AMIs filled in, written out to a file along with a
+ * manifest describing where it came from.  Since everything about it has
+ * already been decided, the very same artifact can be built once and then
+ * promoted through e.g. staging and production deployments.
+ *
+ */
+
+const fs = require('fs');
+
+
+const ARTIFACT_FORMAT_VERSION = 1;
+
+
+module.exports = {
+  makeArtifact: makeArtifact,
+  writeArtifact: writeArtifact,
+  readArtifact: readArtifact
+};
+
+
+//  Make an artifact from a deployable template, i.e. one in which the
+//  Boxen have been replaced by their AMI ids.  The result is a hash with
+//  the following keys:
+//
+//    * AWSBoxenArtifact:  version number of the artifact format
+//    * manifest:  hash of project, profile, commit, creation time, target
+//                 region names, and the default value of each template
+//                 parameter
+//    * template:  the CloudFormation template, ready to deploy
+//    * regions:  list of the regions to deploy into, each with its name
+//                and any parameter overrides for that region
+//
+function makeArtifact(cfg, opts, regions) {
+  regions = regions || [{ name: opts.aws_region, parameters: {} }];
+  var manifest = {
+    project: defaultValue(cfg, 'AWSBoxenProject'),
+    profile: defaultValue(cfg, 'AWSBoxenProfile') || opts.profile,
+    commit: defaultValue(cfg, 'AWSBoxenCommit'),
+    created: new Date().toISOString(),
+    regions: regions.map(function(region) { return region.name; }),
+    parameters: {}
+  };
+  Object.keys(cfg.Parameters || {}).forEach(function(name) {
+    var param = cfg.Parameters[name] || {};
+    if (String(param.NoEcho) === 'true') {
+      manifest.parameters[name] = '****';
+    } else {
+      manifest.parameters[name] = defaultValue(cfg, name);
+    }
+  });
+  return {
+    AWSBoxenArtifact: ARTIFACT_FORMAT_VERSION,
+    manifest: manifest,
+    template: cfg,
+    regions: regions
+  };
+}
+
+
+//  Write an artifact to the given file, as JSON.
+//
+function writeArtifact(filePath, artifact, cb) {
+  var data = JSON.stringify(artifact, null, 2) + '\n';
+  fs.writeFile(filePath, data, cb);
+}
+
+
+//  Read an artifact from the given file, checking that it looks sensible.
+//
+function readArtifact(filePath, cb) {
+  fs.readFile(filePath, function(err, data) {
+    if (err) return cb(err);
+    var artifact;
+    try {
+      artifact = JSON.parse(data);
+    } catch (e) {
+      return cb('invalid artifact file ' + filePath + ': ' + e.message);
+    }
+    if (!artifact || !artifact.AWSBoxenArtifact) {
+      return cb('not an awsboxen artifact: ' + filePath);
+    }
+    if (artifact.AWSBoxenArtifact !== ARTIFACT_FORMAT_VERSION) {
+      return cb('unsupported artifact version: ' + artifact.AWSBoxenArtifact);
+    }
+    if (!artifact.manifest || !artifact.template) {
+      return cb('incomplete artifact file: ' + filePath);
+    }
+    return cb(null, artifact);
+  });
+}
+
+
+// Get the default value of the named parameter in a template, or null.
+//
+function defaultValue(cfg, name) {
+  var param = (cfg.Parameters || {})[name];
+  if (!param || typeof param.Default === 'undefined') return null;
+  return param.Default;
+}
@@ -6,245 +6,198 @@
 /*
  * Command-line `awsboxen` client.
  *
- * This module implements the CLI for awsboxen, but it's also importable as
- * a standard module if you want to do something strange on top of it.  Most
- * functionality is implemented in other, more API-focussed modules to which
- * this is simply a wrapper.
+ * This module implements the CLI for awsboxen.  It's a thin wrapper around
+ * the programmatic API in the api module, which does all the actual work;
+ * this module just parses the command-line and displays the results.  For
+ * convenience, it re-exports the API so you can require('awsboxen') and
+ * then call createClient().
  *
  */
 
-const fs = require('fs');
-const path = require('path');
-const async = require('async');
+const readline = require('readline');
 const docopt = require('docopt');
-const semver = require('semver');
 
-const config = require('./config');
+const api = require('./api');
 const opts = require('./opts');
-const template = require('./template');
-const freezer = require('./freezer');
-const cfn = require('./cfn');
+const templateDiff = require('./diff');
+const plan = require('./plan');
+const linter = require('./linter');
+const graph = require('./graph');
+const explain = require('./explain');
+const costEstimate = require('./estimate');
+const progress = require('./progress');
+const stackStatus = require('./status');
+const boxenImages = require('./images');
+const formatOutputs = require('./outputs').formatOutputs;
+const usage = require('./usage');
+const USAGE = usage.USAGE;
+const SUBCOMMANDS = usage.SUBCOMMANDS;
 
-// Our command-line options and usage string.
-// This becomes a working parser by the magic of docopt.
-//
-// Ye Gods, there must be a better way to do multi-line strings in JS...
-//
-const USAGE = ''+
-'awsboxen\n'+
-'\n'+
-'Usage:\n'+
-'  awsboxen [options] deploy <stack-name>\n'+
-'  awsboxen [options] freeze [<boxen>...]\n'+
-'  awsboxen [options] showconfig\n'+
-'  awsboxen [options] validate\n'+
-'  awsboxen [options] list\n'+
-'  awsboxen [options] info <stack-name> [<resource-name>]\n'+
-'  awsboxen [options] teardown <stack-name>\n'+
-'  awsboxen -h | --help\n'+
-'  awsboxen --version\n'+
-'\n'+
-'Arguments:\n'+
-'  <stack-name>:     a unique name used to name identify this deployment\n'+
-'  <resource-name>:  the unique name for a particular resource in a stack\n'+
-'  <boxen>:          name of a Boxen declaration to freeze; defaults to all\n'+
-'\n'+
-'Options:\n'+
-' -h, --help                        show this help message and exit\n'+
-' --version                         show version number and exit\n'+
-' -c CONFIG, --config=CONFIG        the config file/directory to use\n'+
-' -p PROFILE, --profile=PROFILE     name of the deployment profile to use\n'+
-' -D PARAM, --define=PARAM          key=value defn of template parameters\n'+
-' -F FILE, --param-file=FILE        file defining template parameters\n'+
-' --ignore-uncommitted              proceed despite uncommitted changes\n'+
-' --clear-cached-boxen              clear any cached machine images\n'+
-' --aws-id                          aws access key id; defaults to $AWS_ID\n'+
-' --aws-secret                      aws secret key; defaults to $AWS_SECRET\n'+
-' --aws-region                      aws region; defaults to us-east-1\n'+
-'\n';
-
-
-// Try to parse the current version number out of the package.json file.
-//
-module.exports.version = null;
-(function() {
-  var packageJsonPath = path.resolve(__dirname, '..', 'package.json');
-  try {
-    var packageJson = fs.readFileSync(packageJsonPath);
-    var packageData = JSON.parse(packageJson);
-    module.exports.version = packageData.version;
-  } catch (e) {}
-})();
 
+module.exports.version = api.version;
+module.exports.commands = api.commands;
+module.exports.createClient = api.createClient;
+module.exports.AWSBoxen = api.AWSBoxen;
 
 
-// The individual sub-commands that can be run through the CLI.
+// Functions to display the result of each command in human-readable form.
+// Commands that are not listed here produce no output of their own.
 //
-module.exports.commands = {
-
-  showconfig: function showconfig(opts, cb) {
-    opts.ignore_uncommitted = true;
-    loadAndCheckConfig('.', opts, function(err, cfg) {
-      if (err) return cb(err);
-      // Generate stub parameters for each boxen AMI.
-      async.eachSeries(Object.keys(cfg.Boxen), function(boxName, cb) {
-        cfg.Parameters[boxName + 'AMI'] = {
-          Type: 'String',
-          Default: 'ami-XXXXXX'
-        };
-        cb(null);
-      }, function(err) {
-        if (err) return cb(err);
-        console.log(JSON.stringify(cfg, null, 2));
-        cb(null, cfg);
+module.exports.displays = {
+
+  init: function init(res) {
+    if (res.upgradedFrom) {
+      console.log('Converted ' + res.upgradedFrom + ' into ' + res.path);
+      console.log('Check it over, then remove ' + res.upgradedFrom +
+                  ' as it is no longer needed.');
+    } else {
+      console.log('Wrote starter config to ' + res.path);
+    }
+  },
+
+  showconfig: function showconfig(res, opts) {
+    if (!opts.explain) {
+      console.log(JSON.stringify(res, null, 2));
+    } else {
+      explain.formatExplanation(res).forEach(function(line) {
+        console.log(line);
       });
+    }
+  },
+
+  validate: function validate() {
+    console.log("ok");
+  },
+
+  lint: function lint(res) {
+    linter.formatProblems(res.problems).forEach(function(line) {
+      console.log(line);
     });
   },
 
-  validate: function validate(opts, cb) {
-    opts.ignore_uncommitted = true;
-    loadAndCheckConfig('.', opts, function(err, cfg) {
-      if (err) return cb(err);
-      // Generate stub parameters for each boxen AMI.
-      async.eachSeries(Object.keys(cfg.Boxen), function(boxName, cb) {
-        cfg.Parameters[boxName + 'AMI'] = {
-          Type: 'String',
-          Default: 'ami-XXXXXX'
-        };
-        cb(null);
-      }, function(err) {
-        if (err) return cb(err);
-        delete cfg.AWSBoxenVersion;
-        delete cfg.Boxen;
-        cfn.validateTemplate(opts, cfg, function(err) {
-          if (err) return cb(err);
-          console.log("ok");
-          return cb(null);
-        });
-      });
+  graph: function graphCommand(res, opts) {
+    graph.formatGraph(res, opts.graph_format).forEach(function(line) {
+      console.log(line);
     });
   },
- 
-  deploy: function deploy(opts, cb) {
-    async.waterfall([
-      // Load the selected configuration.
-      function loadTheConfig(cb) {
-        loadAndCheckConfig('.', opts, function(err, cfg) {
-          if (!err && cfg.AWSBoxenVersion) {
-            delete cfg.AWSBoxenVersion;
-          }
-          return cb(err, cfg);
-        });
-      },
-      // Generate AMIs for each box description.
-      // The AMI id becomes a cfn template paramter.
-      function generateBoxenAMIs(cfg, cb) {
-        async.eachSeries(Object.keys(cfg.Boxen), function(boxName, cb) {
-          freezer.createAMI(opts, '.', cfg, boxName, function(e, id) {
-            if (e) return cb(e);
-            cfg.Parameters[boxName + 'AMI'] = {
-              Type: 'String',
-              Default: id
-            };
-            cb(null);
-          });
-        }, function(err) {
-          delete cfg.Boxen;
-          cb(err, cfg);
-        });
-      },
-      // Deploy the completed CloudFormation template.
-      function deployTheStack(cfg, cb) {
-        cfn.deployStack(opts, cfg, function(err, stack) {
-          if (err) return cb(err);
-          console.log('Stack ' + stack.name + ' successfully deployed!');
-          for (var k in stack) {
-            if(stack.hasOwnProperty(k)) {
-              console.log('  ' + k + ':  ' + stack[k]);
-            }
-          }
-          cb(null, stack);
-        });
-      }
-    ], cb);
+
+  estimate: function estimate(res) {
+    costEstimate.formatEstimates(res).forEach(function(line) {
+      console.log(line);
+    });
   },
 
-  list: function list(opts, cb) {
-    cfn.listStacks(opts, function(err, stackNames) {
-      if (err) return cb(err);
-      stackNames.forEach(function(name) {
-        console.log(name);
-      });
-      cb(null, stackNames);
+  diff: function diff(res) {
+    templateDiff.formatDiff(res).forEach(function(line) {
+      console.log(line);
     });
   },
 
-  info: function list(opts, cb) {
-    var displayName = opts.stack_name;
-    if (opts.resource_name) {
-      displayName += '::' + opts.resource_name;
-    }
-    cfn.getResourceInfo(opts, function(err, info) {
-      if (err) return cb(err);
-      if (!info) return cb('no such resource: ' + displayName);
-      // Little helper function to do nested display of objects.
-      function display(indent, key, obj) {
-        if (typeof obj !== 'object') {
-          console.log(indent + key + ': ' + obj);
-        } else {
-          console.log(indent + key + ':');
-          for (var k in obj) {
-            if (obj.hasOwnProperty(k)) {
-              display(indent + '  ', k, obj[k]);
-            }
+  deploy: function deploy(res, opts) {
+    if (opts.dry_run) {
+      plan.formatPlan(res).forEach(function(line) {
+        console.log(line);
+      });
+    } else {
+      console.log('Stack ' + res.name + ' successfully deployed!');
+      // A multi-region deployment gives the stack in each region.
+      var stacks = res.regions || { '': res };
+      Object.keys(stacks).forEach(function(region) {
+        var indent = '  ';
+        if (region) {
+          console.log(indent + region + ':');
+          indent += '  ';
+        }
+        for (var k in stacks[region]) {
+          if(stacks[region].hasOwnProperty(k)) {
+            console.log(indent + k + ':  ' + stacks[region][k]);
           }
         }
-      }
-      display('', 'Info for ' + displayName, info);
-      cb(null, info);
+      });
+    }
+  },
+
+  list: function list(res) {
+    res.stacks.forEach(function(name) {
+      console.log(name);
     });
   },
 
-  teardown: function list(opts, cb) {
-    cfn.teardownStack(opts, function(err) {
-      return cb(err);
+  status: function status(res) {
+    stackStatus.formatStatus(res).forEach(function(line) {
+      console.log(line);
     });
   },
 
-  freeze: function freeze(opts, cb) {
-    loadAndCheckConfig('.', opts, function(err, cfg) {
-      if (err) return cb(err);
-      // Freeze the specified boxen, or all if none were specified.
-      if (opts.boxen.length === 0) {
-        opts.boxen = Object.keys(cfg.Boxen);
+  images: function images(res, opts) {
+    if (!opts.prune_images) {
+      boxenImages.formatImages(res).forEach(function(line) {
+        console.log(line);
+      });
+    } else {
+      var verb = opts.dry_run ? 'Would prune ' : 'Pruned ';
+      console.log(verb + res.length + ' image(s)');
+    }
+  },
+
+  info: function info(res, opts) {
+    // Little helper function to do nested display of objects.
+    function display(indent, key, obj) {
+      if (typeof obj !== 'object') {
+        console.log(indent + key + ': ' + obj);
       } else {
-        for (var i=0; i < opts.boxen.length; i++) {
-          if (!cfg.Boxen[opts.boxen[i]]) {
-            return cb('unknown Box: ' + opts.boxen[i]);
+        console.log(indent + key + ':');
+        for (var k in obj) {
+          if (obj.hasOwnProperty(k)) {
+            display(indent + '  ', k, obj[k]);
           }
         }
       }
-      // Create all the AMIs, collecting their ids for later reporting.
-      // This generates a lot of console output, so we don't want to
-      // print the final ids in the middle of it where they'll get lost.
-      var amiIds = {};
-      async.eachSeries(opts.boxen, function(boxName, cb) {
-        freezer.createAMI(opts, '.', cfg, boxName, function(err, id) {
-          if (err) return cb(err);
-          amiIds[boxName] = id;
-          return cb(null);
-        });
-      }, function(err) {
-        if (err) return cb(err);
-        // Now we can print the list of AMI ids.
-        console.log("Successfully generated AMIs for your frozen boxen:");
-        async.eachSeries(opts.boxen, function(boxName, cb) {
-          console.log('  ' + boxName + ': ' + amiIds[boxName]);
-          cb(null);
-        }, function(err) {
-          cb(err, amiIds);
+    }
+    display('', 'Info for ' + api._getDisplayName(opts), res);
+  },
+
+  outputs: function outputs(stackOutputs, opts) {
+    if (!opts.out_file) {
+      process.stdout.write(formatOutputs(stackOutputs, opts.outputs_format));
+    }
+  },
+
+  freeze: function freeze(amiIds) {
+    console.log("Successfully generated AMIs for your frozen boxen:");
+    Object.keys(amiIds).forEach(function(boxName) {
+      // With several target regions, there's an id for each region.
+      if (typeof amiIds[boxName] !== 'object') {
+        console.log('  ' + boxName + ': ' + amiIds[boxName]);
+      } else {
+        console.log('  ' + boxName + ':');
+        Object.keys(amiIds[boxName]).forEach(function(region) {
+          console.log('    ' + region + ': ' + amiIds[boxName][region]);
         });
-      });
+      }
+    });
+  },
+
+  export: function exportArtifact(manifest, opts) {
+    console.log('Wrote deployment artifact to ' + opts.artifact_file);
+    console.log('  project:  ' + manifest.project);
+    console.log('  profile:  ' + manifest.profile);
+    console.log('  commit:  ' + manifest.commit);
+    console.log('  regions:  ' + manifest.regions.join(', '));
+    Object.keys(manifest.parameters).sort().forEach(function(name) {
+      if (/AMI$/.test(name)) {
+        console.log('  ' + name + ':  ' + manifest.parameters[name]);
+      }
+    });
+  },
+
+  completion: function completion(script) {
+    process.stdout.write(script);
+  },
+
+  complete: function complete(words) {
+    words.forEach(function(word) {
+      console.log(word);
     });
   }
 
@@ -253,9 +206,16 @@ module.exports.commands = {
 
 module.exports.main = function main(argv, cb) {
   // Parse command-line arguments.
-  // This will detect unrecognized options and handle --help.
-  // XXX TODO: stop it from exiting the program itself.
-  var options = docopt.docopt(USAGE, {argv: argv});
+  // This will detect unrecognized options, which unfortunately makes it
+  // exit the program itself.  Use the api module to avoid that.
+  var options = docopt.docopt(USAGE, {argv: argv, help: false});
+  var jsonOutput = (options['--output'] === 'json');
+
+  // Print the usage string, if requested.
+  if (options['--help']) {
+    console.log(USAGE.replace(/\s+$/, ''));
+    return cb(0);
+  }
 
   // Print version info and exit, if requested.
   if(options['--version']) {
@@ -264,10 +224,13 @@ module.exports.main = function main(argv, cb) {
   }
 
   // Find the target command from the docopt output.
+  // Sub-commands (e.g. the "list" in "images list") also show up as
+  // commands, so they're skipped when their parent command is present.
   var command = null;
   for (var k in options) {
     if (options.hasOwnProperty(k) && options[k]) {
       if (k && k.charAt(0) !== '-' && k.charAt(0) !== '<') {
+        if (SUBCOMMANDS[k] && options[SUBCOMMANDS[k]]) continue;
         command = k;
         break;
       }
@@ -276,48 +239,87 @@ module.exports.main = function main(argv, cb) {
 
   // That should have produced a usable command name.  Error out if not.
   if (!command) {
-    console.log('Error processing options!');
+    reportError(jsonOutput, 'Error processing options!');
     return cb(1);
   }
 
   // Process the rest of the docopt output into an options hash.
   opts.getOptions(options, process.env, function(err, opts) {
     if (err) {
-      console.log(err);
+      reportError(jsonOutput, err);
       return cb(1);
     }
 
-    // Now we can run the command.
-    module.exports.commands[command](opts, function(err) {
-      if (err) {
-        console.error(err);
-        return cb(1);
+    // Now we can run the command through the API, rendering its progress
+    // to the console and asking for any confirmation on the terminal, and
+    // output the results.
+    opts.confirm = promptForConfirmation;
+    var client = api.createClient();
+    client.on('progress', progress.render(jsonOutput ? process.stderr :
+                                                       process.stdout));
+    client.execute(command, opts).then(function(res) {
+      if (jsonOutput) {
+        writeJSON(typeof res === 'undefined' ? null : res);
+      } else if (module.exports.displays[command]) {
+        module.exports.displays[command](res, opts);
       }
-      return cb(0);
+      // Checks like 'lint' report failure by their result, not an error.
+      return cb(res && res.valid === false ? 1 : 0);
+    }, function(err) {
+      reportError(jsonOutput, err);
+      return cb(1);
     });
   });
 };
 
 
-// Helper function to load and sanity-check the awsboxen config file.
+// Helper function to write a JSON document to stdout.
 //
-function loadAndCheckConfig(projDir, opts, cb) {
-  template.loadTemplate(projDir, opts, function(err, cfg) {
-    if (err) return cb(err);
-    // If the template declares a min/max supported version, ensure
-    // that we're compatible with that declaration.
-    if (cfg.AWSBoxenVersion) {
-      if (!semver.satisfies(module.exports.version, cfg.AWSBoxenVersion)) {
-        var errmsg = 'awsboxen version (' + module.exports.version + ') ';
-        errmsg += 'does not satisfy requirement (' + cfg.AWSBoxenVersion + ')';
-        return cb(errmsg);
-      }
+function writeJSON(data) {
+  process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+
+// Helper function to prompt the user for confirmation on the terminal.
+// The prompt goes to stderr so that it won't interfere with JSON output.
+//
+function promptForConfirmation(prompt, cb) {
+  var rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr
+  });
+  var answered = false;
+  rl.question(prompt, function(answer) {
+    answered = true;
+    rl.close();
+    cb(answer.trim());
+  });
+  // If stdin is closed without an answer, that's a refusal.
+  rl.on('close', function() {
+    if (!answered) {
+      answered = true;
+      process.stderr.write('\n');
+      cb('');
     }
-    return cb(null, cfg);
   });
 }
 
 
+// Helper function to report an error, either as human-readable text
+// on stderr or as a JSON document on stdout.
+//
+function reportError(jsonOutput, err) {
+  if (err instanceof Error) {
+    err = err.details || err.message;
+  }
+  if (jsonOutput) {
+    writeJSON({ error: err });
+  } else {
+    console.error(err);
+  }
+}
+
+
 // Make this executable as a script, but also importable as a module.
 //
 if (require.main === module) {
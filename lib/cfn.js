@@ -15,6 +15,8 @@ const async = require('async');
 const aws = require('awssum-amazon');
 const CloudFormation = require('awssum-amazon-cloudformation').CloudFormation;
 
+const progress = require('./progress');
+
 
 const SUCCESS_STATUSES = ['CREATE_COMPLETE', 'DELETE_COMPLETE',
                           'UPDATE_COMPLETE'];
@@ -28,14 +30,48 @@ const INFLIGHT_STATUSES = ['CREATE_IN_PROGRESS', 'ROLLBACK_IN_PROGRESS',
                            'UPDATE_ROLLBACK_IN_PROGRESS',
                            'UPDATE_ROLLBACK_COMPLETE_CLEANUP_IN_PROGRESS'];
 
+// Some operations and parameters of the CloudFormation API are newer than
+// our version of awssum.  They're described here in awssum format, so we
+// can send them using its generic machinery.
+const EXTENDED_OPERATIONS = {
+  DescribeStacks: {
+    defaults: { Action: 'DescribeStacks' },
+    args: {
+      Action: { required: true, type: 'form' },
+      NextToken: { required: false, type: 'form' },
+      StackName: { required: false, type: 'form' }
+    }
+  },
+  SetStackPolicy: {
+    defaults: { Action: 'SetStackPolicy' },
+    args: {
+      Action: { required: true, type: 'form' },
+      StackName: { required: true, type: 'form' },
+      StackPolicyBody: { required: true, type: 'form' }
+    }
+  }
+};
+
+// Resource types that hold state which would be lost if the resource were
+// replaced or deleted.  A protected stack does not allow updates to do so.
+const STATEFUL_RESOURCE_TYPES = ['AWS::RDS::DBInstance', 'AWS::EC2::Volume',
+                                 'AWS::S3::Bucket', 'AWS::DynamoDB::Table',
+                                 'AWS::SimpleDB::Domain', 'AWS::SQS::Queue',
+                                 'AWS::ElastiCache::CacheCluster'];
+
 
 module.exports = {
   checkStack: checkStack,
+  getDeployedTemplate: getDeployedTemplate,
+  getStackOutputs: getStackOutputs,
   waitForStack: waitForStack,
   getStackEvents: getStackEvents,
+  formatStackEvent: formatStackEvent,
   deployStack: deployStack,
   validateTemplate: validateTemplate,
   listStacks: listStacks,
+  describeStacks: describeStacks,
+  listStackResources: listStackResources,
   teardownStack: teardownStack,
   getResourceInfo: getResourceInfo
 };
@@ -70,6 +106,45 @@ function getConnection(opts, cb) {
 //
 //
 function checkStack(opts, cb) {
+  describeStack(opts, function(err, res) {
+    if (err) return cb(err);
+    if (!res) return cb(null, null);
+    var stack = {
+      name: res.StackName,
+      status: res.StackStatus,
+    };
+    asList(res.Outputs).forEach(function(item) {
+      stack[item.OutputKey] = item.OutputValue;
+    });
+    cb(null, stack);
+  });
+}
+
+
+//  Get the outputs of a deployed stack.
+//  The given options must include a 'stack_name' key naming the stack.
+//  The result is either null if there is no such stack, or a hash
+//  mapping each output key to its value.
+//
+function getStackOutputs(opts, cb) {
+  describeStack(opts, function(err, res) {
+    if (err) return cb(err);
+    if (!res) return cb(null, null);
+    var outputs = {};
+    asList(res.Outputs).forEach(function(item) {
+      outputs[item.OutputKey] = item.OutputValue;
+    });
+    cb(null, outputs);
+  });
+}
+
+
+//  Get the raw description of a deployed stack.
+//  The given options must include a 'stack_name' key naming the stack.
+//  The result is either null if there is no such stack, or the stack
+//  member from the DescribeStacks response.
+//
+function describeStack(opts, cb) {
   getConnection(opts, function(err, cfn) {
     if (err) return cb(err);
     cfn.DescribeStacks({ StackName: opts.stack_name }, function(err, res) {
@@ -84,21 +159,44 @@ function checkStack(opts, cb) {
         }
         return cb(extractError(err)); 
       }
-      // Now we can safely grab info out of the stack description.
       res = res.Body.DescribeStacksResponse.DescribeStacksResult.Stacks.member;
-      var stack = {
-        name: res.StackName,
-        status: res.StackStatus,
-      };
-      if (res.Outputs && res.Outputs.member) {
-        if (typeof res.Outputs.member.forEach !== 'function') {
-          res.Outputs.member = [res.Outputs.member];
+      cb(null, res);
+    });
+  });
+}
+
+
+//  Get the template and parameters of a deployed stack.
+//  The given options must include a 'stack_name' key naming the stack.
+//  The result is either null if there is no such stack, or an object
+//  with the following keys:
+//
+//    * template:  the parsed CloudFormation template of the stack
+//    * parameters:  hash of the parameter values used in the deploy
+//
+function getDeployedTemplate(opts, cb) {
+  describeStack(opts, function(err, res) {
+    if (err) return cb(err);
+    if (!res) return cb(null, null);
+    var deployed = {
+      template: null,
+      parameters: {}
+    };
+    asList(res.Parameters).forEach(function(item) {
+      deployed.parameters[item.ParameterKey] = item.ParameterValue;
+    });
+    getConnection(opts, function(err, cfn) {
+      if (err) return cb(err);
+      cfn.GetTemplate({ StackName: opts.stack_name }, function(err, res) {
+        if (err) return cb(extractError(err));
+        res = res.Body.GetTemplateResponse.GetTemplateResult;
+        try {
+          deployed.template = JSON.parse(res.TemplateBody);
+        } catch (e) {
+          return cb(e);
         }
-        res.Outputs.member.forEach(function(item) {
-          stack[item.OutputKey] = item.OutputValue;
-        });
-      }
-      cb(null, stack);
+        cb(null, deployed);
+      });
     });
   });
 }
@@ -109,44 +207,101 @@ function checkStack(opts, cb) {
 //  The given options must include a 'stack_name' key naming the stack.
 //  They may optionally include a 'last_stack_event' key giving the
 //  EventId of the last-seen stack event.  Events will only be returned
-//  if they occurred after that event.
+//  if they occurred after that event.  They may also include a key
+//  'max_stack_events' limiting the number of events returned.
 //
 //  The result is an array of StackEvent info hashes, with the most recent
 //  event first.
 //
 function getStackEvents(opts, cb) {
+  fetchStackEvents(opts, opts.max_stack_events || 0, cb);
+}
+
+
+//  Fetch up to 'limit' events associated with the stack, following the
+//  NextToken pagination as far as necessary.  A limit of zero means to
+//  fetch all available events.
+//
+function fetchStackEvents(opts, limit, cb) {
   getConnection(opts, function(err, cfn) {
     if (err) return cb(err);
-    var args = {
-      StackName: opts.stack_name
-    };
-    cfn.DescribeStackEvents(args, function(err, res) {
-      if (err) return cb(extractError(err));
-      var events = res.Body.DescribeStackEventsResponse;
-      events = events.DescribeStackEventsResult.StackEvents.member;
-      if (opts.last_stack_event) {
-        for (var i=0; i < events.length; i++) {
-          if (events[i].EventId === opts.last_stack_event) {
-            events = events.slice(0, i);
-            break;
+    var events = [];
+    var nextToken = null;
+    var done = false;
+    async.doWhilst(function(cb) {
+      var args = {
+        StackName: opts.stack_name
+      };
+      if (nextToken) {
+        args.NextToken = nextToken;
+      }
+      cfn.DescribeStackEvents(args, function(err, res) {
+        if (err) return cb(extractError(err));
+        res = res.Body.DescribeStackEventsResponse.DescribeStackEventsResult;
+        var page = asList(res.StackEvents);
+        for (var i=0; i < page.length && !done; i++) {
+          if (opts.last_stack_event === page[i].EventId) {
+            done = true;
+          } else {
+            events.push(page[i]);
+            if (limit && events.length >= limit) {
+              done = true;
+            }
           }
         }
-      }
+        nextToken = res.NextToken;
+        if (!nextToken) {
+          done = true;
+        }
+        return cb(null);
+      });
+    }, function() {
+      return !done;
+    }, function(err) {
+      if (err) return cb(err);
       return cb(null, events);
     });
   });
 }
 
 
+//  Format a stack event into a single human-readable line.
+//
+function formatStackEvent(event) {
+  var msg = event.Timestamp + "  ";
+  msg += event.LogicalResourceId + " (" + event.ResourceType + "): ";
+  msg += event.ResourceStatus;
+  if (event.ResourceStatusReason) {
+    msg += " [" + event.ResourceStatusReason + "]";
+  }
+  return msg;
+}
+
+
 //  Wait for a stack to settle into a steady state.
 //  Returns the final result of checkStack() once steady state is reached.
 //  Logs progress by polling the stack event stream.
 //
-function waitForStack(opts, cb) {
+//  If the optional 'onEvent' function is given, it will be called with
+//  each new stack event in place of reporting it as progress.
+//
+function waitForStack(opts, onEvent, cb) {
+  if (typeof cb === 'undefined') {
+    cb = onEvent;
+    onEvent = function(event) {
+      var msg = event.StackName + ": ";
+      msg += event.LogicalResourceId + ": ";
+      msg += event.ResourceStatus;
+      if (event.ResourceStatusReason) {
+        msg += " [" + event.ResourceStatusReason + "]";
+      }
+      progress.event(opts, 'stackEvent', { event: event }, msg);
+    };
+  }
   var stack = null;
-  // Get the list of events as it is before polling.
-  // These are pre-existing events, so they're not logged to console.
-  getStackEvents(opts, function(err, events) {
+  // Get the most recent event as it is before polling.
+  // This is a pre-existing event, so it's not logged to console.
+  fetchStackEvents(opts, 1, function(err, events) {
     if (err) return cb(err);
     if (events && events.length) {
       opts.last_stack_event = events[0].EventId;
@@ -155,17 +310,11 @@ function waitForStack(opts, cb) {
     async.doWhilst(function(cb) {
       setTimeout(function() {
         // Look for new events, log them to the console.
-        getStackEvents(opts, function(err, events) {
+        fetchStackEvents(opts, 0, function(err, events) {
           if (err) return cb(err);
           if (events && events.length) {
             for (var i=events.length - 1; i >= 0; i--) {
-              var msg = events[i].StackName + ": ";
-              msg += events[i].LogicalResourceId + ": ";
-              msg += events[i].ResourceStatus;
-              if (events[i].ResourceStatusReason) {
-                msg += " [" + events[i].ResourceStatusReason + "]";
-              }
-              console.log(msg);
+              onEvent(events[i]);
             }
             opts.last_stack_event = events[0].EventId;
           }
@@ -180,7 +329,7 @@ function waitForStack(opts, cb) {
       return stack && INFLIGHT_STATUSES.indexOf(stack.status) !== -1;
     }, function(err) {
       if (stack) {
-        console.log(opts.stack_name + ': ' + stack.status);
+        progress.log(opts, opts.stack_name + ': ' + stack.status);
       }
       return cb(err, stack);
     });
@@ -192,7 +341,11 @@ function waitForStack(opts, cb) {
 //  The given options must include a 'stack_name' key naming the stack.
 //  This will create the stack if it doesn't exist, and update it otherwise.
 //
+//  If the template marks the stack as protected, then it's given a stack
+//  policy that stops updates from replacing or deleting stateful resources.
+//
 function deployStack(opts, cfg, cb) {
+  var isProtected = !!(cfg.Outputs && cfg.Outputs.AWSBoxenProtected);
   // Process parameter definitions into bizarro syntax for submission.
   var params = {};
   var paramNum = 1;
@@ -214,27 +367,44 @@ function deployStack(opts, cfg, cb) {
         action = function() { cfn.UpdateStack.apply(cfn, arguments); };
         successStatus = 'UPDATE_COMPLETE';
       }
-      action({
-        StackName: opts.stack_name,
-        TemplateBody: JSON.stringify(cfg),
-        Parameters: params
-      }, function(err) {
-        // An error is reported if the config hasn't changed since last deploy.
-        // We don't want to propagate that one to the client.
-        if (err) {
-          if (err.Body && err.Body.ErrorResponse) {
-            var msg = err.Body.ErrorResponse.Error.Message;
-            if (msg === 'No updates are to be performed.') {
-              return cb(null, stack);
+      // The policy of an existing stack must be updated first, so that it
+      // applies to this update.  It can't be set on a new stack until
+      // after it has been created.
+      var setPolicyBeforeDeploy = function(cb) {
+        if (!stack) return cb(null);
+        setStackPolicy(cfn, opts, isProtected, cb);
+      };
+      var setPolicyAfterDeploy = function(cb) {
+        if (stack || !isProtected) return cb(null);
+        setStackPolicy(cfn, opts, isProtected, cb);
+      };
+      setPolicyBeforeDeploy(function(err) {
+        if (err) return cb(err);
+        action({
+          StackName: opts.stack_name,
+          TemplateBody: JSON.stringify(cfg),
+          Parameters: params
+        }, function(err) {
+          // An error is reported if the config hasn't changed since last
+          // deploy.  We don't want to propagate that one to the client.
+          if (err) {
+            if (err.Body && err.Body.ErrorResponse) {
+              var msg = err.Body.ErrorResponse.Error.Message;
+              if (msg === 'No updates are to be performed.') {
+                return cb(null, stack);
+              }
             }
+            return cb(extractError(err)); 
           }
-          return cb(extractError(err)); 
-        }
-        waitForStack(opts, function(err, stack) {
-          if (err) return cb(err);
-          if (!stack) return cb('CREATE_FAILED');
-          if (stack.status !== successStatus) return cb(stack.status);
-          cb(null, stack);
+          waitForStack(opts, function(err, newStack) {
+            if (err) return cb(err);
+            if (!newStack) return cb('CREATE_FAILED');
+            if (newStack.status !== successStatus) return cb(newStack.status);
+            setPolicyAfterDeploy(function(err) {
+              if (err) return cb(err);
+              cb(null, newStack);
+            });
+          });
         });
       });
     });
@@ -242,6 +412,46 @@ function deployStack(opts, cfg, cb) {
 }
 
 
+//  Make the stack policy for a stack.  A protected stack may not replace
+//  or delete any of its stateful resources during an update, but there
+//  are no restrictions on an unprotected stack.
+//
+function makeStackPolicy(isProtected) {
+  var statements = [{
+    Effect: 'Allow',
+    Action: 'Update:*',
+    Principal: '*',
+    Resource: '*'
+  }];
+  if (isProtected) {
+    statements.push({
+      Effect: 'Deny',
+      Action: ['Update:Replace', 'Update:Delete'],
+      Principal: '*',
+      Resource: '*',
+      Condition: {
+        StringEquals: { ResourceType: STATEFUL_RESOURCE_TYPES }
+      }
+    });
+  }
+  return { Statement: statements };
+}
+
+
+// Set the stack policy for an existing stack.
+//
+function setStackPolicy(cfn, opts, isProtected, cb) {
+  var args = {
+    StackName: opts.stack_name,
+    StackPolicyBody: JSON.stringify(makeStackPolicy(isProtected))
+  };
+  cfn.send(EXTENDED_OPERATIONS.SetStackPolicy, args, {}, function(err) {
+    if (err) return cb(extractError(err));
+    return cb(null);
+  });
+}
+
+
 // Extract a useful error object.
 // This peeks inside the awssum error response to return the actual body,
 // but passes other error objects through unchanged.
@@ -253,6 +463,19 @@ function extractError(err) {
 }
 
 
+// Normalize a list of members from an awssum response into an array.
+// The XML parsing gives us a bare object if there's only a single member,
+// and nothing at all if there are no members.
+//
+function asList(container) {
+  if (!container || !container.member) return [];
+  if (typeof container.member.forEach !== 'function') {
+    return [container.member];
+  }
+  return container.member;
+}
+
+
 //  Validate a CloudFormation stack template.
 //
 function validateTemplate(opts, cfg, cb) {
@@ -271,26 +494,123 @@ function validateTemplate(opts, cfg, cb) {
 // List all the currently available stacks.
 //
 function listStacks(opts, cb) {
-  // XXX TODO: implement handling of NextToken pagination thing.
   getConnection(opts, function(err, cfn) {
     if (err) return cb(err);
-    cfn.ListStacks({}, function(err, res) {
-      if (err) return cb(extractError(err)); 
-      res = res.Body.ListStacksResponse.ListStacksResult.StackSummaries.member;
+    fetchAllPages(function(args, cb) {
+      cfn.ListStacks(args, function(err, res) {
+        if (err) return cb(err);
+        return cb(null, res.Body.ListStacksResponse.ListStacksResult);
+      });
+    }, 'StackSummaries', function(err, res) {
+      if (err) return cb(err);
       var stackNames = [];
-      if (res) {
-        res.forEach(function(stack) {
-          if (stack.StackStatus !== 'DELETE_COMPLETE') {
-            stackNames.push(stack.StackName);
-          }
-        });
-      }
+      res.forEach(function(stack) {
+        if (stack.StackStatus !== 'DELETE_COMPLETE') {
+          stackNames.push(stack.StackName);
+        }
+      });
       cb(null, stackNames);
     });
   });
 }
 
 
+//  Describe all the currently available stacks.
+//  The result is an array of objects with the following keys:
+//
+//    * name:  the name of the stack
+//    * status:  the status string for the stack
+//    * description:  the description from the stack template
+//    * created:  timestamp at which the stack was created
+//    * updated:  timestamp at which the stack was last updated
+//    * outputs:  hash of all the CloudFormation outputs of the stack
+//    * parameters:  hash of all the parameter values of the stack
+//
+function describeStacks(opts, cb) {
+  getConnection(opts, function(err, cfn) {
+    if (err) return cb(err);
+    fetchAllPages(function(args, cb) {
+      cfn.send(EXTENDED_OPERATIONS.DescribeStacks, args, {},
+      function(err, res) {
+        if (err) return cb(err);
+        return cb(null, res.Body.DescribeStacksResponse.DescribeStacksResult);
+      });
+    }, 'Stacks', function(err, res) {
+      if (err) return cb(err);
+      cb(null, res.map(function(item) {
+        var stack = {
+          name: item.StackName,
+          status: item.StackStatus,
+          description: item.Description || '',
+          created: item.CreationTime,
+          updated: item.LastUpdatedTime || item.CreationTime,
+          outputs: {},
+          parameters: {}
+        };
+        asList(item.Outputs).forEach(function(output) {
+          stack.outputs[output.OutputKey] = output.OutputValue;
+        });
+        asList(item.Parameters).forEach(function(param) {
+          stack.parameters[param.ParameterKey] = param.ParameterValue;
+        });
+        return stack;
+      }));
+    });
+  });
+}
+
+
+//  List the logical names of all resources in a stack.
+//
+function listStackResources(opts, cb) {
+  getConnection(opts, function(err, cfn) {
+    if (err) return cb(err);
+    fetchAllPages(function(args, cb) {
+      args.StackName = opts.stack_name;
+      cfn.ListStackResources(args, function(err, res) {
+        if (err) return cb(err);
+        res = res.Body.ListStackResourcesResponse;
+        return cb(null, res.ListStackResourcesResult);
+      });
+    }, 'StackResourceSummaries', function(err, res) {
+      if (err) return cb(err);
+      cb(null, res.map(function(item) {
+        return item.LogicalResourceId;
+      }));
+    });
+  });
+}
+
+
+//  Call a paginated API operation repeatedly, following the NextToken in
+//  each response until there are no more pages.  The 'call' function must
+//  invoke the operation with the given args and return its result object.
+//  The final result is the concatenated list of members of 'listKey' from
+//  each of these result objects.
+//
+function fetchAllPages(call, listKey, cb) {
+  var items = [];
+  var nextToken = null;
+  async.doWhilst(function(cb) {
+    var args = {};
+    if (nextToken) {
+      args.NextToken = nextToken;
+    }
+    call(args, function(err, res) {
+      if (err) return cb(extractError(err));
+      items = items.concat(asList(res[listKey]));
+      nextToken = res.NextToken;
+      return cb(null);
+    });
+  }, function() {
+    return !!nextToken;
+  }, function(err) {
+    if (err) return cb(err);
+    return cb(null, items);
+  });
+}
+
+
 //  Completely tear down a stack.
 //
 function teardownStack(opts, cb) {
@@ -0,0 +1,482 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Shell completion for the `awsboxen` command-line client.
+ *
+ * The scripts produced by getCompletionScript() are tiny; they just pass
+ * the partially-typed command-line back to `awsboxen complete`, which
+ * works out the possible completions by matching it against the docopt
+ * usage string.  Depending on the argument being completed, this may:
+ *
+ *    * list the commands and options from the usage string
+ *    * list the profiles and Boxen declared in the project config
+ *    * list the deployed stacks, or the resources in a particular stack
+ *
+ * Looking up stacks and resources means talking to AWS, which is too slow
+ * to do on every keypress.  So the results are cached for a short while,
+ * in a file under the user's own ~/.awsboxen directory.
+ *
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const async = require('async');
+
+const config = require('./config');
+const template = require('./template');
+const cfn = require('./cfn');
+
+
+const SHELLS = ['bash', 'zsh'];
+
+const CACHE_FILE_NAME = 'completion-cache.json';
+const CACHE_TTL = 60 * 1000;
+
+// The 'complete' command is an implementation detail of the completion
+// scripts, so it's never offered as a completion itself.
+const HIDDEN_COMMANDS = ['complete'];
+
+
+module.exports = {
+  getCompletionScript: getCompletionScript,
+  getCompletions: getCompletions,
+  parseUsage: parseUsage,
+  SHELLS: SHELLS
+};
+
+
+const COMPLETION_SCRIPTS = {
+
+  bash: [
+    '# bash completion for awsboxen.',
+    '# Enable it with:  eval "$(awsboxen completion bash)"',
+    '_awsboxen_complete() {',
+    '  local IFS=$\'\\n\'',
+    '  COMPREPLY=( $(awsboxen complete -- ' +
+      '"${COMP_WORDS[@]:1:$COMP_CWORD}" 2>/dev/null) )',
+    '}',
+    'complete -o default -F _awsboxen_complete awsboxen'
+  ],
+
+  zsh: [
+    '# zsh completion for awsboxen.',
+    '# Enable it with:  eval "$(awsboxen completion zsh)"',
+    '_awsboxen_complete() {',
+    '  local -a completions',
+    '  completions=( ${(f)"$(awsboxen complete -- ' +
+      '"${(@)words[2,$CURRENT]}" 2>/dev/null)"} )',
+    '  if (( ${#completions} )); then',
+    '    compadd -Q -a completions',
+    '  else',
+    '    _files',
+    '  fi',
+    '}',
+    'compdef _awsboxen_complete awsboxen'
+  ]
+
+};
+
+
+//  Get the completion script for the named shell, or null if that shell
+//  is not supported.
+//
+function getCompletionScript(shell) {
+  if (!COMPLETION_SCRIPTS.hasOwnProperty(shell)) return null;
+  return COMPLETION_SCRIPTS[shell].join('\n') + '\n';
+}
+
+
+//  Parse a docopt usage string into the information needed for completion.
+//  The result is a hash with the following keys:
+//
+//    * commands:  list of command specs, each a list of tokens of the form
+//                 {word: 'images'} or {arg: 'stack-name', optional: true,
+//                 repeated: false}
+//    * options:  list of all option names, long and short
+//    * valueOptions:  hash mapping the options that take a value to the
+//                     long name of that option, e.g. '-p' => 'profile'
+//
+function parseUsage(usage) {
+  var res = { commands: [], options: [], valueOptions: {} };
+  var section = null;
+  usage.split('\n').forEach(function(line) {
+    if (/^\S.*:$/.test(line)) {
+      section = line.slice(0, -1);
+      return;
+    }
+    if (!line.trim()) {
+      section = null;
+      return;
+    }
+    if (section === 'Usage') {
+      var tokens = parseUsageLine(line);
+      if (tokens.length && HIDDEN_COMMANDS.indexOf(tokens[0].word) === -1) {
+        res.commands.push(tokens);
+      }
+    } else if (section === 'Options' && /^\s*-/.test(line)) {
+      parseOptionLine(line, res);
+    }
+  });
+  return res;
+}
+
+
+// Parse a single line from the Usage section into a list of tokens.
+// Lines that don't start with a command word produce an empty list.
+//
+function parseUsageLine(line) {
+  var tokens = [];
+  var words = line.trim().split(/\s+/).slice(1);
+  if (words[0] === '[options]') words.shift();
+  if (!words.length || !/^[a-z]/.test(words[0])) return tokens;
+  words.forEach(function(word) {
+    var m = /^(\[)?<([a-z-]+)>(\.\.\.)?\]?(\.\.\.)?$/.exec(word);
+    if (m) {
+      tokens.push({
+        arg: m[2],
+        optional: !!m[1],
+        repeated: !!(m[3] || m[4])
+      });
+    } else if (/^[a-z]+$/.test(word)) {
+      tokens.push({ word: word });
+    }
+  });
+  return tokens;
+}
+
+
+// Parse a single line from the Options section, adding the option names
+// that it declares into the given result hash.
+//
+function parseOptionLine(line, res) {
+  var forms = line.trim().split(/\s{2,}/)[0].split(/,\s*/);
+  var longName = null;
+  var takesValue = false;
+  var names = [];
+  forms.forEach(function(form) {
+    var m = /^(-{1,2}[a-zA-Z0-9-]+)(?:[= ](\S+))?$/.exec(form);
+    if (!m) return;
+    names.push(m[1]);
+    if (m[2]) takesValue = true;
+    if (m[1].indexOf('--') === 0) longName = m[1].slice(2);
+  });
+  names.forEach(function(name) {
+    res.options.push(name);
+    if (takesValue) {
+      res.valueOptions[name] = longName || name.replace(/^-+/, '');
+    }
+  });
+}
+
+
+//  Get the possible completions for a partially-typed command-line.
+//  The 'words' list gives the words typed after the program name, with
+//  the last one being the (possibly empty) word under the cursor.  The
+//  result is a list of candidates for that word.
+//
+//  Errors are never reported, since there's nowhere sensible to show them
+//  when completing; things that can't be looked up just don't complete.
+//
+function getCompletions(opts, usage, words, cb) {
+  var spec = parseUsage(usage);
+  var line = parseWords(spec, words);
+  var cur = line.cur;
+
+  // Completing the value of an option, e.g. "--profile Prod".
+  // It might have been given inline as e.g. "--profile=Prod".
+  var prefix = '';
+  var valueOption = line.valueOption;
+  var m = /^(--[a-z-]+=)(.*)$/.exec(cur);
+  if (!valueOption && m && spec.valueOptions[m[1].slice(0, -1)]) {
+    valueOption = spec.valueOptions[m[1].slice(0, -1)];
+    prefix = m[1];
+    cur = m[2];
+  }
+  if (valueOption) {
+    return completeOptionValue(opts, line, valueOption, function(values) {
+      cb(null, matching(values, cur).map(function(value) {
+        return prefix + value;
+      }));
+    });
+  }
+
+  // Completing the name of an option.
+  if (cur.charAt(0) === '-') {
+    return cb(null, matching(spec.options, cur));
+  }
+
+  // Completing a command word or argument.
+  var candidates = [];
+  var args = {};
+  spec.commands.forEach(function(tokens) {
+    var next = matchCommand(tokens, line.positional, args);
+    if (next && candidates.indexOf(next) === -1) {
+      candidates.push(next);
+    }
+  });
+  async.mapSeries(candidates, function(token, cb) {
+    if (token.word) return cb(null, [token.word]);
+    completeArgument(opts, line, token.arg, args, function(values) {
+      // Don't offer repeated arguments that have already been given.
+      if (token.repeated) {
+        values = values.filter(function(value) {
+          return line.positional.indexOf(value) === -1;
+        });
+      }
+      cb(null, values);
+    });
+  }, function(err, results) {
+    var values = [];
+    results.forEach(function(result) {
+      result.forEach(function(value) {
+        if (values.indexOf(value) === -1) values.push(value);
+      });
+    });
+    cb(null, matching(values, cur));
+  });
+}
+
+
+// Split the typed words into options and positional arguments.
+// The result is a hash with the following keys:
+//
+//    * cur:  the word being completed
+//    * positional:  list of positional words before the current one
+//    * options:  hash of values for the options that take a value
+//    * valueOption:  name of the option whose value is being completed,
+//                    if any
+//
+// Note that bash splits "--opt=value" into three words around the "=",
+// so that needs to be pieced back together.
+//
+function parseWords(spec, words) {
+  words = words.map(function(word) { return word || ''; });
+  var res = {
+    cur: words.length ? words[words.length - 1] : '',
+    positional: [],
+    options: {},
+    valueOption: null
+  };
+  var prev = words.slice(0, -1);
+  if (res.cur === '=' && prev.length) {
+    prev.push('=');
+    res.cur = '';
+  }
+  for (var i = 0; i < prev.length; i++) {
+    var word = prev[i];
+    if (word === '--') continue;
+    if (word.charAt(0) !== '-') {
+      res.positional.push(word);
+      continue;
+    }
+    var bits = word.split('=');
+    var name = spec.valueOptions[bits[0]];
+    if (!name) continue;
+    var value;
+    if (bits.length > 1) {
+      value = bits.slice(1).join('=');
+    } else {
+      if (prev[i + 1] === '=') i++;
+      if (i + 1 >= prev.length) {
+        res.valueOption = name;
+        break;
+      }
+      value = prev[++i];
+    }
+    res.options[name] = res.options[name] || [];
+    res.options[name].push(value);
+  }
+  return res;
+}
+
+
+// Match positional words against the tokens of a command spec.
+// If they match, returns the token for the next word to be completed, and
+// records the values given for any named arguments in 'args'.  Otherwise,
+// returns null.
+//
+function matchCommand(tokens, positional, args) {
+  var seen = {};
+  var t = 0;
+  for (var i = 0; i < positional.length; i++) {
+    var token = tokens[t];
+    if (!token) return null;
+    if (token.word) {
+      if (token.word !== positional[i]) return null;
+    } else {
+      seen[token.arg] = positional[i];
+    }
+    if (!token.repeated) t++;
+  }
+  if (!tokens[t]) return null;
+  Object.keys(seen).forEach(function(arg) {
+    args[arg] = seen[arg];
+  });
+  return tokens[t];
+}
+
+
+// Find the possible values for an option.
+//
+function completeOptionValue(opts, line, name, cb) {
+  if (name === 'profile') {
+    return loadConfig(opts, line, function(cfg) {
+      cb(Object.keys((cfg && cfg.Profiles) || {}));
+    });
+  }
+  if (name === 'output') {
+    return cb(['text', 'json']);
+  }
+  return cb([]);
+}
+
+
+// Find the possible values for a positional argument.
+//
+function completeArgument(opts, line, arg, args, cb) {
+  opts = withWordOptions(opts, line);
+  switch (arg) {
+    case 'shell':
+      return cb(SHELLS);
+    case 'boxen':
+      return loadConfig(opts, line, function(cfg) {
+        listBoxen(cfg, opts.profile, cb);
+      });
+    case 'stack-name':
+      return cached(opts, 'stacks', function(cb) {
+        cfn.listStacks(opts, cb);
+      }, cb);
+    case 'resource-name':
+      if (!args['stack-name']) return cb([]);
+      opts.stack_name = args['stack-name'];
+      return cached(opts, 'resources:' + opts.stack_name, function(cb) {
+        cfn.listStackResources(opts, cb);
+      }, cb);
+    default:
+      return cb([]);
+  }
+}
+
+
+// Get a copy of the options hash, updated with any options that were
+// typed on the command-line being completed.
+//
+function withWordOptions(opts, line) {
+  var res = {};
+  Object.keys(opts).forEach(function(k) {
+    res[k] = opts[k];
+  });
+  if (line.options.profile) {
+    res.profile = line.options.profile[0];
+  }
+  if (line.options.config) {
+    res.config = line.options.config;
+  }
+  if (line.options['aws-region']) {
+    res.aws_region = line.options['aws-region'][0];
+  }
+  if (line.options.define) {
+    res.define = {};
+    Object.keys(opts.define || {}).forEach(function(k) {
+      res.define[k] = opts.define[k];
+    });
+    line.options.define.forEach(function(definition) {
+      definition.split(',').forEach(function(definition) {
+        var bits = definition.split('=');
+        res.define[bits[0]] = bits.slice(1).join('=');
+      });
+    });
+  }
+  return res;
+}
+
+
+// Load the project config, as selected by the given options.
+// Calls back with null if it could not be loaded.
+//
+function loadConfig(opts, line, cb) {
+  opts = withWordOptions(opts, line);
+  var configDirOrPaths = opts.project_dir;
+  if (opts.config && opts.config.length) {
+    configDirOrPaths = opts.config;
+  }
+  var loadOpts = template.getConfigOptions(opts);
+  config.loadRootConfig(configDirOrPaths, null, loadOpts, function(err, cfg) {
+    if (err) return cb(null);
+    return cb(cfg);
+  });
+}
+
+
+// List the names of the Boxen declared in a config, including any that are
+// added by the named profile.
+//
+function listBoxen(cfg, profile, cb) {
+  if (!cfg) return cb([]);
+  var configs = [cfg];
+  if (cfg.Profiles && cfg.Profiles[profile]) {
+    configs.push(cfg.Profiles[profile]);
+  }
+  var names = [];
+  async.eachSeries(configs, function(cfg, cb) {
+    template.upgradeFromAWSBoxConfig(cfg, function(err) {
+      if (err) return cb(err);
+      Object.keys(cfg.Boxen || {}).forEach(function(name) {
+        if (names.indexOf(name) === -1) names.push(name);
+      });
+      cb(null);
+    });
+  }, function(err) {
+    if (err) return cb([]);
+    return cb(names);
+  });
+}
+
+
+// Look up a list of values, using the local cache if possible.
+// Values are cached per AWS account and region, and the given key.
+// The account is identified by a hash of its key, which is a secret.
+//
+function cached(opts, key, lookup, cb) {
+  var account = crypto.createHash('sha1').update(String(opts.aws_id));
+  key = [account.digest('hex'), opts.aws_region, key].join(':');
+  var cacheDir = path.join(os.homedir(), '.awsboxen');
+  var cacheFile = path.join(cacheDir, CACHE_FILE_NAME);
+  var cache = {};
+  try {
+    cache = JSON.parse(fs.readFileSync(cacheFile));
+  } catch (e) {}
+  var now = Date.now();
+  if (cache[key] && now - cache[key].time < CACHE_TTL) {
+    return cb(cache[key].values);
+  }
+  lookup(function(err, values) {
+    if (err) return cb([]);
+    // Drop any stale entries while we're here.
+    Object.keys(cache).forEach(function(k) {
+      if (now - cache[k].time >= CACHE_TTL) delete cache[k];
+    });
+    cache[key] = { time: now, values: values };
+    try {
+      if (!fs.existsSync(cacheDir)) {
+        fs.mkdirSync(cacheDir, parseInt('700', 8));
+      }
+      var data = JSON.stringify(cache);
+      fs.writeFileSync(cacheFile, data, { mode: parseInt('600', 8) });
+    } catch (e) {}
+    return cb(values);
+  });
+}
+
+
+// Filter a list of candidates to those that start with the given prefix.
+//
+function matching(values, prefix) {
+  return values.filter(function(value) {
+    return value.indexOf(prefix) === 0;
+  });
+}
@@ -7,8 +7,22 @@
  *
  * This module implements reading of config files, applying some handy
  * shortcuts that can make writing large configs a bit simpler.  It can
- * load from JSON or YAML files directly, and can merge directory trees of
- * such files into a single configuration dict.
+ * load from JSON or YAML files directly, or from JavaScript modules that
+ * compute the config, and can merge directory trees of such files into a
+ * single configuration dict.
+ *
+ * Files can also include fragments from other files, either with a YAML
+ * "!include path" tag or with {"AWSBoxen::Include": "path"} in any format.
+ * Paths are relative to the including file, or may be git URLs of the form
+ * "git+URL#REF:path" to include a file from a particular ref of some other
+ * repository.
+ *
+ * Strings in a config can also interpolate variables such as "${env:HOME}",
+ * with the values of each type of variable supplied by the caller.
+ *
+ * When one config is merged over another, dicts are merged recursively and
+ * any other value simply replaces the old one.  Merge directives can be
+ * used to do otherwise, by deleting a key or by modifying a list in place.
  *
  */
 
@@ -16,38 +30,138 @@ const fs = require('fs');
 const path = require('path');
 const jsyaml = require('js-yaml');
 const async = require('async');
+const temp = require('temp');
+
+const git = require('./git');
+
+
+const CONFIG_FILE_EXTENSIONS = [ '.json', '.yml', '.yaml', '.js' ];
+
+// Name of a hidden property in which we record where each key of a config
+// object was loaded from, as a hash giving the 'file', the 'line' within it
+// if known, and the 'profile' if it was merged from one.  It's not
+// enumerable, so it won't show up when the config is iterated over or
+// serialized.
+const SOURCES_PROPERTY = '__awsboxenSources__';
 
+// Key for including the contents of another file into a config.
+const INCLUDE_KEY = 'AWSBoxen::Include';
 
-const CONFIG_FILE_EXTENSIONS = [ '.json', '.yml', '.yaml' ];
+// Key marking a value that deletes the key it would be merged over.
+const DELETE_KEY = 'AWSBoxen::Delete';
+
+// Keys of directives that modify the list they are merged over, rather
+// than replacing it.  They may be combined and are applied in this order.
+const LIST_DIRECTIVE_KEYS = ['AWSBoxen::Remove', 'AWSBoxen::RemoveByKey',
+                             'AWSBoxen::Prepend', 'AWSBoxen::Append'];
+
+// YAML tags that are shorthand for the merge directives.
+const YAML_DIRECTIVE_TAGS = {
+  '!delete': { kind: 'string', key: DELETE_KEY },
+  '!remove': { kind: 'array', key: 'AWSBoxen::Remove' },
+  '!removeByKey': { kind: 'object', key: 'AWSBoxen::RemoveByKey' },
+  '!prepend': { kind: 'array', key: 'AWSBoxen::Prepend' },
+  '!append': { kind: 'array', key: 'AWSBoxen::Append' }
+};
+
+// Variables to be interpolated into config strings, in the form
+// "${type:name}" or "${type:name:-default}".  A leading "$$" escapes it.
+// Only the types listed here are recognised, so that things like shell
+// variables in build scripts are left alone.
+const VARIABLE_TYPES = ['env', 'param', 'git'];
+const VARIABLE_PATTERN = new RegExp('\\$(\\$?)\\{(' + VARIABLE_TYPES.join('|') +
+                                    '):([^:}]*)(:-([^}]*))?\\}', 'g');
+
+// Pattern for a line of YAML or JSON that starts with a key, which may be
+// quoted, giving the key and the rest of the line after the colon.
+const KEY_LINE_PATTERN = new RegExp('^("(?:[^"\\\\]|\\\\.)*"|\'[^\']*\'|' +
+                                    '[^\\s#"\'{}\\[\\],&*!|>-][^#]*?)' +
+                                    '\\s*:(?:\\s+(.*))?$');
+
+// YAML schema with the "!include" tag, which is shorthand for INCLUDE_KEY,
+// and the tags for each of the merge directives.
+const YAML_SCHEMA = new jsyaml.Schema({
+  include: [jsyaml.SAFE_SCHEMA],
+  explicit: [
+    new jsyaml.Type('!include', {
+      loader: {
+        kind: 'string',
+        resolver: function(includePath) {
+          var res = {};
+          res[INCLUDE_KEY] = includePath;
+          return res;
+        }
+      }
+    })
+  ].concat(Object.keys(YAML_DIRECTIVE_TAGS).map(function(tag) {
+    var directive = YAML_DIRECTIVE_TAGS[tag];
+    return new jsyaml.Type(tag, {
+      loader: {
+        kind: directive.kind,
+        resolver: function(value) {
+          var res = {};
+          res[directive.key] = directive.kind === 'string' ? true : value;
+          return res;
+        }
+      }
+    });
+  }))
+});
 
 
 module.exports = {
   loadRootConfig: loadRootConfig,
   loadConfig: loadConfig,
   mergeConfig: mergeConfig,
-  getBaseConfigName: getBaseConfigName
+  applyMergeDirectives: applyMergeDirectives,
+  getBaseConfigName: getBaseConfigName,
+  getSource: getSource,
+  getSourceInfo: getSourceInfo,
+  findSource: findSource,
+  copySource: copySource,
+  recordProfile: recordProfile,
+  interpolateConfig: interpolateConfig,
+  INCLUDE_KEY: INCLUDE_KEY,
+  DELETE_KEY: DELETE_KEY,
+  LIST_DIRECTIVE_KEYS: LIST_DIRECTIVE_KEYS,
+  VARIABLE_TYPES: VARIABLE_TYPES
 };
 
 
 //  Load config from the given file or directory.
-//  YAML and JSON files are supported, while directories are processed
-//  recursively with each child providing a key in the dict.
+//  YAML, JSON and JavaScript files are supported, while directories are
+//  processed recursively with each child providing a key in the dict.
+//
+//  The optional context hash may contain the following keys:
 //
-function loadConfig(configPath, cb) {
+//    * options:  hash of options passed to JavaScript config files that
+//                export a function, i.e. the profile, region and defines
+//    * includeStack:  list of the files currently being included, so that
+//                     cyclic includes can be detected
+//
+function loadConfig(configPath, context, cb) {
+  if (typeof context === 'function') {
+    cb = context;
+    context = {};
+  }
+  context = {
+    options: context.options || {},
+    includeStack: context.includeStack || []
+  };
   fs.stat(configPath, function(err, stat) {
     if (err) return cb(err);
     if (stat.isDirectory()) {
-      loadConfigFromDir(configPath, cb);
+      loadConfigFromDir(configPath, context, cb);
     } else {
-      loadConfigFromFile(configPath, cb);
+      loadConfigFromFile(configPath, context, cb);
     }
   });
 }
 
 
 //  Given a file path, get the base name for the configuration section
-//  loaded from that path.  The paths "Name/", "Name.json", "Name.yaml"
-//  and "Name.yml" would all have base config name "Name".
+//  loaded from that path.  The paths "Name/", "Name.json", "Name.yaml",
+//  "Name.yml" and "Name.js" would all have base config name "Name".
 //
 //  If the given path is not recognisable as a config file then null
 //  will be returned.
@@ -70,7 +184,7 @@ function getBaseConfigName(configPath, cb) {
 //  The result is a dict with each key corresponding to a file in the
 //  directory, and each value corresponding to that file's contents.
 //
-function loadConfigFromDir(configPath, cb) {
+function loadConfigFromDir(configPath, context, cb) {
   fs.readdir(configPath, function(err, names) {
     if (err) return cb(err);
     var configPaths = [];
@@ -79,7 +193,7 @@ function loadConfigFromDir(configPath, cb) {
     });
     // Process items in a consistent order.
     configPaths.sort();
-    loadConfigFromSiblings(configPaths, cb);
+    loadConfigFromSiblings(configPaths, context, cb);
   });
 }
 
@@ -87,20 +201,21 @@ function loadConfigFromDir(configPath, cb) {
 //  Load a merged config from sibling files/directories.
 //  This logic is common to loadConfigFromDir and loadRootConfig.
 //
-function loadConfigFromSiblings(configPaths, cb) {
+function loadConfigFromSiblings(configPaths, context, cb) {
   // Independently load each sub-config.
   // Fail out if any of them fail, otherwise merge them at the end.
   async.mapSeries(configPaths, function(configPath, cb){
     getBaseConfigName(configPath, function(err, key) {
       if (err) return cb(err);
       if (!key) return cb(null, {key: null});
-      loadConfig(configPath, function(err, subConfig) {
+      loadConfig(configPath, context, function(err, subConfig) {
         if (err) return cb(err);
         // Don't merge it if it didn't produce any keys.
         // This prevents us creating bogus keys for e.g. empty dirs.
         for (var k in subConfig) {
           if (subConfig.hasOwnProperty(k)) {
-            return cb(null, {key: key, subConfig: subConfig});
+            return cb(null, {key: key, subConfig: subConfig,
+                             source: configPath});
           }
         }
         return cb(null, {key: null});
@@ -112,6 +227,7 @@ function loadConfigFromSiblings(configPaths, cb) {
     subConfigs.forEach(function(res) {
       if (res.key) {
         config[res.key] = mergeConfig(config[res.key], res.subConfig);
+        setSource(config, res.key, { file: res.source });
       }
     });
     return cb(null, config);
@@ -120,24 +236,202 @@ function loadConfigFromSiblings(configPaths, cb) {
 
 
 //  Load config from the given file.
-//  YAML and JSON are supported.  We might add more formats in the future.
+//  YAML, JSON and JavaScript are supported.  We might add more formats in
+//  the future.  Whatever the format, the result is processed the same way.
 //
-function loadConfigFromFile(configPath, cb) {
+function loadConfigFromFile(configPath, context, cb) {
   var ext = path.extname(configPath);
   if (CONFIG_FILE_EXTENSIONS.indexOf(ext) === -1) {
     return cb('unrecognised config file type: ' + ext);
   }
+  var load = ext === '.js' ? loadConfigModule : loadConfigData;
+  load(configPath, context.options, function(err, res, lines) {
+    if (err) return cb(err);
+    var directiveErr = checkMergeDirectives(res, []);
+    if (directiveErr) return cb(directiveErr + ' in ' + configPath);
+    recordSources(res, configPath, lines || {});
+    resolveIncludes(res, configPath, {
+      options: context.options,
+      includeStack: context.includeStack.concat([path.resolve(configPath)])
+    }, cb);
+  });
+}
+
+
+//  Load config data from a YAML or JSON file.  This also gives the line
+//  on which each key was found, as far as can be told.
+//
+function loadConfigData(configPath, options, cb) {
+  var ext = path.extname(configPath);
   fs.readFile(configPath, function(err, data) {
     if (err) return cb(err);
+    var res;
     try {
       if (ext === '.yml' || ext === '.yaml') {
-        cb(null, jsyaml.safeLoad(data.toString(), {strict: true}));
+        res = jsyaml.load(data.toString(), {
+          schema: YAML_SCHEMA,
+          strict: true
+        });
       } else {
-        cb(null, JSON.parse(data));
+        res = JSON.parse(data);
       }
     } catch (err) {
-      cb(err);
+      return cb(err);
+    }
+    return cb(null, res, findKeyLines(data.toString()));
+  });
+}
+
+
+//  Load config from a JavaScript module.  The module may export the config
+//  itself, or a function that is called with the given options and returns
+//  the config or a promise of it.  The module is re-loaded every time, in
+//  case the options or the files it reads have changed.
+//
+function loadConfigModule(configPath, options, cb) {
+  var fullPath = path.resolve(configPath);
+  var res;
+  try {
+    delete require.cache[fullPath];
+    res = require(fullPath);
+    if (typeof res === 'function') {
+      res = res(options);
+    }
+  } catch (err) {
+    return cb(err);
+  }
+  function checkResult(res) {
+    if (!res || typeof res !== 'object' || Array.isArray(res)) {
+      return cb('config module ' + configPath + ' did not produce a dict');
     }
+    return cb(null, res);
+  }
+  if (!res || typeof res.then !== 'function') {
+    return checkResult(res);
+  }
+  // Get out of the promise chain before calling back, so that errors in
+  // the callback aren't swallowed by the promise.
+  res.then(function(res) {
+    process.nextTick(function() {
+      checkResult(res);
+    });
+  }, function(err) {
+    process.nextTick(function() {
+      cb(err || 'config module ' + configPath + ' failed');
+    });
+  });
+}
+
+
+//  Replace any includes in a config loaded from the given file with the
+//  contents of the included files.  Any other keys alongside an include
+//  are merged over the included contents, so that they can be tweaked.
+//
+function resolveIncludes(obj, configPath, context, cb) {
+  if (!obj || typeof obj !== 'object') return cb(null, obj);
+  var keys = Object.keys(obj);
+  // Resolve any includes within the children first.
+  async.eachSeries(keys, function(key, cb) {
+    if (key === INCLUDE_KEY) return cb(null);
+    resolveIncludes(obj[key], configPath, context, function(err, res) {
+      if (err) return cb(err);
+      obj[key] = res;
+      cb(null);
+    });
+  }, function(err) {
+    if (err) return cb(err);
+    if (Array.isArray(obj) || !obj.hasOwnProperty(INCLUDE_KEY)) {
+      return cb(null, obj);
+    }
+    var includePath = obj[INCLUDE_KEY];
+    if (typeof includePath !== 'string' || !includePath) {
+      return cb('invalid ' + INCLUDE_KEY + ' in ' + configPath);
+    }
+    loadInclude(includePath, configPath, context, function(err, res) {
+      if (err) return cb(err);
+      delete obj[INCLUDE_KEY];
+      if (!Object.keys(obj).length) return cb(null, res);
+      if (!res || typeof res !== 'object' || Array.isArray(res)) {
+        return cb('cannot merge keys into non-dict include of ' +
+                  includePath + ' in ' + configPath);
+      }
+      return cb(null, mergeConfig(res, obj));
+    });
+  });
+}
+
+
+//  Load the config included from the given file by the given path, which
+//  is either relative to that file or a git URL.
+//
+function loadInclude(includePath, configPath, context, cb) {
+  if (includePath.indexOf('git+') === 0) {
+    return loadGitInclude(includePath, context, cb);
+  }
+  var fullPath = path.resolve(path.dirname(configPath), includePath);
+  var includeStack = context.includeStack;
+  if (includeStack.indexOf(fullPath) !== -1) {
+    return cb('include cycle: ' +
+              includeStack.concat([fullPath]).join(' -> '));
+  }
+  loadConfig(fullPath, context, function(err, res) {
+    if (err && err.code === 'ENOENT') {
+      err = 'included file not found: ' + includePath + ' in ' + configPath;
+    }
+    return cb(err, res);
+  });
+}
+
+
+//  Load a config included from a git URL of the form "git+URL#REF:path".
+//  The repository is cloned at the given ref into a temporary directory,
+//  which is removed once the included file has been loaded.  Everything in
+//  it is recorded as coming from the git URL.
+//
+function loadGitInclude(includeUrl, context, cb) {
+  var match = /^git\+(.+)#([^:#]+):(.+)$/.exec(includeUrl);
+  if (!match) {
+    return cb('git include must be of the form "git+URL#REF:path", ' +
+              'pinned to a ref: ' + includeUrl);
+  }
+  var includeStack = context.includeStack;
+  if (includeStack.indexOf(includeUrl) !== -1) {
+    return cb('include cycle: ' +
+              includeStack.concat([includeUrl]).join(' -> '));
+  }
+  var repoUrl = match[1];
+  var ref = match[2];
+  var filePath = match[3];
+  temp.mkdir('awsboxen-include', function(err, workDir) {
+    if (err) return cb(err);
+    var result = null;
+    async.waterfall([
+      function cloneRepo(cb) {
+        git.cloneAtCommit(repoUrl, workDir, ref, function(err) {
+          if (err) return cb('failed to fetch ' + ref + ' of ' + repoUrl);
+          cb(null);
+        });
+      },
+      function loadIncludedFile(cb) {
+        var fullPath = path.join(workDir, filePath);
+        loadConfig(fullPath, {
+          options: context.options,
+          includeStack: includeStack.concat([includeUrl])
+        }, function(err, res) {
+          if (err && err.code === 'ENOENT') {
+            err = 'included file not found: ' + includeUrl;
+          }
+          if (err) return cb(err);
+          recordSources(res, includeUrl);
+          result = res;
+          cb(null);
+        });
+      }
+    ], function(err) {
+      git.removeCheckout(workDir, function() {
+        return cb(err, result);
+      });
+    });
   });
 }
 
@@ -146,24 +440,101 @@ function loadConfigFromFile(configPath, cb) {
 //  This recursively merges items of dicts and a few other clever
 //  things, to give you a sensible combined result.
 //
+//  Lists are replaced wholesale, unless the incoming value is a hash of
+//  list directives such as {"AWSBoxen::Append": [...]}.  An incoming value
+//  of {"AWSBoxen::Delete": true} deletes the key, and the result is
+//  undefined if it replaces the whole config.  Directives for keys that
+//  are not in the original config are left in place, to be resolved by
+//  applyMergeDirectives() once all merging is done.
+//
 function mergeConfig(orig, incoming) {
-  // Only objects can be sensibly merged.
+  if (isDeleteMarker(incoming)) return undefined;
+  if (isListDirective(incoming)) return mergeList(orig, incoming);
+  // Only dicts can be sensibly merged.
   // For other types, the new value simply overrides the old.
-  if (typeof(orig) !== 'object') return incoming;
-  if (incoming === null || typeof(incoming) !== 'object') return incoming;
+  if (!isMergeable(orig) || !isMergeable(incoming)) return incoming;
   for (var key in incoming) {
     if (incoming.hasOwnProperty(key)) {
       if (orig.hasOwnProperty(key)) {
-        orig[key] = mergeConfig(orig[key], incoming[key]);
+        var value = mergeConfig(orig[key], incoming[key]);
+        if (typeof value === 'undefined') {
+          delete orig[key];
+          continue;
+        }
+        orig[key] = value;
       } else {
         orig[key] = incoming[key];
       }
+      if (getSourceInfo(incoming, key)) {
+        setSource(orig, key, getSourceInfo(incoming, key));
+      }
     }
   }
   return orig;
 }
 
 
+//  Resolve any merge directives left in a config, in place, as though
+//  they had been merged over nothing.  Delete markers are removed, and
+//  list directives become the list of items that they would add.
+//
+function applyMergeDirectives(cfg) {
+  if (!cfg || typeof cfg !== 'object') return cfg;
+  Object.keys(cfg).forEach(function(key) {
+    var value = cfg[key];
+    if (isDeleteMarker(value) && !Array.isArray(cfg)) {
+      delete cfg[key];
+    } else if (isListDirective(value)) {
+      cfg[key] = mergeList(undefined, value);
+    } else {
+      applyMergeDirectives(value);
+    }
+  });
+  return cfg;
+}
+
+
+//  Interpolate variables into every string in a config, in place.
+//  The 'lookup' hash maps each of VARIABLE_TYPES to a function that gives
+//  the value of the named variable of that type, or undefined if there
+//  is no such variable.  Undefined variables without a default value are
+//  reported as an error, naming the file they came from if known.
+//
+function interpolateConfig(cfg, lookup, cb) {
+  var err = null;
+  function interpolate(str, keyPath) {
+    return str.replace(VARIABLE_PATTERN, function(match, escape, type, name,
+                                                  hasDefault, defaultValue) {
+      if (escape) return match.substr(1);
+      var value = lookup[type] ? lookup[type](name) : undefined;
+      if (typeof value === 'undefined' || value === null) {
+        if (hasDefault) return defaultValue;
+        if (!err) {
+          var source = findSource(cfg, keyPath);
+          err = 'undefined variable "' + match + '"';
+          err += ' at ' + keyPath.join('.');
+          if (source) err += ' in ' + source;
+        }
+        return match;
+      }
+      return String(value);
+    });
+  }
+  function walk(obj, keyPath) {
+    Object.keys(obj).forEach(function(key) {
+      var value = obj[key];
+      if (typeof value === 'string') {
+        obj[key] = interpolate(value, keyPath.concat([key]));
+      } else if (value && typeof value === 'object') {
+        walk(value, keyPath.concat([key]));
+      }
+    });
+  }
+  if (cfg && typeof cfg === 'object') walk(cfg, []);
+  return cb(err, cfg);
+}
+
+
 //  Load root config file for awsboxen.
 //
 //  When given a single path name as argument, this looks for files name
@@ -178,11 +549,17 @@ function mergeConfig(orig, incoming) {
 //     - .awsbox.*
 //
 //  This can be changed by passing the optional baseNames argument.
+//  The optional options hash is passed to JavaScript config files that
+//  export a function, as described for loadConfig.
 // 
-function loadRootConfig(configDirOrPaths, baseNames, cb) {
+function loadRootConfig(configDirOrPaths, baseNames, options, cb) {
   if (typeof(baseNames) === 'function') {
     cb = baseNames;
     baseNames = null;
+    options = null;
+  } else if (typeof(options) === 'function') {
+    cb = options;
+    options = null;
   }
   if (!baseNames) {
     baseNames = ["awsboxen", ".awsboxen", ".awsbox"];
@@ -220,7 +597,8 @@ function loadRootConfig(configDirOrPaths, baseNames, cb) {
     function loadAndMergeConfigPaths(cb) {
       // Load them as siblings, then merge them all together
       // into one big config hash.
-      loadConfigFromSiblings(configPaths, function(err, subConfigs) {
+      var context = { options: options || {}, includeStack: [] };
+      loadConfigFromSiblings(configPaths, context, function(err, subConfigs) {
         if (err) return cb(err);
         var config = {};
         Object.keys(subConfigs).sort().forEach(function(k) {
@@ -232,3 +610,308 @@ function loadRootConfig(configDirOrPaths, baseNames, cb) {
 
   ], cb);
 }
+
+
+//  Get the config file from which the given key of a config object was
+//  loaded, or null if it's not known.  Keys that have been merged from
+//  several files are reported as coming from the last of them.
+//
+function getSource(obj, key) {
+  var info = getSourceInfo(obj, key);
+  return info ? info.file || null : null;
+}
+
+
+//  Get everything that's known about where the given key of a config object
+//  came from, as a hash giving the 'file', the 'line' within it and the
+//  'profile' from which it was merged, any of which may be null.  The
+//  result is null if nothing is known, e.g. because awsboxen generated it.
+//
+function getSourceInfo(obj, key) {
+  if (!obj || typeof obj !== 'object') return null;
+  if (!obj.hasOwnProperty(SOURCES_PROPERTY)) return null;
+  var info = obj[SOURCES_PROPERTY][key];
+  if (!info) return null;
+  return {
+    file: info.file || null,
+    line: info.line || null,
+    profile: info.profile || null
+  };
+}
+
+
+//  Copy the source of one key of a config object to another, such as when
+//  an item is moved around in the config.
+//
+function copySource(fromObj, fromKey, toObj, toKey) {
+  var info = getSourceInfo(fromObj, fromKey);
+  if (info) setSource(toObj, toKey, info);
+}
+
+
+//  Record that every key in a config object came from the named profile,
+//  so that it's still known once the profile has been merged.
+//
+function recordProfile(obj, profile) {
+  if (!obj || typeof obj !== 'object') return;
+  Object.keys(obj).forEach(function(key) {
+    var info = getSourceInfo(obj, key);
+    if (info) {
+      info.profile = profile;
+      setSource(obj, key, info);
+    }
+    recordProfile(obj[key], profile);
+  });
+}
+
+
+//  Find the config file from which the item at a given path in a config
+//  was loaded.  The path is a list of keys, e.g. ['Resources', 'WebHead'].
+//  If the item itself has no known source, then it's assumed to have come
+//  from the same place as its nearest parent that does.  This is null if
+//  no source is known at all, e.g. because it was generated by awsboxen.
+//
+function findSource(cfg, keyPath) {
+  var source = null;
+  var obj = cfg;
+  for (var i = 0; i < keyPath.length; i++) {
+    if (!obj || typeof obj !== 'object') break;
+    source = getSource(obj, keyPath[i]) || source;
+    obj = obj[keyPath[i]];
+  }
+  return source;
+}
+
+
+// Check whether a value is a delete marker.
+//
+function isDeleteMarker(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+         value.hasOwnProperty(DELETE_KEY);
+}
+
+
+// Check whether a value is a hash of list directives.
+//
+function isListDirective(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  return LIST_DIRECTIVE_KEYS.some(function(key) {
+    return value.hasOwnProperty(key);
+  });
+}
+
+
+// Check whether a value is a dict that others can be merged into.
+//
+function isMergeable(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+         !isDeleteMarker(value) && !isListDirective(value);
+}
+
+
+// Apply a hash of list directives to a list, giving a new list.
+// Anything that isn't a list is treated as an empty one.  Each directive
+// takes a list of values, although a single value is also accepted.
+// "Remove" drops items equal to any of its values, while "RemoveByKey"
+// drops dicts having all the keys and values of any of its dicts.
+//
+function mergeList(orig, directives) {
+  // Work with the source of each item, so it can be kept in the result.
+  function itemsOf(list) {
+    return list.map(function(value, i) {
+      return { value: value, source: getSourceInfo(list, i) };
+    });
+  }
+  function values(key) {
+    if (Array.isArray(directives[key])) return itemsOf(directives[key]);
+    return [{ value: directives[key], source: getSourceInfo(directives, key) }];
+  }
+  var list = Array.isArray(orig) ? itemsOf(orig) : [];
+  if (directives.hasOwnProperty('AWSBoxen::Remove')) {
+    list = list.filter(function(item) {
+      return !values('AWSBoxen::Remove').some(function(remove) {
+        return sameValue(item.value, remove.value);
+      });
+    });
+  }
+  if (directives.hasOwnProperty('AWSBoxen::RemoveByKey')) {
+    list = list.filter(function(item) {
+      return !values('AWSBoxen::RemoveByKey').some(function(match) {
+        var value = item.value;
+        if (!value || typeof value !== 'object') return false;
+        return Object.keys(match.value).every(function(k) {
+          return value.hasOwnProperty(k) && sameValue(value[k], match.value[k]);
+        });
+      });
+    });
+  }
+  if (directives.hasOwnProperty('AWSBoxen::Prepend')) {
+    list = values('AWSBoxen::Prepend').concat(list);
+  }
+  if (directives.hasOwnProperty('AWSBoxen::Append')) {
+    list = list.concat(values('AWSBoxen::Append'));
+  }
+  var res = list.map(function(item) {
+    return item.value;
+  });
+  list.forEach(function(item, i) {
+    if (item.source) setSource(res, i, item.source);
+  });
+  return res;
+}
+
+
+// Check that any merge directives in a freshly-loaded config are well
+// formed, returning a description of the first problem found or null.
+// Directives can't be mixed with ordinary keys, since it's not clear
+// what that would mean.
+//
+function checkMergeDirectives(obj, keyPath) {
+  if (!obj || typeof obj !== 'object') return null;
+  var keys = Object.keys(obj);
+  var where = ' at ' + (keyPath.join('.') || 'top level');
+  if (!Array.isArray(obj)) {
+    if (isDeleteMarker(obj) && keys.length !== 1) {
+      return 'invalid merge directive' + where + ': ' + DELETE_KEY +
+             ' cannot be combined with other keys';
+    }
+    if (isListDirective(obj)) {
+      for (var i = 0; i < keys.length; i++) {
+        if (LIST_DIRECTIVE_KEYS.indexOf(keys[i]) === -1) {
+          return 'invalid merge directive' + where + ': unexpected key "' +
+                 keys[i] + '"';
+        }
+      }
+      var matches = [].concat(obj['AWSBoxen::RemoveByKey'] || []);
+      for (i = 0; i < matches.length; i++) {
+        if (!isMergeable(matches[i])) {
+          return 'invalid merge directive' + where + ': ' +
+                 'AWSBoxen::RemoveByKey needs a dict of keys to match';
+        }
+      }
+      return null;
+    }
+  }
+  for (var j = 0; j < keys.length; j++) {
+    var err = checkMergeDirectives(obj[keys[j]], keyPath.concat([keys[j]]));
+    if (err) return err;
+  }
+  return null;
+}
+
+
+// Check whether two config values are deeply equal.
+//
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  var keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(function(k) {
+    return b.hasOwnProperty(k) && sameValue(a[k], b[k]);
+  });
+}
+
+
+// Record the source for a key of a config object.
+//
+function setSource(obj, key, source) {
+  if (!obj || typeof obj !== 'object') return;
+  if (!obj.hasOwnProperty(SOURCES_PROPERTY)) {
+    Object.defineProperty(obj, SOURCES_PROPERTY, {
+      value: {},
+      enumerable: false
+    });
+  }
+  obj[SOURCES_PROPERTY][key] = source;
+}
+
+
+// Record the source file for every key in a config object, recursively.
+// If a hash of lines is given, as produced by findKeyLines(), then each key
+// is recorded at its own line or else at the line of its parent.
+// Otherwise any lines already recorded are kept, so that the file can be
+// given a different name.
+//
+function recordSources(obj, file, lines, keyPath, parentLine) {
+  if (!obj || typeof obj !== 'object') return;
+  keyPath = keyPath || [];
+  Object.keys(obj).forEach(function(key) {
+    var childPath = keyPath.concat([key]);
+    var line = null;
+    if (lines) {
+      line = lines[JSON.stringify(childPath)] || parentLine || null;
+    } else if (getSourceInfo(obj, key)) {
+      line = getSourceInfo(obj, key).line;
+    }
+    setSource(obj, key, { file: file, line: line, profile: null });
+    recordSources(obj[key], file, lines, childPath, line);
+  });
+}
+
+
+// Find the line on which each key appears in the text of a YAML or JSON
+// file.  This doesn't fully parse the file; it just follows the indentation
+// of lines that start with a key or a list item, which is enough for the
+// usual block-style YAML and pretty-printed JSON.  Anything it can't make
+// sense of, such as the contents of multi-line JSON lists, is left out.
+// The result maps the JSON-encoded path of each key to its line number.
+//
+function findKeyLines(text) {
+  var lines = {};
+  var stack = [];
+  function pop(indent, popItems) {
+    while (stack.length) {
+      var top = stack[stack.length - 1];
+      if (top.indent < indent || (top.indent === indent && !popItems &&
+                                  !top.isItem)) {
+        break;
+      }
+      stack.pop();
+    }
+  }
+  function push(indent, key, lineNum, isItem, value) {
+    var parent = stack[stack.length - 1];
+    var entry = { indent: indent, key: key, isItem: isItem, items: 0 };
+    var opaque = parent && parent.opaque;
+    entry.path = (parent ? parent.path : []).concat([key]);
+    // Multi-line JSON lists and YAML block scalars can't be followed.
+    entry.opaque = opaque || /^(\[|[|>][-+0-9]*)\s*$/.test(value || '');
+    if (!opaque) lines[JSON.stringify(entry.path)] = lineNum;
+    stack.push(entry);
+  }
+  text.split(/\r?\n/).forEach(function(line, i) {
+    var match = /^(\s*)(-\s+)?(.*)$/.exec(line);
+    var indent = match[1].length;
+    var rest = match[3].replace(/,\s*$/, '');
+    if (!rest || rest.charAt(0) === '#') return;
+    if (match[2]) {
+      // A list item belongs to the nearest key above it, even one at the
+      // same indentation.
+      pop(indent, false);
+      var parent = stack[stack.length - 1];
+      if (!parent || parent.indent > indent ||
+          (parent.indent === indent && parent.isItem)) {
+        return;
+      }
+      push(indent, String(parent.items++), i + 1, true, rest);
+      indent += match[2].length;
+    }
+    var keyMatch = KEY_LINE_PATTERN.exec(rest);
+    if (!keyMatch) return;
+    var key = keyMatch[1];
+    if (key.charAt(0) === '"') {
+      key = JSON.parse(key);
+    } else if (key.charAt(0) === "'") {
+      key = key.slice(1, -1);
+    }
+    pop(indent, true);
+    push(indent, key, i + 1, false, keyMatch[2]);
+  });
+  return lines;
+}
@@ -0,0 +1,177 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Structured comparison of CloudFormation templates.
+ *
+ * This module compares two templates section-by-section, reporting the
+ * items that have been added, removed or modified in each.  Modified items
+ * come with a list of the individual property paths that have changed, so
+ * you can see exactly what an update is going to do before you submit it.
+ *
+ */
+
+
+const DIFF_SECTIONS = ['Parameters', 'Mappings', 'Resources', 'Outputs'];
+
+
+module.exports = {
+  diffTemplates: diffTemplates,
+  diffSection: diffSection,
+  diffValues: diffValues,
+  isEmptyDiff: isEmptyDiff,
+  formatDiff: formatDiff,
+  DIFF_SECTIONS: DIFF_SECTIONS
+};
+
+
+//  Compare two CloudFormation templates.
+//  The result is a hash with one key for each of DIFF_SECTIONS, with the
+//  value for each being the output of diffSection() for that section.
+//
+function diffTemplates(oldCfg, newCfg) {
+  oldCfg = oldCfg || {};
+  newCfg = newCfg || {};
+  var diff = {};
+  DIFF_SECTIONS.forEach(function(section) {
+    diff[section] = diffSection(oldCfg[section], newCfg[section]);
+  });
+  return diff;
+}
+
+
+//  Compare two hashes of named items, such as the "Resources" section of
+//  a template.  The result is a hash with the following keys:
+//
+//    * added:  hash of items present only in the new section
+//    * removed:  hash of items present only in the old section
+//    * modified:  hash mapping item names to a list of changes, as
+//                 produced by diffValues()
+//
+function diffSection(oldItems, newItems) {
+  oldItems = oldItems || {};
+  newItems = newItems || {};
+  var diff = { added: {}, removed: {}, modified: {} };
+  Object.keys(newItems).sort().forEach(function(name) {
+    if (!oldItems.hasOwnProperty(name)) {
+      diff.added[name] = newItems[name];
+    } else {
+      var changes = diffValues(oldItems[name], newItems[name]);
+      if (changes.length) {
+        diff.modified[name] = changes;
+      }
+    }
+  });
+  Object.keys(oldItems).sort().forEach(function(name) {
+    if (!newItems.hasOwnProperty(name)) {
+      diff.removed[name] = oldItems[name];
+    }
+  });
+  return diff;
+}
+
+
+//  Recursively compare two values, returning a list of changes.
+//  Each change is a hash with keys "path", "old" and "new".  The path is
+//  a dotted property path relative to the given values, with array items
+//  given in square brackets, e.g. "Properties.SecurityGroupIngress[1]".
+//  A missing value on either side is reported as undefined.
+//
+function diffValues(oldValue, newValue, pathPrefix) {
+  var changes = [];
+  pathPrefix = pathPrefix || '';
+  if (isContainer(oldValue) && isContainer(newValue) &&
+      Array.isArray(oldValue) === Array.isArray(newValue)) {
+    var keys = Object.keys(oldValue);
+    Object.keys(newValue).forEach(function(key) {
+      if (keys.indexOf(key) === -1) {
+        keys.push(key);
+      }
+    });
+    if (!Array.isArray(newValue)) {
+      keys.sort();
+    }
+    keys.forEach(function(key) {
+      var childPath;
+      if (Array.isArray(newValue)) {
+        childPath = pathPrefix + '[' + key + ']';
+      } else {
+        childPath = pathPrefix ? pathPrefix + '.' + key : key;
+      }
+      changes = changes.concat(diffValues(oldValue[key], newValue[key],
+                                          childPath));
+    });
+  } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+    changes.push({ path: pathPrefix, old: oldValue, new: newValue });
+  }
+  return changes;
+}
+
+
+//  Check whether a diff as produced by diffTemplates() contains no changes.
+//
+function isEmptyDiff(diff) {
+  return Object.keys(diff).every(function(section) {
+    return ['added', 'removed', 'modified'].every(function(kind) {
+      return Object.keys(diff[section][kind]).length === 0;
+    });
+  });
+}
+
+
+//  Format a diff as produced by diffTemplates() into human-readable form.
+//  The result is a list of lines ready to print to the console.
+//
+function formatDiff(diff) {
+  var lines = [];
+  Object.keys(diff).forEach(function(section) {
+    var sectionDiff = diff[section];
+    var names = Object.keys(sectionDiff.added)
+                  .concat(Object.keys(sectionDiff.removed))
+                  .concat(Object.keys(sectionDiff.modified));
+    if (!names.length) return;
+    lines.push(section + ':');
+    Object.keys(sectionDiff.added).forEach(function(name) {
+      lines.push('  + ' + name + describeItem(sectionDiff.added[name]));
+    });
+    Object.keys(sectionDiff.removed).forEach(function(name) {
+      lines.push('  - ' + name + describeItem(sectionDiff.removed[name]));
+    });
+    Object.keys(sectionDiff.modified).forEach(function(name) {
+      lines.push('  ~ ' + name);
+      sectionDiff.modified[name].forEach(function(change) {
+        lines.push('      ' + (change.path || '(value)') + ': ' +
+                   formatValue(change.old) + ' => ' +
+                   formatValue(change.new));
+      });
+    });
+  });
+  if (!lines.length) {
+    lines.push('No changes.');
+  }
+  return lines;
+}
+
+
+// Helper to give a short description of an added or removed item.
+// For things that look like resources this is their type, otherwise
+// there is nothing interesting to say in a single line.
+//
+function describeItem(item) {
+  if (isContainer(item) && typeof item.Type === 'string') {
+    return ' (' + item.Type + ')';
+  }
+  return '';
+}
+
+
+function formatValue(value) {
+  if (typeof value === 'undefined') return '(none)';
+  return JSON.stringify(value);
+}
+
+
+function isContainer(value) {
+  return typeof value === 'object' && value !== null;
+}
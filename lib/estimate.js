@@ -0,0 +1,351 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Rough monthly cost estimates for CloudFormation templates.
+ *
+ * This module walks the resources of a template and prices the ones that
+ * usually dominate the bill:  EC2 instances, auto-scaling groups, load
+ * balancers, EBS volumes and RDS instances.  Other resources, as well as
+ * data transfer and I/O charges, are not included.
+ *
+ * Prices come from a table bundled in prices.json, which gives for each
+ * region the hourly price of each EC2 and RDS instance type, the hourly
+ * price of a load balancer, and the monthly price per GB of storage and
+ * per provisioned IOPS.  It can be updated in place, or a newer table can
+ * be loaded from a file with the same structure using loadPrices().
+ *
+ */
+
+const fs = require('fs');
+
+const BUNDLED_PRICES = require('./prices.json');
+
+// Number of hours in an average month.
+const HOURS_PER_MONTH = 730;
+
+// Defaults used by CloudFormation for properties that aren't specified.
+const DEFAULT_INSTANCE_TYPE = 'm1.small';
+const DEFAULT_VOLUME_TYPE = 'standard';
+
+
+module.exports = {
+  loadPrices: loadPrices,
+  estimateCost: estimateCost,
+  compareEstimates: compareEstimates,
+  formatEstimates: formatEstimates,
+  HOURS_PER_MONTH: HOURS_PER_MONTH
+};
+
+
+//  Load the table of prices.  If a file is given then its prices are
+//  merged over those of the bundled table, so that it need only contain
+//  the prices that have changed.
+//
+function loadPrices(priceFile, cb) {
+  var prices = JSON.parse(JSON.stringify(BUNDLED_PRICES));
+  if (!priceFile) return cb(null, prices);
+  fs.readFile(priceFile, function(err, data) {
+    if (err) return cb(err);
+    var updates;
+    try {
+      updates = JSON.parse(data);
+    } catch (e) {
+      return cb('invalid price file ' + priceFile + ': ' + e.message);
+    }
+    var regions = updates.Regions || {};
+    Object.keys(regions).forEach(function(region) {
+      if (!prices.Regions[region]) prices.Regions[region] = {};
+      Object.keys(regions[region]).forEach(function(service) {
+        var table = prices.Regions[region][service] || {};
+        Object.keys(regions[region][service]).forEach(function(key) {
+          table[key] = regions[region][service][key];
+        });
+        prices.Regions[region][service] = table;
+      });
+    });
+    if (updates.Updated) prices.Updated = updates.Updated;
+    cb(null, prices);
+  });
+}
+
+
+//  Estimate the monthly cost of a template deployed into each of the given
+//  regions.  Each region is a hash with its 'name' and the 'paramValues'
+//  with which to resolve the template's parameters there.  The result is a
+//  hash with the following keys:
+//
+//    * total:  estimated total monthly cost, in USD
+//    * items:  list of {name, type, region, detail, monthly} hashes for
+//              each resource that was priced
+//    * unpriced:  list of {name, type, region, reason} hashes for each
+//                 resource of a priceable type that could not be priced
+//
+function estimateCost(cfg, prices, regions) {
+  var resources = cfg.Resources || {};
+  var estimate = { total: 0, items: [], unpriced: [] };
+
+  regions.forEach(function(region) {
+    var table = (prices.Regions || {})[region.name] || {};
+
+    // Missing properties get their default value, but properties whose
+    // value can't be determined are undefined.
+    function resolve(props, key, defaultValue) {
+      if (!props.hasOwnProperty(key)) return defaultValue;
+      return resolveValue(props[key], cfg, region.paramValues, region.name);
+    }
+
+    Object.keys(resources).forEach(function(name) {
+      var resource = resources[name] || {};
+      var props = resource.Properties || {};
+      var res = null;
+      switch (resource.Type) {
+        case 'AWS::EC2::Instance':
+          res = priceInstances(table, 1, resolve(props, 'InstanceType',
+                                                 DEFAULT_INSTANCE_TYPE));
+          break;
+        case 'AWS::AutoScaling::AutoScalingGroup':
+          res = priceAutoScalingGroup(table, resources, props, resolve);
+          break;
+        case 'AWS::ElasticLoadBalancing::LoadBalancer':
+          res = priceHourly((table.ELB || {}).hour, 1, 'load balancer',
+                            'load balancers');
+          break;
+        case 'AWS::EC2::Volume':
+          res = priceVolume(table, resolve(props, 'Size'),
+                            resolve(props, 'VolumeType', DEFAULT_VOLUME_TYPE),
+                            resolve(props, 'Iops'));
+          break;
+        case 'AWS::RDS::DBInstance':
+          res = priceDBInstance(table, props, resolve);
+          break;
+        default:
+          return;
+      }
+      var item = { name: name, type: resource.Type, region: region.name };
+      if (res.error) {
+        item.reason = res.error;
+        estimate.unpriced.push(item);
+      } else {
+        item.detail = res.detail;
+        item.monthly = roundCost(res.monthly);
+        estimate.items.push(item);
+        estimate.total = roundCost(estimate.total + item.monthly);
+      }
+    });
+  });
+  return estimate;
+}
+
+
+//  Compare two estimates, such as those for two profiles or for a local
+//  and a deployed template.  The result is a hash with the following keys:
+//
+//    * total:  the change in total monthly cost
+//    * items:  list of {name, region, before, after} hashes for each item
+//              whose cost has changed, with null for missing items
+//
+function compareEstimates(before, after) {
+  function costs(estimate) {
+    var res = {};
+    estimate.items.forEach(function(item) {
+      res[item.region + ' ' + item.name] = item;
+    });
+    return res;
+  }
+  var beforeCosts = costs(before);
+  var afterCosts = costs(after);
+  var keys = Object.keys(beforeCosts);
+  Object.keys(afterCosts).forEach(function(key) {
+    if (!beforeCosts.hasOwnProperty(key)) keys.push(key);
+  });
+  var diff = { total: roundCost(after.total - before.total), items: [] };
+  keys.forEach(function(key) {
+    var item = afterCosts[key] || beforeCosts[key];
+    var beforeCost = beforeCosts[key] ? beforeCosts[key].monthly : null;
+    var afterCost = afterCosts[key] ? afterCosts[key].monthly : null;
+    if (beforeCost !== afterCost) {
+      diff.items.push({
+        name: item.name,
+        region: item.region,
+        before: beforeCost,
+        after: afterCost
+      });
+    }
+  });
+  return diff;
+}
+
+
+//  Format the result of the 'estimate' command into human-readable form.
+//  This is a list of labelled estimates, plus the difference between them
+//  if there are two.  The result is a list of lines ready to print.
+//
+function formatEstimates(res) {
+  var lines = [];
+  res.estimates.forEach(function(estimate) {
+    lines.push('Estimated monthly cost of ' + estimate.label + ':');
+    estimate.items.forEach(function(item) {
+      lines.push('  ' + item.region + ' ' + item.name + ' (' + item.detail +
+                 '): ' + formatCost(item.monthly));
+    });
+    estimate.unpriced.forEach(function(item) {
+      lines.push('  ' + item.region + ' ' + item.name + ': not priced; ' +
+                 item.reason);
+    });
+    lines.push('  Total: ' + formatCost(estimate.total) + ' per month');
+  });
+  if (res.difference) {
+    lines.push('Change from ' + res.estimates[0].label + ' to ' +
+               res.estimates[1].label + ':');
+    res.difference.items.forEach(function(item) {
+      var before = item.before === null ? '-' : formatCost(item.before);
+      var after = item.after === null ? '-' : formatCost(item.after);
+      lines.push('  ' + item.region + ' ' + item.name + ': ' + before +
+                 ' -> ' + after);
+    });
+    var sign = res.difference.total < 0 ? '-' : '+';
+    lines.push('  Total: ' + sign + formatCost(Math.abs(res.difference.total)) +
+               ' per month');
+  }
+  lines.push('Prices as of ' + res.pricesUpdated + '; excludes data ' +
+             'transfer, I/O and unlisted resource types.');
+  return lines;
+}
+
+
+// Helper function to price a number of EC2 instances of a given type.
+//
+function priceInstances(table, count, instanceType) {
+  if (typeof instanceType !== 'string') {
+    return { error: 'could not determine the instance type' };
+  }
+  return priceHourly((table.EC2 || {})[instanceType], count, instanceType,
+                     'instance type "' + instanceType + '"');
+}
+
+
+// Helper function to price an auto-scaling group, using its desired
+// capacity (or minimum size) and the instance type of its launch config.
+//
+function priceAutoScalingGroup(table, resources, props, resolve) {
+  var count = resolve(props, 'DesiredCapacity');
+  if (typeof count === 'undefined') count = resolve(props, 'MinSize');
+  count = parseInt(count, 10);
+  if (isNaN(count)) {
+    return { error: 'could not determine the number of instances' };
+  }
+  var launchConfig = props.LaunchConfigurationName;
+  if (launchConfig && launchConfig.Ref) launchConfig = launchConfig.Ref;
+  launchConfig = resources[launchConfig];
+  if (!launchConfig) {
+    return { error: 'could not find the launch configuration' };
+  }
+  var instanceType = resolve(launchConfig.Properties || {}, 'InstanceType',
+                             DEFAULT_INSTANCE_TYPE);
+  return priceInstances(table, count, instanceType);
+}
+
+
+// Helper function to price an EBS volume.
+//
+function priceVolume(table, size, volumeType, iops) {
+  size = parseInt(size, 10);
+  if (isNaN(size)) {
+    return { error: 'could not determine the volume size' };
+  }
+  var ebs = table.EBS || {};
+  if (typeof ebs[volumeType] !== 'number') {
+    return { error: 'no price for volume type "' + volumeType + '"' };
+  }
+  var monthly = size * ebs[volumeType];
+  var detail = size + 'GB ' + volumeType;
+  iops = parseInt(iops, 10);
+  if (!isNaN(iops)) {
+    monthly += iops * (ebs.iops || 0);
+    detail += ', ' + iops + ' IOPS';
+  }
+  return { monthly: monthly, detail: detail };
+}
+
+
+// Helper function to price an RDS instance, including its storage.
+// Multi-AZ instances cost double, since there's a standby instance.
+//
+function priceDBInstance(table, props, resolve) {
+  var rds = table.RDS || {};
+  var instanceClass = resolve(props, 'DBInstanceClass');
+  if (typeof instanceClass !== 'string') {
+    return { error: 'could not determine the instance class' };
+  }
+  var multiAZ = String(resolve(props, 'MultiAZ')) === 'true';
+  var res = priceHourly(rds[instanceClass], 1,
+                        instanceClass + (multiAZ ? ' multi-AZ' : ''),
+                        'instance class "' + instanceClass + '"');
+  if (res.error) return res;
+  if (multiAZ) res.monthly *= 2;
+  var storage = parseInt(resolve(props, 'AllocatedStorage'), 10);
+  if (!isNaN(storage)) {
+    res.monthly += storage * (rds.storage || 0) * (multiAZ ? 2 : 1);
+    res.detail += ', ' + storage + 'GB';
+  }
+  var iops = parseInt(resolve(props, 'Iops'), 10);
+  if (!isNaN(iops)) {
+    res.monthly += iops * (rds.iops || 0) * (multiAZ ? 2 : 1);
+    res.detail += ', ' + iops + ' IOPS';
+  }
+  return res;
+}
+
+
+// Helper function to price something that's charged by the hour.
+//
+function priceHourly(hourly, count, description, priceName) {
+  if (typeof hourly !== 'number') {
+    return { error: 'no price for ' + priceName };
+  }
+  return {
+    monthly: hourly * count * HOURS_PER_MONTH,
+    detail: (count === 1 ? '' : count + ' x ') + description
+  };
+}
+
+
+// Helper function to resolve a property value from the template.
+// This handles literal values, Refs to parameters or the region, and
+// Fn::FindInMap with resolvable keys.  Anything else is undefined.
+//
+function resolveValue(value, cfg, paramValues, region) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value.hasOwnProperty('Ref')) {
+    if (value.Ref === 'AWS::Region') return region;
+    return paramValues[value.Ref];
+  }
+  if (value.hasOwnProperty('Fn::FindInMap')) {
+    var args = value['Fn::FindInMap'];
+    if (!Array.isArray(args)) return undefined;
+    var res = cfg.Mappings;
+    for (var i = 0; i < args.length; i++) {
+      var key = resolveValue(args[i], cfg, paramValues, region);
+      if (!res || typeof key === 'undefined') return undefined;
+      res = res[key];
+    }
+    return res;
+  }
+  return undefined;
+}
+
+
+// Helper function to round a cost to the nearest cent.
+//
+function roundCost(cost) {
+  return Math.round(cost * 100) / 100;
+}
+
+
+// Helper function to format a monthly cost in dollars.
+//
+function formatCost(cost) {
+  return '$' + cost.toFixed(2);
+}
@@ -0,0 +1,87 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Explanation of where each value in a loaded config came from.
+ *
+ * The config loader records the file, and where possible the line, from
+ * which each key was loaded, and the template loader records the profile
+ * from which it was merged.  This module lists every leaf value in the
+ * config along with that information.  Each item of the explanation is a
+ * hash with the following keys:
+ *
+ *    * path:  list of keys leading to the value in the config
+ *    * value:  the value itself; empty dicts and lists count as values
+ *    * file:  the file it came from, or null if not known
+ *    * line:  the line within that file, or null if not known
+ *    * profile:  the profile that last set it, or null for the base config
+ *    * generated:  true if it was generated by awsboxen rather than loaded
+ *
+ */
+
+const path = require('path');
+
+const config = require('./config');
+
+
+module.exports = {
+  explainConfig: explainConfig,
+  formatExplanation: formatExplanation
+};
+
+
+//  Explain where each leaf value of a loaded config came from.  Paths of
+//  files are given relative to the base directory, if there is one.
+//  Leaves whose value is undefined aren't really there, so are left out.
+//
+function explainConfig(cfg, baseDir) {
+  var explanation = [];
+  function walk(obj, keyPath) {
+    Object.keys(obj).forEach(function(key) {
+      var value = obj[key];
+      var itemPath = keyPath.concat([key]);
+      if (typeof value === 'undefined') return;
+      if (value && typeof value === 'object' && Object.keys(value).length) {
+        return walk(value, itemPath);
+      }
+      var info = config.getSourceInfo(obj, key);
+      var item = {
+        path: itemPath,
+        value: value,
+        file: null,
+        line: null,
+        profile: null,
+        generated: !info
+      };
+      if (info) {
+        item.file = info.file;
+        if (item.file && baseDir && path.resolve(item.file) === item.file) {
+          item.file = path.relative(baseDir, item.file);
+        }
+        item.line = info.line;
+        item.profile = info.profile;
+      }
+      explanation.push(item);
+    });
+  }
+  if (cfg && typeof cfg === 'object') walk(cfg, []);
+  return explanation;
+}
+
+
+//  Format an explanation into human-readable lines of text, giving the
+//  path and value of each item followed by where it came from.
+//
+function formatExplanation(explanation) {
+  return explanation.map(function(item) {
+    var origin = 'generated';
+    if (!item.generated) {
+      origin = item.file || 'unknown file';
+      if (item.line) origin += ':' + item.line;
+      if (item.profile) origin += ', profile ' + item.profile;
+    }
+    return item.path.join('.') + ': ' + JSON.stringify(item.value) + '  (' +
+           origin + ')';
+  });
+}
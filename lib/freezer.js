@@ -11,18 +11,24 @@
  *
  */
 
-const child_process = require('child_process');
-const fs = require('fs');
-const path = require('path');
 const async = require('async');
-const temp = require('temp');
 const crypto = require('crypto');
 const aws = require('awssum-amazon');
 const Ec2 = require('awssum-amazon-ec2').Ec2;
 
+const template = require('./template');
+const progress = require('./progress');
+const git = require('./git');
+
 
 module.exports = {
   createAMI: createAMI,
+  createAMIInRegions: createAMIInRegions,
+  copyAMI: copyAMI,
+  planAMI: planAMI,
+  planAMIInRegions: planAMIInRegions,
+  getHelper: getHelper,
+  checkBoxen: checkBoxen,
   _createAMIFromInstance: createAMIFromInstance,
   _getConnection: getConnection,
   _extractError: extractError
@@ -69,7 +75,7 @@ function extractError(err) {
 function createAMIFromInstance(opts, instanceId, imageName, cb) {
   getConnection(opts, function(err, ec2) {
     if (err) return cb(err);
-    console.log("Creating AMI", imageName, "from instance", instanceId);
+    progress.log(opts, "Creating AMI", imageName, "from instance", instanceId);
     ec2.CreateImage({
       InstanceId: instanceId,
       Name: imageName,
@@ -77,22 +83,8 @@ function createAMIFromInstance(opts, instanceId, imageName, cb) {
     }, function(err, res) {
       if (err) return cb(extractError(err));
       var imageId = res.Body.CreateImageResponse.imageId;
-      // Loop waiting for the creation to complete.
-      var state = null;
-      async.doWhilst(function(cb) {
-        setTimeout(function() {
-          ec2.DescribeImages({ ImageId: imageId }, function(err, res) {
-            if (err) return cb(extractError(err));
-            state = res.Body.DescribeImagesResponse.imagesSet.item.imageState;
-            console.log('AMI state: ' + state);
-            cb(null);
-          });
-        }, 8000);
-      }, function() {
-        return state === 'pending';
-      }, function(err) {
+      waitForAMI(opts, ec2, imageId, imageName, function(err) {
         if (err) return cb(err);
-        if (state !== 'available') return cb('image creation failed');
         // Find the snapshot ID, and use it to set a friendly name
         // on the snapshot.  This makes it easier to clean them up.
         ec2.DescribeImages({ ImageId: imageId }, function(err, res) {
@@ -100,7 +92,7 @@ function createAMIFromInstance(opts, instanceId, imageName, cb) {
           res = res.Body.DescribeImagesResponse;
           var bdm = res.imagesSet.item.blockDeviceMapping;
           var snapshotId = bdm.item.ebs.snapshotId;
-          console.log('Snapshot ID: ' + snapshotId);
+          progress.log(opts, 'Snapshot ID: ' + snapshotId);
           ec2.CreateTags({
             ResourceId: snapshotId,
             Tag: { "0.Key": "Name", "0.Value": imageName }
@@ -115,6 +107,86 @@ function createAMIFromInstance(opts, instanceId, imageName, cb) {
 }
 
 
+// Wait for a newly-created AMI to become available.
+//
+function waitForAMI(opts, ec2, imageId, imageName, cb) {
+  var state = null;
+  async.doWhilst(function(cb) {
+    setTimeout(function() {
+      ec2.DescribeImages({ ImageId: imageId }, function(err, res) {
+        if (err) return cb(extractError(err));
+        state = res.Body.DescribeImagesResponse.imagesSet.item.imageState;
+        progress.event(opts, 'amiState', {
+          imageName: imageName,
+          amiId: imageId,
+          state: state
+        }, 'AMI state: ' + state);
+        cb(null);
+      });
+    }, 8000);
+  }, function() {
+    return state === 'pending';
+  }, function(err) {
+    if (err) return cb(err);
+    if (state !== 'available') return cb('image creation failed');
+    return cb(null);
+  });
+}
+
+
+//  Copy an AMI into another region, giving it the same name there.
+//  The AMI must be in the region given in the options.  If there's already
+//  an AMI of that name in the target region then it will be used as-is,
+//  unless we're clearing cached boxen.
+//
+function copyAMI(opts, amiId, imageName, region, cb) {
+  var regionOpts = {};
+  Object.keys(opts).forEach(function(k) {
+    regionOpts[k] = opts[k];
+  });
+  regionOpts.aws_region = region;
+  async.waterfall([
+
+    function checkForExistingCopy(cb) {
+      checkAMI(regionOpts, imageName, function(err, id) {
+        if (err) return cb(err);
+        if (!id) return cb(null, null);
+        if (!opts.clear_cached_boxen) {
+          progress.log(opts, 'Using existing AMI in ' + region + ': ' +
+                       imageName);
+          return cb(null, id);
+        }
+        progress.log(opts, 'Clearing cached AMI in ' + region + ': ' +
+                     imageName);
+        deleteAMI(regionOpts, id, function(err) {
+          return cb(err, null);
+        });
+      });
+    },
+
+    function copyIfNecessary(existingId, cb) {
+      if (existingId) return cb(null, existingId);
+      getConnection(regionOpts, function(err, ec2) {
+        if (err) return cb(err);
+        progress.log(opts, 'Copying AMI ' + imageName + ' to ' + region);
+        ec2.CopyImage({
+          SourceRegion: opts.aws_region,
+          SourceImageId: amiId,
+          Name: imageName,
+          Description: imageName
+        }, function(err, res) {
+          if (err) return cb(extractError(err));
+          var copyId = res.Body.CopyImageResponse.imageId;
+          waitForAMI(regionOpts, ec2, copyId, imageName, function(err) {
+            return cb(err, copyId);
+          });
+        });
+      });
+    }
+  ], cb);
+}
+
+
 //  Check for an AMI, given the intended name.
 //  This will return either the amiId, or null.
 //
@@ -151,6 +223,7 @@ function deleteAMI(opts, id, cb) {
 
 
 // Create an AMI from a boxen configuration.
+// The result is the id of the AMI, along with the name given to it.
 //
 // This function calls out to boxen-type-dependent helper functions to
 // create a running instance with the appropriate configuration, then
@@ -167,99 +240,11 @@ function deleteAMI(opts, id, cb) {
 //
 //
 function createAMI(opts, projDir, cfg, boxName, cb) {
-  var boxCfg = cfg.Boxen[boxName];
-  // This is the state that needs to be threaded between each of the
-  // waterfalled functions below, and the instance creation helpers.
-  // XXX TODO: refactor it into a proper class or something.
-  var state = {
-    opts: opts,
-    cfg: cfg,
-    workDir: null,
-    projName: "",
-    boxName: boxName,
-    boxCfg: boxCfg,
-    imageName: null,
-    currentCommit: null,
-    helper: null,
-    instanceId: null,
-    amiId: null,
-  };
+  var state = makeState(opts, projDir, cfg, boxName);
   async.waterfall([
 
-    function makeWorkingDir(cb) {
-      temp.mkdir('awsboxen-freezer', function(err, dirPath) {
-        if (err) return cb(err);
-        state.workDir = dirPath;
-        cb(null);
-      });
-    },
-
-    function findCurrentCommit(cb) {
-      child_process.exec('git log --pretty=%h -1', function(err, stdout) {
-        if (err) return cb(err);
-        state.currentCommit = stdout.trim();
-        if (!state.currentCommit || state.currentCommit.length !== 7) {
-          return cb('failed to get current commit');
-        }
-        cb(null);
-      });
-    },
-
-    function cloneGitRepoAtCurrentCommit(cb) {
-      var p = child_process.spawn('git', ['clone', projDir, state.workDir]);
-      p.on('exit', function(code, signal) {
-        var err = code || signal;
-        if (err) return cb(err);
-        // The awsbox deploy magic doesn't seem to work if I just checkout
-        // the target commit, so instead I rewrite master to point to it.
-        // *rfkelly waves hands mysteriously*
-        var p = child_process.spawn('git',
-                                    ['reset', '--hard', state.currentCommit],
-                                    {cwd: state.workDir});
-        p.on('exit', function(code, signal) {
-          var err = code || signal;
-          return cb(err);
-        });
-      });
-    },
-
-    function findInstanceCreationHelper(cb) {
-      // Use the boxen type to find the appropriate helper module.
-      var helperName = boxCfg.Type.toLowerCase();
-      if (helperName.indexOf('awsboxen::') === 0) {
-        helperName = helperName.split("awsboxen::")[1];
-      }
-      try {
-        state.helper = require('./freezer/' + helperName + '.js');
-      } catch (err) {
-        return cb('Invalid boxen type: ' + boxCfg.Type);
-      }
-      return cb(null);
-    },
-
-    function constructImageName(cb) {
-      // Name the image after the project, boxName, and hash of config info.
-      // By default we hash anything that could affect the final AMI, to
-      // prevent accidental AMI collisions.  Helpers can overwrite this if
-      // they know how to avoid more false positives.
-      // XXX TODO: use tags instead of encoding it all in the name?
-      state.projName = path.basename(path.join(process.cwd(), projDir));
-      if (!state.helper.calcConfigHash) {
-        state.helper.calcConfigHash = function(state, cb) {
-          var configHasher = crypto.createHash('sha1');
-          configHasher.update(state.projName);
-          configHasher.update(state.currentCommit);
-          configHasher.update(state.boxName);
-          configHasher.update(JSON.stringify(state.boxCfg));
-          return cb(null, configHasher.digest('base64'));
-        };
-      }
-      state.helper.calcConfigHash(state, function(err, configHash) {
-        if (err) return cb(err);
-        configHash = configHash.replace(/[\/\-\+]/g, '').slice(0, 6);
-        state.imageName = [state.projName, boxName, configHash].join('-');
-        cb(null);
-      });
+    function prepare(cb) {
+      prepareState(state, cb);
     },
 
     function skipIfImageAlreadyExists(cb) {
@@ -268,11 +253,11 @@ function createAMI(opts, projDir, cfg, boxName, cb) {
         state.amiId = id;
         if (id) {
           if (!opts.clear_cached_boxen) {
-            console.log("Using existing AMI: " + state.imageName);
+            progress.log(opts, "Using existing AMI: " + state.imageName);
             // 'break' out of the waterfall with a special error value.
             return cb('AWSBOXEN_AMI_ALREADY_EXISTS');
           }
-          console.log("Clearing cached AMI: " + state.imageName);
+          progress.log(opts, "Clearing cached AMI: " + state.imageName);
           deleteAMI(opts, state.amiId, cb);
         } else {
           cb(null);
@@ -281,7 +266,7 @@ function createAMI(opts, projDir, cfg, boxName, cb) {
     },
 
     function createInstance(cb) {
-      console.log("Building new AMI: " + state.imageName);
+      progress.log(opts, "Building new AMI: " + state.imageName);
       // Call the helper, capture the instance id into a scoped variable.
       state.helper.createInstance(state, function(err, instanceId) {
         state.instanceId = instanceId;
@@ -305,35 +290,327 @@ function createAMI(opts, projDir, cfg, boxName, cb) {
 
   function cleanup(err) {
     if (err === 'AWSBOXEN_AMI_ALREADY_EXISTS') err = null;
-    if (!state.workDir) return cb(err, state.amiId);
-    cleanupDir(state.workDir, function(cleanupError) {
-      return cb(err || cleanupError, state.amiId);
+    if (!state.workDir) return cb(err, state.amiId, state.imageName);
+    git.removeCheckout(state.workDir, function(cleanupError) {
+      return cb(err || cleanupError, state.amiId, state.imageName);
     });
 
   });
 }
 
 
-// Recursively delete a directory.
-// Probably there is a better way to handle this, but I don't
-// feel like shaving that yak right now...
+// Create an AMI from a boxen configuration, and make it available in each
+// of the given regions.  It's built just once, in the region given in the
+// options, and then copied into each of the others.  The result is a hash
+// mapping region names to AMI ids.
 //
-function cleanupDir(dirPath, cb) {
-  fs.readdir(dirPath, function(err, names) {
+function createAMIInRegions(opts, projDir, cfg, boxName, regions, cb) {
+  createAMI(opts, projDir, cfg, boxName, function(err, amiId, imageName) {
     if (err) return cb(err);
-    async.eachSeries(names, function(name, cb) {
-      var childPath = path.join(dirPath, name);
-      fs.stat(childPath, function(err, stat) {
+    var amiIds = {};
+    amiIds[opts.aws_region] = amiId;
+    async.eachSeries(regions, function(region, cb) {
+      if (amiIds[region]) return cb(null);
+      copyAMI(opts, amiId, imageName, region, function(err, id) {
         if (err) return cb(err);
-        if (stat.isDirectory()) {
-          cleanupDir(childPath, cb);
-        } else {
-          fs.unlink(childPath, cb);
-        }
+        amiIds[region] = id;
+        return cb(null);
       });
     }, function(err) {
       if (err) return cb(err);
-      fs.rmdir(dirPath, cb);
+      return cb(null, amiIds);
+    });
+  });
+}
+
+
+// Plan the creation of an AMI from a boxen configuration.
+//
+// This does all the same preparation as createAMI(), including calculating
+// the name of the image, but stops short of building anything.  Rather
+// than cloning the current commit, it reads the project directory as-is,
+// which is the same thing so long as there are no uncommitted changes.
+// The result is a hash with the following keys:
+//
+//    * imageName:  the name that the AMI would be given
+//    * amiId:  the id of the existing AMI with that name, or null
+//    * rebuild:  whether a new AMI would be built by createAMI()
+//
+function planAMI(opts, projDir, cfg, boxName, cb) {
+  var state = makeState(opts, projDir, cfg, boxName);
+  state.workDir = projDir;
+  async.waterfall([
+
+    function prepare(cb) {
+      prepareState(state, cb);
+    },
+
+    function findExistingImage(cb) {
+      checkAMI(opts, state.imageName, function(err, id) {
+        if (err) return cb(err);
+        state.amiId = id;
+        cb(null);
+      });
+    }
+  ],
+
+  function done(err) {
+    return cb(err, {
+      imageName: state.imageName,
+      amiId: state.amiId,
+      rebuild: !state.amiId || !!opts.clear_cached_boxen
     });
   });
 }
+
+
+// Plan the creation of an AMI in each of the given regions, as would be
+// done by createAMIInRegions().  The result is as for planAMI(), plus a
+// key 'copies' mapping each of the other regions to a hash with keys:
+//
+//    * amiId:  the id of the existing copy in that region, or null
+//    * copy:  whether the AMI would be copied into that region
+//
+function planAMIInRegions(opts, projDir, cfg, boxName, regions, cb) {
+  planAMI(opts, projDir, cfg, boxName, function(err, plan) {
+    if (err) return cb(err);
+    plan.copies = {};
+    async.eachSeries(regions, function(region, cb) {
+      if (region === opts.aws_region) return cb(null);
+      var regionOpts = {};
+      Object.keys(opts).forEach(function(k) {
+        regionOpts[k] = opts[k];
+      });
+      regionOpts.aws_region = region;
+      checkAMI(regionOpts, plan.imageName, function(err, id) {
+        if (err) return cb(err);
+        plan.copies[region] = {
+          amiId: id,
+          copy: !id || !!opts.clear_cached_boxen
+        };
+        return cb(null);
+      });
+    }, function(err) {
+      return cb(err, plan);
+    });
+  });
+}
+
+
+//  Get the helper module that builds boxen of the given type, or null if
+//  there's no such type.  The "AWSBoxen::" prefix is optional, and the
+//  type is not case-sensitive.
+//
+function getHelper(boxType) {
+  if (typeof boxType !== 'string') return null;
+  var helperName = boxType.toLowerCase();
+  if (helperName.indexOf('awsboxen::') === 0) {
+    helperName = helperName.split("awsboxen::")[1];
+  }
+  try {
+    return require('./freezer/' + helperName + '.js');
+  } catch (err) {
+    return null;
+  }
+}
+
+
+//  Check the declaration of each Boxen against the schema that its helper
+//  publishes for its Properties, returning a list of the problems found in
+//  the same form as those of the linter.  Each helper's SCHEMA maps each
+//  property name to a hash with the following keys:
+//
+//    * type:  one of "string", "number", "boolean", "list" or "dict"
+//    * required:  whether the property must be given
+//    * items:  the type of each item, for a list or dict
+//    * values:  the allowed values, or the allowed keys for a dict
+//
+//  Unknown properties are reported as warnings, since the helper will just
+//  ignore them.  Values computed by CloudFormation functions, such as
+//  {"Ref": "Param"}, can't be checked until deploy time and so are allowed.
+//
+function checkBoxen(cfg) {
+  var problems = [];
+
+  function report(level, path, message) {
+    problems.push({ level: level, path: path, message: message });
+  }
+
+  Object.keys(cfg.Boxen || {}).forEach(function(boxName) {
+    var boxCfg = cfg.Boxen[boxName];
+    var boxPath = ['Boxen', boxName];
+    if (getType(boxCfg) !== 'dict') {
+      report('error', boxPath, 'Boxen "' + boxName + '" must be a dict');
+      return;
+    }
+    var helper = getHelper(boxCfg.Type);
+    if (!helper) {
+      report('error', boxPath.concat(['Type']), 'invalid boxen type "' +
+             boxCfg.Type + '"');
+      return;
+    }
+    var schema = helper.SCHEMA;
+    if (!schema) return;
+    var props = boxCfg.Properties;
+    var propsPath = boxPath.concat(['Properties']);
+    if (getType(props) !== 'dict') {
+      report('error', propsPath, 'Properties of Boxen "' + boxName +
+             '" must be a dict');
+      return;
+    }
+    Object.keys(schema).forEach(function(name) {
+      if (schema[name].required && !props.hasOwnProperty(name)) {
+        report('error', propsPath, 'missing required property "' + name +
+               '" of ' + boxCfg.Type + ' Boxen "' + boxName + '"');
+      }
+    });
+    Object.keys(props).forEach(function(name) {
+      if (!schema.hasOwnProperty(name)) {
+        report('warning', propsPath.concat([name]), 'unknown property "' +
+               name + '" of ' + boxCfg.Type + ' Boxen "' + boxName +
+               '" will be ignored');
+        return;
+      }
+      checkProperty(props[name], schema[name], propsPath.concat([name]),
+                    report);
+    });
+  });
+
+  return problems;
+}
+
+
+// Check the value of a property against its entry in a helper's schema,
+// reporting any problems.  Lists and dicts have each of their items
+// checked in turn.
+//
+function checkProperty(value, spec, keyPath, report) {
+  if (isFunctionCall(value)) return;
+  var valueType = getType(value);
+  if (valueType !== spec.type) {
+    report('error', keyPath, 'expected a ' + spec.type + ' but found ' +
+           (value === null ? 'null' : 'a ' + valueType));
+    return;
+  }
+  if (spec.values) {
+    var names = valueType === 'dict' ? Object.keys(value) : [value];
+    names.forEach(function(name) {
+      if (spec.values.indexOf(name) !== -1) return;
+      report('error', valueType === 'dict' ? keyPath.concat([name]) : keyPath,
+             JSON.stringify(name) + ' is not one of ' +
+             spec.values.join(', '));
+    });
+  }
+  if (spec.items && (valueType === 'list' || valueType === 'dict')) {
+    Object.keys(value).forEach(function(key) {
+      checkProperty(value[key], { type: spec.items }, keyPath.concat([key]),
+                    report);
+    });
+  }
+}
+
+
+// Get the name of the type of a config value, as used in schemas.
+//
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'list';
+  if (typeof value === 'object') return 'dict';
+  return typeof value;
+}
+
+
+// Check whether a value is a call to a CloudFormation function, such as
+// {"Ref": "Param"} or {"Fn::FindInMap": [...]}.
+//
+function isFunctionCall(value) {
+  if (getType(value) !== 'dict') return false;
+  var keys = Object.keys(value);
+  return keys.length === 1 &&
+         (keys[0] === 'Ref' || keys[0].indexOf('Fn::') === 0);
+}
+
+
+// Make the state object for building an AMI from a boxen configuration.
+// This is the state that needs to be threaded between each of the
+// waterfalled functions in createAMI, and the instance creation helpers.
+// XXX TODO: refactor it into a proper class or something.
+//
+function makeState(opts, projDir, cfg, boxName) {
+  return {
+    opts: opts,
+    cfg: cfg,
+    projDir: projDir,
+    workDir: null,
+    projName: "",
+    boxName: boxName,
+    boxCfg: cfg.Boxen[boxName],
+    imageName: null,
+    currentCommit: null,
+    helper: null,
+    instanceId: null,
+    amiId: null,
+  };
+}
+
+
+// Prepare the state for building an AMI.  This checks out the current
+// commit into a working directory, unless one has already been given,
+// finds the helper for the boxen type, and works out the name of the
+// resulting image.
+//
+function prepareState(state, cb) {
+  var boxCfg = state.boxCfg;
+  async.waterfall([
+
+    function findCurrentCommit(cb) {
+      git.getCurrentCommit(state.projDir, function(err, commit) {
+        if (err) return cb(err);
+        state.currentCommit = commit;
+        cb(null);
+      });
+    },
+
+    function checkoutCurrentCommit(cb) {
+      if (state.workDir) return cb(null);
+      git.checkoutCommit(state.projDir, state.currentCommit,
+      function(err, dirPath) {
+        if (err) return cb(err);
+        state.workDir = dirPath;
+        cb(null);
+      });
+    },
+
+    function findInstanceCreationHelper(cb) {
+      // Use the boxen type to find the appropriate helper module.
+      state.helper = getHelper(boxCfg.Type);
+      if (!state.helper) return cb('Invalid boxen type: ' + boxCfg.Type);
+      return cb(null);
+    },
+
+    function constructImageName(cb) {
+      // Name the image after the project, boxName, and hash of config info.
+      // By default we hash anything that could affect the final AMI, to
+      // prevent accidental AMI collisions.  Helpers can overwrite this if
+      // they know how to avoid more false positives.
+      // XXX TODO: use tags instead of encoding it all in the name?
+      state.projName = template.getProjectName(state.projDir, state.opts);
+      if (!state.helper.calcConfigHash) {
+        state.helper.calcConfigHash = function(state, cb) {
+          var configHasher = crypto.createHash('sha1');
+          configHasher.update(state.projName);
+          configHasher.update(state.currentCommit);
+          configHasher.update(state.boxName);
+          configHasher.update(JSON.stringify(state.boxCfg));
+          return cb(null, configHasher.digest('base64'));
+        };
+      }
+      state.helper.calcConfigHash(state, function(err, configHash) {
+        if (err) return cb(err);
+        configHash = configHash.replace(/[\/\-\+]/g, '').slice(0, 6);
+        state.imageName = [state.projName, state.boxName, configHash].join('-');
+        cb(null);
+      });
+    }
+  ], cb);
+}
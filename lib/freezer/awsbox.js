@@ -13,15 +13,32 @@ const path = require('path');
 const async = require('async');
 
 const freezer = require('../freezer.js');
+const progress = require('../progress.js');
 
 // Need path to awsbox executable, so we can shell out to it.
 // This ensures we always use the locally-bundled one given to us by npm.
 const AWSBOX = require.resolve('awsbox/awsbox.js');
 
+// Schema for the properties of an AWSBox, which are its awsbox config.
+// See freezer.checkBoxen() for the format.
+const SCHEMA = {
+  processes: { type: 'list', items: 'string' },
+  env: { type: 'dict' },
+  hooks: { type: 'dict', items: 'string',
+           values: ['postcreate', 'postdeploy', 'poststart'] },
+  remote_hooks: { type: 'dict', items: 'string',
+                  values: ['postcreate', 'postdeploy', 'poststart'] },
+  local_hooks: { type: 'dict', items: 'string',
+                 values: ['postcreate', 'poststart'] },
+  packages: { type: 'list', items: 'string' },
+  ami: { type: 'string' }
+};
+
 
 module.exports = {
   createInstance: createInstance,
-  teardownInstance: teardownInstance
+  teardownInstance: teardownInstance,
+  SCHEMA: SCHEMA
 };
 
 
@@ -58,13 +75,20 @@ function createInstance(state, cb) {
       // We capture stdout through a pipe, but also buffer it in
       // memory so that we can grab info out of it.
       var output = '';
+      var stdio = progress.stdio(state.opts);
+      stdio[1] = 'pipe';
       var p = child_process.spawn(AWSBOX,
                               ['create', '-n', serverName, '-t', 'm1.small'],
-                              {stdio: [0, 'pipe', 2], cwd: state.workDir});
+                              {stdio: stdio, cwd: state.workDir});
       p.stdout.on('data', function(d) {
-        process.stdout.write(d);
+        progress.stream(state.opts).write(d);
         output += d;
       });
+      if (p.stderr) {
+        p.stderr.on('data', function(d) {
+          progress.stream(state.opts).write(d);
+        });
+      }
       p.on('exit', function(code, signal) {
         var err = code || signal;
         if (err) return cb(err);
@@ -80,7 +104,9 @@ function createInstance(state, cb) {
       // Push the current commit up to the awsbox.
       var p = child_process.spawn('git',
                                   ['push', serverName, 'HEAD:master'],
-                                  {stdio: 'inherit', cwd: state.workDir});
+                                  {stdio: progress.stdio(state.opts),
+                                   cwd: state.workDir});
+      progress.capture(state.opts, p);
       p.on('exit', function(code, signal) {
         var err = code || signal;
         return cb(err, instanceId);
@@ -94,7 +120,9 @@ function createInstance(state, cb) {
 function teardownInstance(state, cb) {
   var serverName = state.imageName + '-freezer';
   var p = child_process.spawn(AWSBOX, ['destroy', serverName],
-                              {stdio: 'inherit', cwd: state.workDir});
+                              {stdio: progress.stdio(state.opts),
+                               cwd: state.workDir});
+  progress.capture(state.opts, p);
   p.on('exit', function(code, signal) {
     cb(code || signal);
   });
@@ -37,12 +37,25 @@ const awsbox = {
 
 const freezer = require('../freezer.js');
 const template = require('../template.js');
+const progress = require('../progress.js');
+
+// Schema for the properties of a BuildScript box.
+// See freezer.checkBoxen() for the format.
+const SCHEMA = {
+  BaseAMI: { type: 'string', required: true },
+  BuildScript: { type: 'string' },
+  BuildScripts: { type: 'list', items: 'string' },
+  User: { type: 'string' },
+  KeyName: { type: 'string' },
+  SecurityGroup: { type: 'string' }
+};
 
 
 module.exports = {
   createInstance: createInstance,
   teardownInstance: teardownInstance,
   calcConfigHash: calcConfigHash,
+  SCHEMA: SCHEMA,
   _loadBuildScripts: loadBuildScripts
 };
 
@@ -91,7 +104,7 @@ function createInstance(state, cb) {
       function startInstance(cb) {
         var baseAMI = boxProps.BaseAMI;
         if (!baseAMI) return cb('Missing property: "BaseAMI"');
-        console.log("Launching instance from AMI", baseAMI);
+        progress.log(state.opts, "Launching instance from AMI", baseAMI);
         // Start the arduous process of launching an instance.
         ec2.RunInstances({
           ImageId: baseAMI,
@@ -105,8 +118,9 @@ function createInstance(state, cb) {
           // Wait for the instance to come up.
           res = res.Body.RunInstancesResponse.instancesSet.item;
           var instanceId = res.instanceId;
-          console.log("Launched instance:", instanceId);
-          waitForInstanceState(ec2, instanceId, "running", function(err) {
+          progress.log(state.opts, "Launched instance:", instanceId);
+          waitForInstanceState(state.opts, ec2, instanceId, "running",
+          function(err) {
             return cb(err, instanceId);
           });
         });
@@ -134,23 +148,23 @@ function createInstance(state, cb) {
       },
 
       function waitForSSHAccess(instanceId, instanceURL, cb) {
-        console.log("Waiting for ssh access to ", instanceURL);
+        progress.log(state.opts, "Waiting for ssh access to ", instanceURL);
         var hasSSH = false;
         async.doWhilst(function(cb) {
           setTimeout(function() {
             var s = new net.Socket({type: 'tcp4'});
             s.once('error', function() {
-              console.log("  ssh not ready");
+              progress.log(state.opts, "  ssh not ready");
               s.destroy();
               cb(null);
             });
             s.once('timeout', function() {
-              console.log("  ssh not ready");
+              progress.log(state.opts, "  ssh not ready");
               s.destroy();
               cb(null);
             });
             s.once('connect', function() {
-              console.log("  ssh ready");
+              progress.log(state.opts, "  ssh ready");
               hasSSH = true;
               s.destroy();
               cb(null);
@@ -172,22 +186,26 @@ function createInstance(state, cb) {
             var tf = temp.openSync();
             fs.writeSync(tf.fd, buildScriptBody);
             fs.closeSync(tf.fd);
-            console.log("Copying build script");
+            progress.log(state.opts, "Copying build script");
             var remoteHost =  boxProps.User + '@' + instanceURL;
             var args = ['-o', 'StrictHostKeyChecking no',
                         tf.path, remoteHost + ':/tmp/buildit'];
             var p = child_process.spawn('scp', args,
-                                    {stdio: 'inherit', cwd: state.workDir});
+                                    {stdio: progress.stdio(state.opts),
+                                     cwd: state.workDir});
+            progress.capture(state.opts, p);
             p.on('exit', function(code, signal) {
               var err = code || signal;
               if (err) return cb('Failed to copy build script');
               fs.unlinkSync(tf.path);
-              console.log("Running build script");
+              progress.log(state.opts, "Running build script");
               var cmd = 'chmod +x /tmp/buildit && sudo /tmp/buildit';
               var args = ['-t', '-o', 'StrictHostKeyChecking no',
                           remoteHost, cmd];
               var p = child_process.spawn('ssh', args,
-                                     {stdio: 'inherit', cwd: state.workDir});
+                                     {stdio: progress.stdio(state.opts),
+                                      cwd: state.workDir});
+              progress.capture(state.opts, p);
               p.on('exit', function(code, signal) {
                 var err = code || signal;
                 return cb(err);
@@ -212,7 +230,8 @@ function teardownInstance(state, cb) {
       InstanceId: state.instanceId
     }, function(err) {
       if (err) return cb(extractError(err));
-      waitForInstanceState(ec2, state.instanceId, "terminated", function(err) {
+      waitForInstanceState(state.opts, ec2, state.instanceId, "terminated",
+      function(err) {
         return cb(err);
       });
     });
@@ -220,7 +239,7 @@ function teardownInstance(state, cb) {
 } 
 
 
-function waitForInstanceState(ec2, instanceId, targetState, cb) {
+function waitForInstanceState(opts, ec2, instanceId, targetState, cb) {
   // These are the states it's allowed to pass through on its way
   // to something stable.  Unless, of course, it's the target state.
   var transientStates = ['pending', 'shutting-down', 'stopping'];
@@ -229,7 +248,7 @@ function waitForInstanceState(ec2, instanceId, targetState, cb) {
     transientStates.splice(stateIdx, 1);
   }
   var state = null;
-  console.log("Waiting for instance", instanceId, "to be", targetState);
+  progress.log(opts, "Waiting for instance", instanceId, "to be", targetState);
   async.doWhilst(function(cb) {
     // Poll for the state after some delay.
     setTimeout(function() {
@@ -240,7 +259,7 @@ function waitForInstanceState(ec2, instanceId, targetState, cb) {
         res = res.Body.DescribeInstancesResponse;
         res = res.reservationSet.item.instancesSet.item;
         state = res.instanceState.name;
-        console.log("  instance is:", state);
+        progress.log(opts, "  instance is:", state);
         cb(null);
       });
     }, 8000);
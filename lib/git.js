@@ -0,0 +1,147 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Helper functions for working with the project's git repository.
+ *
+ * We assume that everything is stored in git, and we frequently need to
+ * find out which commit is checked out, or to make a pristine checkout of
+ * a particular commit into a temporary directory.
+ *
+ */
+
+const child_process = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const async = require('async');
+const temp = require('temp');
+
+
+module.exports = {
+  getCurrentCommit: getCurrentCommit,
+  resolveCommit: resolveCommit,
+  countCommitsSince: countCommitsSince,
+  checkoutCommit: checkoutCommit,
+  cloneAtCommit: cloneAtCommit,
+  removeCheckout: removeCheckout
+};
+
+
+//  Get the abbreviated id of the commit checked out in the given directory.
+//
+function getCurrentCommit(projDir, cb) {
+  resolveCommit(projDir, 'HEAD', function(err, commit) {
+    if (err) return cb('failed to get current commit');
+    return cb(null, commit);
+  });
+}
+
+
+//  Resolve a git ref (e.g. a branch, tag or commit id) into the abbreviated
+//  id of the commit to which it refers.
+//
+function resolveCommit(projDir, ref, cb) {
+  var args = ['log', '--pretty=%h', '-1', ref, '--'];
+  child_process.execFile('git', args, { cwd: projDir }, function(err, out) {
+    if (err) return cb('unknown git ref: ' + ref);
+    var commit = out.trim();
+    if (!commit || commit.length !== 7) {
+      return cb('failed to resolve git ref: ' + ref);
+    }
+    return cb(null, commit);
+  });
+}
+
+
+//  Count the number of commits that are reachable from the current HEAD,
+//  but not from the given commit.  For a stack deployed at that commit,
+//  this is how far it has fallen behind the local checkout.  The result
+//  is null if the commit is not known to the local repository.
+//
+function countCommitsSince(projDir, commit, cb) {
+  var args = ['rev-list', '--count', commit + '..HEAD', '--'];
+  child_process.execFile('git', args, { cwd: projDir }, function(err, out) {
+    if (err) return cb(null, null);
+    var count = parseInt(out.trim(), 10);
+    return cb(null, isNaN(count) ? null : count);
+  });
+}
+
+
+//  Make a pristine checkout of the given commit into a temporary directory.
+//  The result is the path of the new directory, which should be removed
+//  with removeCheckout() once you're done with it.
+//
+function checkoutCommit(projDir, commit, cb) {
+  temp.mkdir('awsboxen-checkout', function(err, dirPath) {
+    if (err) return cb(err);
+    cloneAtCommit(projDir, dirPath, commit, function(err) {
+      if (err) {
+        return removeCheckout(dirPath, function() {
+          return cb('failed to checkout commit: ' + commit);
+        });
+      }
+      return cb(null, dirPath);
+    });
+  });
+}
+
+
+//  Clone the git repo in projDir into workDir, at the specified commit.
+//  This may be any ref in projDir, including the name of a branch other
+//  than the one that is checked out there.
+//
+function cloneAtCommit(projDir, workDir, commit, cb) {
+  var p = child_process.spawn('git', ['clone', projDir, workDir]);
+  p.on('exit', function(code, signal) {
+    var err = code || signal;
+    if (err) return cb(err);
+    // The awsbox deploy magic doesn't seem to work if I just checkout
+    // the target commit, so instead I rewrite master to point to it.
+    // *rfkelly waves hands mysteriously*
+    resetHard(workDir, commit, function(err) {
+      if (!err) return cb(null);
+      // Other branches of the original repo only exist as remote
+      // branches in the clone.
+      resetHard(workDir, 'origin/' + commit, cb);
+    });
+  });
+}
+
+
+// Reset the checked-out branch in workDir to the given ref.
+//
+function resetHard(workDir, ref, cb) {
+  var p = child_process.spawn('git', ['reset', '--hard', ref],
+                              {cwd: workDir});
+  p.on('exit', function(code, signal) {
+    var err = code || signal;
+    return cb(err);
+  });
+}
+
+
+// Recursively delete a checkout directory.
+// Probably there is a better way to handle this, but I don't
+// feel like shaving that yak right now...
+//
+function removeCheckout(dirPath, cb) {
+  fs.readdir(dirPath, function(err, names) {
+    if (err) return cb(err);
+    async.eachSeries(names, function(name, cb) {
+      var childPath = path.join(dirPath, name);
+      fs.lstat(childPath, function(err, stat) {
+        if (err) return cb(err);
+        if (stat.isDirectory()) {
+          removeCheckout(childPath, cb);
+        } else {
+          fs.unlink(childPath, cb);
+        }
+      });
+    }, function(err) {
+      if (err) return cb(err);
+      fs.rmdir(dirPath, cb);
+    });
+  });
+}
@@ -0,0 +1,284 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Dependency graphs of awsboxen templates.
+ *
+ * This module turns a loaded config into a graph of its Boxen, Parameters,
+ * Resources and Outputs, with an edge from each item to everything that
+ * uses it via Ref, Fn::GetAtt or DependsOn.  Each Boxen is linked to its
+ * generated AMI parameter, so you can follow it through to the resources
+ * that boot from it.  The graph is a hash with the following keys:
+ *
+ *    * nodes:  list of {id, kind, name, type} hashes
+ *    * edges:  list of {from, to, kind} hashes, where kind is one of
+ *              "Ref", "GetAtt", "DependsOn" or "AMI"
+ *
+ * Two graphs can be compared with diffGraphs(), which marks each node and
+ * edge with a 'change' of "added" or "removed" where they differ, and the
+ * result can be rendered in Graphviz DOT or Mermaid syntax.
+ *
+ */
+
+const linter = require('./linter');
+
+
+// The kinds of node in the graph, with the template section that each
+// comes from and the colour in which it is drawn.
+const NODE_KINDS = {
+  Boxen: { section: 'Boxen', color: '#f4a582' },
+  Parameter: { section: 'Parameters', color: '#d9d9d9' },
+  Resource: { section: 'Resources', color: '#92c5de' },
+  Output: { section: 'Outputs', color: '#b8e186' }
+};
+
+const GRAPH_FORMATS = ['dot', 'mermaid'];
+
+
+module.exports = {
+  buildGraph: buildGraph,
+  diffGraphs: diffGraphs,
+  formatGraph: formatGraph,
+  formatDOT: formatDOT,
+  formatMermaid: formatMermaid,
+  GRAPH_FORMATS: GRAPH_FORMATS
+};
+
+
+//  Build the dependency graph of a loaded config.  The config should have
+//  stub parameters for the AMI of each Boxen, as for linting.
+//
+function buildGraph(cfg) {
+  var graph = { nodes: [], edges: [] };
+  var ids = {};
+
+  Object.keys(NODE_KINDS).forEach(function(kind) {
+    var items = cfg[NODE_KINDS[kind].section] || {};
+    Object.keys(items).forEach(function(name) {
+      var node = { id: kind + ':' + name, kind: kind, name: name };
+      if (kind === 'Resource' && items[name] && items[name].Type) {
+        node.type = items[name].Type;
+      }
+      ids[node.id] = true;
+      graph.nodes.push(node);
+    });
+  });
+
+  function addEdge(from, to, kind) {
+    if (!ids[from] || !ids[to] || from === to) return;
+    var exists = graph.edges.some(function(edge) {
+      return edge.from === from && edge.to === to && edge.kind === kind;
+    });
+    if (!exists) {
+      graph.edges.push({ from: from, to: to, kind: kind });
+    }
+  }
+
+  // Each Boxen feeds into its AMI parameter.
+  Object.keys(cfg.Boxen || {}).forEach(function(boxName) {
+    addEdge('Boxen:' + boxName, 'Parameter:' + boxName + 'AMI', 'AMI');
+  });
+
+  // Everything else points from the item used to the item using it.
+  // Only Resources and Outputs appear in the graph, so uses in other
+  // sections (e.g. Conditions) are ignored.
+  var uses = linter.findUses(cfg);
+  function userOf(use) {
+    if (use.path[0] === 'Resources') return 'Resource:' + use.path[1];
+    if (use.path[0] === 'Outputs') return 'Output:' + use.path[1];
+    return null;
+  }
+  uses.refs.forEach(function(use) {
+    if (typeof use.args !== 'string') return;
+    addEdge('Parameter:' + use.args, userOf(use), 'Ref');
+    addEdge('Resource:' + use.args, userOf(use), 'Ref');
+  });
+  uses.getAtts.forEach(function(use) {
+    var target = use.args;
+    if (Array.isArray(target)) target = target[0];
+    if (typeof target !== 'string') return;
+    addEdge('Resource:' + target.split('.')[0], userOf(use), 'GetAtt');
+  });
+  // Looking up an AMI in the generated map of AMI ids is as good as a Ref.
+  uses.findInMaps.forEach(function(use) {
+    if (!Array.isArray(use.args) || typeof use.args[2] !== 'string') return;
+    if (!/AMI$/.test(use.args[2])) return;
+    addEdge('Parameter:' + use.args[2], userOf(use), 'Ref');
+  });
+  uses.dependsOns.forEach(function(use) {
+    addEdge('Resource:' + use.args, userOf(use), 'DependsOn');
+  });
+
+  return graph;
+}
+
+
+//  Compare the graphs of two configs, such as the base config and one of
+//  its profiles.  The result contains every node and edge from both, with
+//  those that appear in only one of them marked as "added" or "removed".
+//
+function diffGraphs(oldGraph, newGraph) {
+  function nodeKey(node) {
+    return node.id;
+  }
+  function edgeKey(edge) {
+    return edge.from + ' ' + edge.to + ' ' + edge.kind;
+  }
+  function merge(oldItems, newItems, keyOf) {
+    var oldKeys = {};
+    var newKeys = {};
+    oldItems.forEach(function(item) {
+      oldKeys[keyOf(item)] = true;
+    });
+    newItems.forEach(function(item) {
+      newKeys[keyOf(item)] = true;
+    });
+    var merged = newItems.map(function(item) {
+      return withChange(item, oldKeys[keyOf(item)] ? null : 'added');
+    });
+    oldItems.forEach(function(item) {
+      if (!newKeys[keyOf(item)]) {
+        merged.push(withChange(item, 'removed'));
+      }
+    });
+    return merged;
+  }
+  return {
+    nodes: merge(oldGraph.nodes, newGraph.nodes, nodeKey),
+    edges: merge(oldGraph.edges, newGraph.edges, edgeKey)
+  };
+}
+
+
+//  Render a graph in the named format, as a list of lines.
+//
+function formatGraph(graph, format) {
+  if (format === 'mermaid') {
+    return formatMermaid(graph);
+  }
+  return formatDOT(graph);
+}
+
+
+//  Render a graph in Graphviz DOT syntax, as a list of lines.
+//  Nodes are filled with the colour for their kind; anything added is
+//  outlined in green, and anything removed is dashed and outlined in red.
+//
+function formatDOT(graph) {
+  var lines = [];
+  lines.push('digraph awsboxen {');
+  lines.push('  rankdir=LR;');
+  lines.push('  node [shape=box, style=filled];');
+  graph.nodes.forEach(function(node) {
+    var attrs = {
+      label: node.type ? node.name + '\\n' + node.type : node.name,
+      fillcolor: NODE_KINDS[node.kind].color
+    };
+    if (node.change === 'added') {
+      attrs.color = 'green';
+      attrs.penwidth = '2';
+    } else if (node.change === 'removed') {
+      attrs.color = 'red';
+      attrs.style = 'filled,dashed';
+    }
+    lines.push('  ' + quote(node.id) + ' ' + formatAttrs(attrs) + ';');
+  });
+  graph.edges.forEach(function(edge) {
+    var attrs = {};
+    if (edge.kind !== 'Ref') {
+      attrs.label = edge.kind;
+    }
+    if (edge.change === 'added') {
+      attrs.color = 'green';
+      attrs.penwidth = '2';
+    } else if (edge.change === 'removed') {
+      attrs.color = 'red';
+      attrs.style = 'dashed';
+    }
+    var line = '  ' + quote(edge.from) + ' -> ' + quote(edge.to);
+    if (Object.keys(attrs).length) {
+      line += ' ' + formatAttrs(attrs);
+    }
+    lines.push(line + ';');
+  });
+  lines.push('}');
+  return lines;
+}
+
+
+//  Render a graph in Mermaid flowchart syntax, as a list of lines.
+//  Nodes are styled by kind as for DOT.  Added edges are drawn thick and
+//  removed edges dotted, since Mermaid can't easily colour single edges.
+//
+function formatMermaid(graph) {
+  var lines = [];
+  lines.push('graph LR');
+  graph.nodes.forEach(function(node) {
+    var label = node.type ? node.name + '<br/>' + node.type : node.name;
+    lines.push('  ' + mermaidId(node.id) + '["' + label + '"]:::' +
+               node.kind);
+  });
+  graph.nodes.forEach(function(node) {
+    if (node.change) {
+      lines.push('  class ' + mermaidId(node.id) + ' ' + node.change);
+    }
+  });
+  graph.edges.forEach(function(edge) {
+    var arrow = '-->';
+    if (edge.change === 'added') {
+      arrow = '==>';
+    } else if (edge.change === 'removed') {
+      arrow = '-.->';
+    }
+    if (edge.kind !== 'Ref') {
+      arrow += '|' + edge.kind + '|';
+    }
+    lines.push('  ' + mermaidId(edge.from) + ' ' + arrow + ' ' +
+               mermaidId(edge.to));
+  });
+  Object.keys(NODE_KINDS).forEach(function(kind) {
+    lines.push('  classDef ' + kind + ' fill:' + NODE_KINDS[kind].color);
+  });
+  lines.push('  classDef added stroke:green,stroke-width:3px');
+  lines.push('  classDef removed stroke:red,stroke-dasharray:5 5');
+  return lines;
+}
+
+
+// Helper function to copy a node or edge, marking it with a change.
+//
+function withChange(item, change) {
+  var res = {};
+  Object.keys(item).forEach(function(k) {
+    res[k] = item[k];
+  });
+  if (change) res.change = change;
+  return res;
+}
+
+
+// Helper function to quote a string for use in DOT syntax.
+//
+function quote(str) {
+  return '"' + str.replace(/(["\\])/g, '\\$1') + '"';
+}
+
+
+// Helper function to format a hash of DOT attributes.
+// Labels may contain "\n" line breaks, so they are not re-quoted.
+//
+function formatAttrs(attrs) {
+  return '[' + Object.keys(attrs).map(function(k) {
+    var value = attrs[k];
+    if (k === 'label') return k + '="' + value.replace(/"/g, '\\"') + '"';
+    return k + '=' + quote(value);
+  }).join(', ') + ']';
+}
+
+
+// Helper function to make a node id that Mermaid will accept.
+//
+function mermaidId(id) {
+  return id.replace(/[^A-Za-z0-9_]/g, '_');
+}
@@ -0,0 +1,244 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Inventory and garbage-collection of frozen Boxen AMIs.
+ *
+ * Every build of a Boxen produces a new AMI named "<project>-<box>-<hash>"
+ * along with an EBS snapshot of the same name, and nothing ever cleans them
+ * up.  This module finds all such images for a project, works out which of
+ * them are still in use by a live stack, and deletes the ones that aren't.
+ *
+ */
+
+const async = require('async');
+
+const freezer = require('./freezer');
+const cfn = require('./cfn');
+const progress = require('./progress');
+
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+
+module.exports = {
+  listImages: listImages,
+  selectImagesToPrune: selectImagesToPrune,
+  pruneImages: pruneImages,
+  formatImages: formatImages
+};
+
+
+//  List all the AMIs that were built for the named project.
+//  The result is a list of objects with the following keys, sorted with
+//  the most recently created first:
+//
+//    * id:  the AMI id
+//    * name:  the name of the image
+//    * boxName:  the name of the Boxen from which it was built
+//    * created:  timestamp at which the image was created
+//    * snapshotIds:  list of the ids of its EBS snapshots
+//    * stacks:  list of names of live stacks that use the image
+//
+function listImages(opts, projName, cb) {
+  var images = [];
+  freezer._getConnection(opts, function(err, ec2) {
+    if (err) return cb(err);
+    async.waterfall([
+
+      function findProjectImages(cb) {
+        ec2.DescribeImages({
+          Owner: 'self',
+          Filter: [{ Name: 'name', Value: [projName + '-*'] }]
+        }, function(err, res) {
+          if (err) return cb(freezer._extractError(err));
+          res = res.Body.DescribeImagesResponse;
+          asList(res.imagesSet).forEach(function(item) {
+            var boxName = parseBoxName(projName, item.name);
+            if (!boxName) return;
+            images.push({
+              id: item.imageId,
+              name: item.name,
+              boxName: boxName,
+              created: item.creationDate || null,
+              snapshotIds: getSnapshotIds(item),
+              stacks: []
+            });
+          });
+          cb(null);
+        });
+      },
+
+      // Our version of the EC2 API doesn't report the creation date of
+      // images, so we use the start time of their snapshots instead.
+      function findCreationDates(cb) {
+        var snapshotIds = [];
+        images.forEach(function(image) {
+          if (!image.created) {
+            snapshotIds = snapshotIds.concat(image.snapshotIds);
+          }
+        });
+        if (!snapshotIds.length) return cb(null);
+        ec2.DescribeSnapshots({
+          SnapshotId: snapshotIds
+        }, function(err, res) {
+          if (err) return cb(freezer._extractError(err));
+          res = res.Body.DescribeSnapshotsResponse;
+          var startTimes = {};
+          asList(res.snapshotSet).forEach(function(item) {
+            startTimes[item.snapshotId] = item.startTime;
+          });
+          images.forEach(function(image) {
+            if (!image.created && image.snapshotIds.length) {
+              image.created = startTimes[image.snapshotIds[0]] || null;
+            }
+          });
+          cb(null);
+        });
+      },
+
+      function findReferencingStacks(cb) {
+        cfn.describeStacks(opts, function(err, stacks) {
+          if (err) return cb(err);
+          var imagesById = {};
+          images.forEach(function(image) {
+            imagesById[image.id] = image;
+          });
+          stacks.forEach(function(stack) {
+            Object.keys(stack.parameters).forEach(function(name) {
+              if (!/AMI$/.test(name)) return;
+              var image = imagesById[stack.parameters[name]];
+              if (image && image.stacks.indexOf(stack.name) === -1) {
+                image.stacks.push(stack.name);
+              }
+            });
+          });
+          cb(null);
+        });
+      }
+
+    ], function(err) {
+      if (err) return cb(err);
+      images.sort(function(a, b) {
+        return compareDates(b.created, a.created);
+      });
+      return cb(null, images);
+    });
+  });
+}
+
+
+//  Select the images that should be pruned from a list as produced by
+//  listImages().  Images that are used by a live stack are never pruned,
+//  and nor are the 'keep' newest images for each Boxen.  Of the rest, we
+//  select those that are older than 'olderThanDays' days, or all of them
+//  if no age is given.  Either criterion may be null to disable it, but if
+//  both are null then nothing is selected.
+//
+function selectImagesToPrune(images, olderThanDays, keep, now) {
+  now = now || Date.now();
+  var countsByBox = {};
+  return images.filter(function(image) {
+    // Images are sorted newest-first, so this counts the newer ones.
+    var rank = countsByBox[image.boxName] || 0;
+    countsByBox[image.boxName] = rank + 1;
+    if (image.stacks.length) return false;
+    if (keep !== null && rank < keep) return false;
+    if (olderThanDays === null) return keep !== null;
+    if (!image.created) return false;
+    var age = now - new Date(image.created).getTime();
+    return age > olderThanDays * MILLISECONDS_PER_DAY;
+  });
+}
+
+
+//  Delete the given images, deregistering each AMI and then deleting its
+//  snapshots.  If opts.dry_run is set then we just report what would be
+//  deleted.
+//
+function pruneImages(opts, images, cb) {
+  var verb = opts.dry_run ? 'Would delete' : 'Deleting';
+  freezer._getConnection(opts, function(err, ec2) {
+    if (err) return cb(err);
+    async.eachSeries(images, function(image, cb) {
+      progress.log(opts, verb + ' AMI ' + image.id + ' (' + image.name + ')');
+      if (opts.dry_run) return cb(null);
+      ec2.DeregisterImage({ ImageId: image.id }, function(err) {
+        if (err) return cb(freezer._extractError(err));
+        async.eachSeries(image.snapshotIds, function(snapshotId, cb) {
+          progress.log(opts, 'Deleting snapshot ' + snapshotId);
+          ec2.DeleteSnapshot({ SnapshotId: snapshotId }, function(err) {
+            if (err) return cb(freezer._extractError(err));
+            cb(null);
+          });
+        }, cb);
+      });
+    }, function(err) {
+      if (err) return cb(err);
+      return cb(null, images);
+    });
+  });
+}
+
+
+//  Format a list of images for display on the console.
+//  The result is a list of lines ready to print.
+//
+function formatImages(images) {
+  if (!images.length) {
+    return ['No images found.'];
+  }
+  return images.map(function(image) {
+    var line = image.id + '  ' + image.name + '  ' + (image.created || '-');
+    if (image.stacks.length) {
+      line += '  used by ' + image.stacks.join(', ');
+    }
+    return line;
+  });
+}
+
+
+// Parse the Boxen name out of an image name of the form
+// "<project>-<box>-<hash>", or return null if it doesn't match.
+//
+function parseBoxName(projName, imageName) {
+  if (imageName.indexOf(projName + '-') !== 0) return null;
+  var match = /^([^\-]+)-[^\-]+$/.exec(imageName.slice(projName.length + 1));
+  return match ? match[1] : null;
+}
+
+
+// Get the ids of the EBS snapshots backing an image.
+//
+function getSnapshotIds(item) {
+  var snapshotIds = [];
+  asList(item.blockDeviceMapping).forEach(function(bd) {
+    if (bd.ebs && bd.ebs.snapshotId) {
+      snapshotIds.push(bd.ebs.snapshotId);
+    }
+  });
+  return snapshotIds;
+}
+
+
+// Compare two timestamps, sorting missing values as oldest.
+//
+function compareDates(a, b) {
+  a = a ? new Date(a).getTime() : 0;
+  b = b ? new Date(b).getTime() : 0;
+  return a - b;
+}
+
+
+// Get the list of items in an EC2 response set.
+// If there is only a single item, awssum gives it to us directly rather
+// than as a list.
+//
+function asList(container) {
+  if (!container || !container.item) return [];
+  if (typeof container.item.forEach !== 'function') {
+    return [container.item];
+  }
+  return container.item;
+}
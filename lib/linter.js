@@ -0,0 +1,317 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Offline checking of generated CloudFormation templates.
+ *
+ * CloudFormation's own ValidateTemplate needs AWS credentials and a network
+ * connection, and only ever reports the first problem it finds.  This
+ * module does a few common-sense checks locally, and reports everything it
+ * can find.  Each problem is a hash with the following keys:
+ *
+ *    * level:  either "error" or "warning"
+ *    * path:  list of keys leading to the offending item in the config
+ *    * message:  human-readable description of the problem
+ *
+ */
+
+// Pseudo-parameters that may be referenced without being declared.
+const PSEUDO_PARAMETERS = ['AWS::AccountId', 'AWS::NotificationARNs',
+                           'AWS::NoValue', 'AWS::Region', 'AWS::StackId',
+                           'AWS::StackName'];
+
+// Attributes available via Fn::GetAtt for some common resource types.
+// Resources of other types are not checked for valid attribute names.
+const RESOURCE_ATTRIBUTES = {
+  'AWS::CloudFormation::WaitCondition': ['Data'],
+  'AWS::CloudFront::Distribution': ['DomainName'],
+  'AWS::EC2::EIP': [],
+  'AWS::EC2::Instance': ['AvailabilityZone', 'PrivateDnsName',
+                         'PublicDnsName', 'PrivateIp', 'PublicIp'],
+  'AWS::EC2::SecurityGroup': ['GroupId'],
+  'AWS::EC2::Volume': [],
+  'AWS::ElastiCache::CacheCluster': ['ConfigurationEndpoint.Address',
+                                     'ConfigurationEndpoint.Port'],
+  'AWS::ElasticLoadBalancing::LoadBalancer': [
+    'CanonicalHostedZoneName', 'CanonicalHostedZoneNameID', 'DNSName',
+    'SourceSecurityGroup.GroupName', 'SourceSecurityGroup.OwnerAlias'
+  ],
+  'AWS::IAM::AccessKey': ['SecretAccessKey'],
+  'AWS::IAM::Group': ['Arn'],
+  'AWS::IAM::Role': ['Arn'],
+  'AWS::IAM::User': ['Arn'],
+  'AWS::RDS::DBInstance': ['Endpoint.Address', 'Endpoint.Port'],
+  'AWS::S3::Bucket': ['DomainName', 'WebsiteURL'],
+  'AWS::SNS::Topic': ['TopicName'],
+  'AWS::SQS::Queue': ['Arn', 'QueueName']
+};
+
+// Template sections that may contain references to be checked.
+const REFERENCING_SECTIONS = ['Conditions', 'Resources', 'Outputs'];
+
+
+module.exports = {
+  lintTemplate: lintTemplate,
+  formatProblems: formatProblems,
+  findUses: findUses
+};
+
+
+//  Check a template for problems, returning a list of those found.
+//  The template should be a loaded awsboxen config, with stub parameters
+//  for the AMI of each Boxen.
+//
+function lintTemplate(cfg) {
+  var problems = [];
+  var uses = findUses(cfg);
+  var referenced = {};
+
+  function report(level, path, message) {
+    problems.push({ level: level, path: path, message: message });
+  }
+
+  // Every Ref must be to a parameter, a resource, or a pseudo-parameter.
+  uses.refs.forEach(function(use) {
+    var name = use.args;
+    if (typeof name !== 'string') return;
+    referenced[name] = true;
+    if (!has(cfg.Parameters, name) && !has(cfg.Resources, name) &&
+        PSEUDO_PARAMETERS.indexOf(name) === -1) {
+      report('error', use.path, 'Ref to undefined parameter or resource "' +
+             name + '"');
+    }
+  });
+
+  // Every Fn::GetAtt must be to a known attribute of a known resource.
+  uses.getAtts.forEach(function(use) {
+    var args = use.args;
+    if (typeof args === 'string') {
+      args = [args.split('.')[0], args.split('.').slice(1).join('.')];
+    }
+    if (!Array.isArray(args) || typeof args[0] !== 'string') return;
+    var resource = (cfg.Resources || {})[args[0]];
+    if (!resource) {
+      report('error', use.path, 'Fn::GetAtt on undefined resource "' +
+             args[0] + '"');
+      return;
+    }
+    var attrs = RESOURCE_ATTRIBUTES[resource.Type];
+    if (attrs && typeof args[1] === 'string' &&
+        attrs.indexOf(args[1]) === -1) {
+      report('error', use.path, 'Fn::GetAtt on unknown attribute "' +
+             args[1] + '" of ' + resource.Type + ' "' + args[0] + '"');
+    }
+  });
+
+  // Every Fn::FindInMap must name an existing map and keys.  If the first
+  // key isn't known until deploy time, then every entry must have the
+  // second key.  Using the generated AMI map counts as using the AMI.
+  uses.findInMaps.forEach(function(use) {
+    var args = use.args;
+    if (!Array.isArray(args) || typeof args[0] !== 'string') return;
+    var map = (cfg.Mappings || {})[args[0]];
+    if (!map) {
+      report('error', use.path, 'Fn::FindInMap on undefined mapping "' +
+             args[0] + '"');
+      return;
+    }
+    if (typeof args[2] === 'string') {
+      referenced[args[2]] = true;
+    }
+    var entries = Object.keys(map);
+    if (typeof args[1] === 'string') {
+      if (!has(map, args[1])) {
+        report('error', use.path, 'Fn::FindInMap on undefined key "' +
+               args[1] + '" of mapping "' + args[0] + '"');
+        return;
+      }
+      entries = [args[1]];
+    }
+    if (typeof args[2] !== 'string') return;
+    entries.forEach(function(entry) {
+      if (!has(map[entry], args[2])) {
+        report('error', use.path, 'Fn::FindInMap on undefined key "' +
+               args[2] + '" of mapping "' + args[0] + '" entry "' + entry +
+               '"');
+      }
+    });
+  });
+
+  // Every DependsOn must name an existing resource.
+  uses.dependsOns.forEach(function(use) {
+    if (!has(cfg.Resources, use.args)) {
+      report('error', use.path, 'DependsOn undefined resource "' +
+             use.args + '"');
+    }
+  });
+
+  // Parameters should be used, apart from those that awsboxen generates.
+  // The AMI parameter of each Boxen is checked separately below.
+  var boxNames = Object.keys(cfg.Boxen || {});
+  Object.keys(cfg.Parameters || {}).forEach(function(name) {
+    if (referenced[name] || name.indexOf('AWSBox') === 0) return;
+    if (boxNames.indexOf(name.replace(/AMI$/, '')) !== -1) return;
+    report('warning', ['Parameters', name], 'parameter "' + name +
+           '" is never used');
+  });
+
+  // The AMI of each Boxen should be used, or there's no point building it.
+  boxNames.forEach(function(boxName) {
+    if (referenced[boxName + 'AMI']) return;
+    report('warning', ['Boxen', boxName], 'Boxen "' + boxName + '" is ' +
+           'never used; its AMI parameter "' + boxName + 'AMI" is never ' +
+           'referenced');
+  });
+
+  // There must be no cycles in the dependencies between resources.
+  findCycles(cfg, uses).forEach(function(cycle) {
+    report('error', ['Resources', cycle[0]], 'dependency cycle: ' +
+           cycle.concat([cycle[0]]).join(' -> '));
+  });
+
+  return problems;
+}
+
+
+//  Format a list of problems into human-readable lines of text.
+//  Each problem may also have a 'file' key naming the config file that
+//  it came from.
+//
+function formatProblems(problems) {
+  var lines = [];
+  var counts = { error: 0, warning: 0 };
+  problems.forEach(function(problem) {
+    counts[problem.level]++;
+    lines.push((problem.file || '(generated)') + ': ' +
+               problem.path.join('.') + ': ' + problem.level + ': ' +
+               problem.message);
+  });
+  if (!problems.length) {
+    lines.push('ok');
+  } else {
+    lines.push(counts.error + ' error(s), ' + counts.warning + ' warning(s)');
+  }
+  return lines;
+}
+
+
+//  Find all uses of Ref, Fn::GetAtt, Fn::FindInMap and DependsOn in the
+//  sections of a template that may contain them.  The result is a hash
+//  with a list for each, giving the path and arguments of every use.
+//
+function findUses(cfg) {
+  var uses = { refs: [], getAtts: [], findInMaps: [], dependsOns: [] };
+  var kinds = {
+    'Ref': uses.refs,
+    'Fn::GetAtt': uses.getAtts,
+    'Fn::FindInMap': uses.findInMaps
+  };
+  function walk(obj, path) {
+    if (!obj || typeof obj !== 'object') return;
+    var keys = Object.keys(obj);
+    if (keys.length === 1 && kinds[keys[0]]) {
+      kinds[keys[0]].push({ path: path, args: obj[keys[0]] });
+    }
+    keys.forEach(function(key) {
+      walk(obj[key], path.concat([key]));
+    });
+  }
+  REFERENCING_SECTIONS.forEach(function(section) {
+    walk(cfg[section], [section]);
+  });
+  Object.keys(cfg.Resources || {}).forEach(function(name) {
+    var dependsOn = (cfg.Resources[name] || {}).DependsOn;
+    if (!dependsOn) return;
+    if (!Array.isArray(dependsOn)) dependsOn = [dependsOn];
+    dependsOn.forEach(function(target) {
+      uses.dependsOns.push({
+        path: ['Resources', name, 'DependsOn'],
+        args: target
+      });
+    });
+  });
+  return uses;
+}
+
+
+// Find any cycles in the dependencies between resources.  A resource
+// depends on every other resource that it references, as well as those
+// in its DependsOn list.  Each cycle is reported just once, as a list of
+// resource names starting with the first one in the template.
+//
+function findCycles(cfg, uses) {
+  var resources = cfg.Resources || {};
+  var deps = {};
+  Object.keys(resources).forEach(function(name) {
+    deps[name] = [];
+  });
+  function addDependency(use, target) {
+    var source = use.path[1];
+    if (use.path[0] !== 'Resources' || !has(deps, source)) return;
+    if (has(deps, target) && deps[source].indexOf(target) === -1) {
+      deps[source].push(target);
+    }
+  }
+  uses.refs.concat(uses.dependsOns).forEach(function(use) {
+    addDependency(use, use.args);
+  });
+  uses.getAtts.forEach(function(use) {
+    var target = use.args;
+    if (Array.isArray(target)) target = target[0];
+    if (typeof target === 'string') target = target.split('.')[0];
+    addDependency(use, target);
+  });
+
+  // Depth-first search, reporting any path back to a resource that's
+  // still on the stack.
+  var cycles = [];
+  var seen = {};
+  var done = {};
+  var stack = [];
+  var names = Object.keys(deps);
+  function visit(name) {
+    seen[name] = true;
+    stack.push(name);
+    deps[name].forEach(function(target) {
+      if (!seen[target]) {
+        visit(target);
+      } else if (!done[target]) {
+        cycles.push(normalizeCycle(stack.slice(stack.indexOf(target)),
+                                   names));
+      }
+    });
+    stack.pop();
+    done[name] = true;
+  }
+  names.forEach(function(name) {
+    if (!seen[name]) visit(name);
+  });
+  var unique = {};
+  return cycles.filter(function(cycle) {
+    var key = cycle.join(' ');
+    if (unique[key]) return false;
+    unique[key] = true;
+    return true;
+  });
+}
+
+
+// Rotate a cycle so that it starts with whichever of its resources comes
+// first in the template, so the same cycle is always reported the same way.
+//
+function normalizeCycle(cycle, names) {
+  var first = 0;
+  cycle.forEach(function(name, i) {
+    if (names.indexOf(name) < names.indexOf(cycle[first])) first = i;
+  });
+  return cycle.slice(first).concat(cycle.slice(0, first));
+}
+
+
+// Check whether an object has the given key.
+//
+function has(obj, key) {
+  return !!obj && typeof obj === 'object' &&
+         Object.prototype.hasOwnProperty.call(obj, key);
+}
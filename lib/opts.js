@@ -18,9 +18,13 @@
  */
 
 const fs = require('fs');
+const path = require('path');
 const async = require('async');
 const child_process = require('child_process');
 
+const OUTPUT_FORMATS = require('./outputs').OUTPUT_FORMATS;
+const GRAPH_FORMATS = require('./graph').GRAPH_FORMATS;
+
 
 module.exports = {
   getOptions: getOptions
@@ -69,21 +73,16 @@ function getOptions(options, environ, cb) {
   var opts = {};
 
   // The AWS access key id.
+  // Commands that need it will complain if it's not available.
   opts.aws_id = getOption('aws_id', options);
   if (!opts.aws_id) {
-    opts.aws_id = environ.AWS_ID;
-    if (!opts.aws_id) {
-      return cb('could not determine AWS_ID');
-    }
+    opts.aws_id = environ.AWS_ID || null;
   }
 
   // The AWS secret access key.
   opts.aws_secret = getOption('aws_secret', options);
   if (!opts.aws_secret) {
-    opts.aws_secret = environ.AWS_SECRET;
-    if (!opts.aws_secret) {
-      return cb('could not determine AWS_SECRET');
-    }
+    opts.aws_secret = environ.AWS_SECRET || null;
   }
 
   // The AWS region for the deployment.
@@ -95,12 +94,19 @@ function getOptions(options, environ, cb) {
     }
   }
 
+  // The directory containing the project, defaulting to the current one.
+  opts.project_dir = path.resolve(getOption('project_dir', options) || '.');
+
   // The name of the profile to use.
   opts.profile = getOption('profile', options);
+  opts.profile_explicit = !!opts.profile;
   if (!opts.profile) {
     opts.profile = 'Default';
   }
 
+  // The name of a project whose stacks are of interest.
+  opts.project = getOption('project', options) || null;
+
   // The name under which to deploy the stack.
   opts.stack_name = getOption('stack_name', options);
   if (!opts.stack_name) {
@@ -113,18 +119,109 @@ function getOptions(options, environ, cb) {
     opts.resource_name = null;
   }
 
+  // Filters and limits for the display of stack events.
+  opts.event_resource = getOption('resource', options) || null;
+  // Look for '--status' explicitly, since 'status' is also a command name.
+  opts.event_status = getOption('--status', options) || null;
+  opts.max_stack_events = 0;
+  var limit = getOption('limit', options);
+  if (limit) {
+    opts.max_stack_events = parseInt(limit, 10);
+    if (isNaN(opts.max_stack_events) || opts.max_stack_events < 1) {
+      return cb('invalid event limit "' + limit + '"');
+    }
+  }
+
+  // Whether to keep following the stack events until it settles.
+  opts.follow = getOption('follow', options) || false;
+
+  // The format in which to write stack outputs, and the file to write.
+  opts.outputs_format = getOption('format', options) || 'shell';
+  if (OUTPUT_FORMATS.indexOf(opts.outputs_format) === -1) {
+    return cb('unknown outputs format "' + opts.outputs_format + '"');
+  }
+  opts.out_file = getOption('out_file', options) || null;
+
+  // A profile whose estimated cost should be compared with the selected
+  // one, and a file of updated prices for the estimate.
+  opts.compare_profile = getOption('compare', options) || null;
+  opts.price_file = getOption('price_file', options) || null;
+
+  // Whether to explain where each config value came from.
+  opts.explain = getOption('explain', options) || false;
+
+  // The format in which to draw the dependency graph.
+  opts.graph_format = getOption('graph_format', options) || 'dot';
+  if (GRAPH_FORMATS.indexOf(opts.graph_format) === -1) {
+    return cb('unknown graph format "' + opts.graph_format + '"');
+  }
+
+  // Whether and how to prune unused Boxen images.
+  opts.prune_images = getOption('prune', options) || false;
+  opts.prune_older_than = null;
+  var olderThan = getOption('older_than', options);
+  if (olderThan) {
+    opts.prune_older_than = parseFloat(olderThan);
+    if (isNaN(opts.prune_older_than) || opts.prune_older_than < 0) {
+      return cb('invalid image age "' + olderThan + '"');
+    }
+  }
+  opts.prune_keep = null;
+  var keep = getOption('keep', options);
+  if (keep) {
+    opts.prune_keep = parseInt(keep, 10);
+    if (isNaN(opts.prune_keep) || opts.prune_keep < 0) {
+      return cb('invalid number of images to keep "' + keep + '"');
+    }
+  }
+
+  // The git ref from which to load the config and build the boxen.
+  opts.ref = getOption('ref', options) || null;
+
+  // The artifact file to be written by export, or to be deployed.
+  opts.artifact_file = getOption('file', options) || null;
+  opts.from_artifact = getOption('from_artifact', options) || null;
+
+  // The git commit to which a stack should be rolled back.
+  opts.commit = getOption('commit', options) || null;
+
   // The list of boxen names to freeze.
-  opts.boxen = getOption('boxen', options);
+  opts.boxen = getOption('boxen', options) || [];
   if (typeof opts.boxen === 'string') {
     opts.boxen = [opts.boxen];
   }
 
+  // The shell for which to generate completions, and the partial
+  // command-line to be completed.  Empty words come through as null.
+  opts.completion_shell = getOption('shell', options) || null;
+  opts.completion_words = getOption('words', options) || [];
+  opts.completion_words = opts.completion_words.map(function(word) {
+    return word || '';
+  });
+
   // Whether to ignore uncommitted changes in the repository.
   opts.ignore_uncommitted = getOption('ignore_uncommitted', options) || false;
   //
   // Whether to clear any cached machine images.
   opts.clear_cached_boxen = getOption('clear_cached_boxen', options) || false;
 
+  // The format in which to output command results.
+  opts.output = getOption('output', options) || 'text';
+  if (opts.output !== 'text' && opts.output !== 'json') {
+    return cb('unknown output format "' + opts.output + '"');
+  }
+
+  // Whether to tear down a stack without asking for confirmation, and
+  // whether to do so even if it's protected.  Confirmation is requested
+  // by calling the 'confirm' function, if given, with a prompt string.
+  opts.yes = getOption('yes', options) || false;
+  opts.override_protection = getOption('override_protection', options) ||
+                             false;
+  opts.confirm = getOption('confirm', options) || null;
+
+  // Whether to report what would be done, without actually doing it.
+  opts.dry_run = getOption('dry_run', options) || false;
+
   // Whether to load from specific config files, or the default files.
   opts.config = getOption('config', options) || [];
   if (typeof opts.config === 'string') {
@@ -135,8 +232,10 @@ function getOptions(options, environ, cb) {
   //
   // These may be specified as a single "key=value,key=value" string,
   // or as a list of such strings.  They might also come from config files
-  // which might need to be decrypted on the fly.
+  // which might need to be decrypted on the fly.  We keep track of where
+  // each definition came from, for reporting purposes.
   opts.define = {};
+  opts.define_sources = {};
   var paramFiles = getOption('param_file', options) || [];
   if (typeof paramFiles === 'string') {
     paramFiles = [paramFiles];
@@ -169,6 +268,7 @@ function getOptions(options, environ, cb) {
           for (var k in data) {
             if (data.hasOwnProperty(k)) {
               opts.define[k] = data[k];
+              opts.define_sources[k] = '-F ' + paramFile;
             }
           }
           return cb(null);
@@ -185,10 +285,19 @@ function getOptions(options, environ, cb) {
     if (typeof defines !== 'object') {
       defines = [defines];
     }
+    // They might also be given directly as a hash, via the API.
+    if (!Array.isArray(defines)) {
+      Object.keys(defines).forEach(function(k) {
+        opts.define[k] = defines[k];
+        opts.define_sources[k] = '-D';
+      });
+      defines = [];
+    }
     defines.forEach(function(definition) {
       definition.split(',').forEach(function(definition) {
         var bits = definition.split('=');
         opts.define[bits[0]] = bits.slice(1).join('=');
+        opts.define_sources[bits[0]] = '-D';
       });
     });
     return cb(null, opts);
@@ -0,0 +1,74 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Formatting of stack outputs for use by other tools.
+ *
+ * The outputs of a deployed stack (e.g. the DNS name of its load balancer)
+ * are often needed by downstream tooling such as integration tests or
+ * config generators.  This module renders them in a few common formats
+ * that such tools can easily consume.
+ *
+ */
+
+
+const OUTPUT_FORMATS = ['shell', 'dotenv', 'json'];
+
+
+module.exports = {
+  formatOutputs: formatOutputs,
+  OUTPUT_FORMATS: OUTPUT_FORMATS
+};
+
+
+//  Format a hash of stack outputs in the named format.
+//  The supported formats are:
+//
+//    * shell:  lines of the form "export KEY='value'"
+//    * dotenv:  lines of the form 'KEY="value"' as read by dotenv
+//    * json:  a JSON object mapping keys to values
+//
+//  The result is a string, including a trailing newline.
+//
+function formatOutputs(outputs, format) {
+  var keys = Object.keys(outputs).sort();
+  switch (format) {
+    case 'shell':
+      return keys.map(function(key) {
+        return 'export ' + key + '=' + shellQuote(outputs[key]) + '\n';
+      }).join('');
+    case 'dotenv':
+      return keys.map(function(key) {
+        return key + '=' + dotenvQuote(outputs[key]) + '\n';
+      }).join('');
+    case 'json':
+      var sorted = {};
+      keys.forEach(function(key) {
+        sorted[key] = outputs[key];
+      });
+      return JSON.stringify(sorted, null, 2) + '\n';
+    default:
+      throw new Error('unknown outputs format "' + format + '"');
+  }
+}
+
+
+// Quote a value for safe use in a POSIX shell.
+// Single quotes protect everything except single quotes, which we have
+// to close off, escape, and re-open.
+//
+function shellQuote(value) {
+  return "'" + String(value).replace(/'/g, "'\\''") + "'";
+}
+
+
+// Quote a value for use in a .env file.
+// Double quotes allow us to escape newlines and embedded quotes.
+//
+function dotenvQuote(value) {
+  value = String(value).replace(/\\/g, '\\\\')
+                       .replace(/"/g, '\\"')
+                       .replace(/\n/g, '\\n');
+  return '"' + value + '"';
+}
@@ -0,0 +1,221 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Deployment planning.
+ *
+ * This module works out what a deploy would do without actually doing any
+ * of it: whether the stack would be created or updated, which Boxen would
+ * be rebuilt and which would re-use a cached AMI, and exactly which
+ * parameter values would be submitted to CloudFormation.
+ *
+ */
+
+const async = require('async');
+
+const template = require('./template');
+const freezer = require('./freezer');
+const cfn = require('./cfn');
+
+
+module.exports = {
+  planDeployment: planDeployment,
+  formatPlan: formatPlan
+};
+
+
+//  Plan the deployment of a loaded config into the stack named by the
+//  'stack_name' key of the given options.  Nothing in AWS is modified.
+//  The Boxen are planned in the region given in the options, and copied
+//  from there into any other target regions, just as a deploy would.
+//  The result is a hash with the following keys:
+//
+//    * stackName:  the name of the target stack
+//    * profile:  the name of the deployment profile
+//    * boxen:  hash mapping Boxen names to the output of
+//              freezer.planAMIInRegions()
+//    * regions:  list of the target regions, each a hash with keys:
+//        * name:  the name of the region
+//        * action:  either "create" or "update"
+//        * status:  current status of the stack, or null if it doesn't exist
+//        * parameters:  hash mapping parameter names to their value and
+//                       source
+//    * unknownParameters:  list of defined parameters that are not
+//                          declared in the template
+//
+function planDeployment(opts, projDir, cfg, cb) {
+  var plan = {
+    stackName: opts.stack_name,
+    profile: opts.profile,
+    boxen: {},
+    regions: [],
+    unknownParameters: []
+  };
+  async.waterfall([
+
+    function findTargetRegions(cb) {
+      template.getRegions(cfg, opts, cb);
+    },
+
+    function planBoxenAMIs(regions, cb) {
+      var regionNames = regions.map(function(region) {
+        return region.name;
+      });
+      async.eachSeries(Object.keys(cfg.Boxen), function(boxName, cb) {
+        freezer.planAMIInRegions(opts, projDir, cfg, boxName, regionNames,
+        function(err, res) {
+          if (err) return cb(err);
+          plan.boxen[boxName] = res;
+          cb(null);
+        });
+      }, function(err) {
+        return cb(err, regions);
+      });
+    },
+
+    function planEachRegion(regions, cb) {
+      async.eachSeries(regions, function(region, cb) {
+        var regionOpts = {};
+        Object.keys(opts).forEach(function(k) {
+          regionOpts[k] = opts[k];
+        });
+        regionOpts.aws_region = region.name;
+        planRegion(regionOpts, cfg, region, plan.boxen, function(err, res) {
+          if (err) return cb(err);
+          plan.regions.push(res);
+          cb(null);
+        });
+      }, cb);
+    },
+
+    function findUnknownParameters(cb) {
+      var params = plan.regions[0].parameters;
+      Object.keys(opts.define || {}).forEach(function(name) {
+        if (!params.hasOwnProperty(name)) {
+          plan.unknownParameters.push(name);
+        }
+      });
+      cb(null);
+    }
+
+  ], function(err) {
+    return cb(err, plan);
+  });
+}
+
+
+// Plan the deployment into a single one of the target regions, given in
+// the options.  The parameter overrides for that region take effect, and
+// each Boxen AMI is either the one built for the deploy, or its copy.
+//
+function planRegion(opts, cfg, region, boxenPlans, cb) {
+  cfn.checkStack(opts, function(err, stack) {
+    if (err) return cb(err);
+    var regionPlan = {
+      name: region.name,
+      action: stack ? 'update' : 'create',
+      status: stack ? stack.status : null,
+      parameters: {}
+    };
+    cfg = JSON.parse(JSON.stringify(cfg));
+    // A deploy would record the commit that's currently deployed.
+    if (stack) template.setPreviousCommit(cfg, stack);
+    Object.keys(boxenPlans).forEach(function(boxName) {
+      var boxPlan = boxenPlans[boxName];
+      var copyPlan = boxPlan.copies[region.name];
+      var info = {
+        value: boxPlan.rebuild ? null : boxPlan.amiId,
+        source: (boxPlan.rebuild ? 'new' : 'cached') + ' Boxen AMI'
+      };
+      if (copyPlan) {
+        info = {
+          value: copyPlan.copy ? null : copyPlan.amiId,
+          source: (copyPlan.copy ? 'new' : 'cached') + ' copy of Boxen AMI'
+        };
+      }
+      regionPlan.parameters[boxName + 'AMI'] = info;
+    });
+    var params = cfg.Parameters || {};
+    Object.keys(params).forEach(function(name) {
+      var info = {
+        value: template.resolveParam(name, opts, cfg),
+        source: 'template default'
+      };
+      if (opts.define && opts.define.hasOwnProperty(name)) {
+        info.source = (opts.define_sources || {})[name] || '-D';
+      } else if (region.parameters.hasOwnProperty(name)) {
+        info.value = region.parameters[name];
+        info.source = 'region ' + region.name;
+      } else if (typeof info.value === 'undefined') {
+        info.value = null;
+        info.source = 'none';
+      }
+      if (String(params[name].NoEcho) === 'true') {
+        info.noEcho = true;
+      }
+      regionPlan.parameters[name] = info;
+    });
+    return cb(null, regionPlan);
+  });
+}
+
+
+//  Format a plan as produced by planDeployment() into human-readable form.
+//  The result is a list of lines ready to print to the console.
+//
+function formatPlan(plan) {
+  var lines = [];
+  lines.push('Deployment plan for stack ' + plan.stackName +
+             ' (profile ' + plan.profile + '):');
+  var boxNames = Object.keys(plan.boxen);
+  if (boxNames.length) {
+    lines.push('  Boxen:');
+    boxNames.forEach(function(boxName) {
+      var boxPlan = plan.boxen[boxName];
+      if (boxPlan.rebuild) {
+        lines.push('    ' + boxName + ': would build new AMI ' +
+                   boxPlan.imageName);
+      } else {
+        lines.push('    ' + boxName + ': would use cached AMI ' +
+                   boxPlan.amiId + ' (' + boxPlan.imageName + ')');
+      }
+      Object.keys(boxPlan.copies).forEach(function(region) {
+        var copyPlan = boxPlan.copies[region];
+        if (copyPlan.copy) {
+          lines.push('      would copy it to ' + region);
+        } else {
+          lines.push('      would use cached copy ' + copyPlan.amiId +
+                     ' in ' + region);
+        }
+      });
+    });
+  }
+  plan.regions.forEach(function(regionPlan) {
+    if (regionPlan.action === 'create') {
+      lines.push('  The stack in ' + regionPlan.name + ' would be created.');
+    } else {
+      lines.push('  The stack in ' + regionPlan.name + ' would be updated ' +
+                 '(currently ' + regionPlan.status + ').');
+    }
+    lines.push('  Parameters in ' + regionPlan.name + ':');
+    var params = regionPlan.parameters;
+    Object.keys(params).sort().forEach(function(name) {
+      var info = params[name];
+      var value = info.value;
+      if (value === null) {
+        value = info.source === 'none' ? '(none)' : '(built at deploy time)';
+      } else if (info.noEcho) {
+        value = '****';
+      } else {
+        value = JSON.stringify(value);
+      }
+      lines.push('    ' + name + ' = ' + value + '  [' + info.source + ']');
+    });
+  });
+  plan.unknownParameters.forEach(function(name) {
+    lines.push('  Warning: parameter "' + name + '" is not declared ' +
+               'in the template');
+  });
+  return lines;
+}
@@ -0,0 +1,130 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Progress reporting for long-running operations.
+ *
+ * Building boxen and deploying stacks can take a long time, so we report a
+ * running commentary as they proceed.  Each piece of progress information
+ * is a structured event with a 'type' and a human-readable 'message':
+ *
+ *    * log:  general commentary on what's happening
+ *    * stackEvent:  a new CloudFormation stack event, in 'event'
+ *    * amiState:  the state of an AMI being created, in 'amiId', 'state'
+ *    * output:  a chunk of output from a build process, in 'message'
+ *
+ * If the options hash has an 'emitter' then these are emitted on it as
+ * 'progress' events, and also as events named after their type.  This is
+ * how the programmatic API reports progress to its host.  Otherwise they
+ * are written straight to the console: normally to stdout, but to stderr
+ * when the output of a command must be machine-readable (e.g. when using
+ * --output=json) so they don't get mixed in with the final result.
+ *
+ */
+
+const util = require('util');
+
+
+module.exports = {
+  log: log,
+  event: event,
+  stream: stream,
+  stdio: stdio,
+  capture: capture,
+  render: render
+};
+
+
+//  Report a progress event of the given type.
+//  Any extra data for the event is given in the 'data' hash.
+//
+function event(opts, type, data, message) {
+  var ev = { type: type, message: message };
+  for (var k in data) {
+    if (data.hasOwnProperty(k)) {
+      ev[k] = data[k];
+    }
+  }
+  if (opts && opts.emitter) {
+    opts.emitter.emit(type, ev);
+    opts.emitter.emit('progress', ev);
+  } else {
+    render(consoleStream(opts))(ev);
+  }
+}
+
+
+//  Log a line of progress information.
+//  The arguments after the options hash are formatted like console.log().
+//
+function log(opts) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  event(opts, 'log', {}, util.format.apply(util, args));
+}
+
+
+//  Get a stream-like object to which build output can be written.
+//  Each chunk that is written is reported as an 'output' event.
+//
+function stream(opts) {
+  return {
+    write: function write(data) {
+      event(opts, 'output', {}, String(data));
+    }
+  };
+}
+
+
+//  Get the stdio configuration for spawning a subprocess whose output
+//  should be reported as progress information.  If this includes any
+//  pipes, then pass the spawned process to capture() to report them.
+//
+function stdio(opts) {
+  if (opts && opts.emitter) {
+    return [0, 'pipe', 'pipe'];
+  }
+  if (opts && opts.output === 'json') {
+    return [0, 2, 2];
+  }
+  return [0, 1, 2];
+}
+
+
+//  Report the output of a subprocess spawned with stdio() as progress.
+//
+function capture(opts, p) {
+  [p.stdout, p.stderr].forEach(function(s) {
+    if (s) {
+      s.on('data', function(data) {
+        stream(opts).write(data);
+      });
+    }
+  });
+  return p;
+}
+
+
+//  Get a function that will render progress events onto the given stream.
+//  This is handy for use as an event listener.
+//
+function render(out) {
+  return function(ev) {
+    if (ev.type === 'output') {
+      out.write(ev.message);
+    } else {
+      out.write(ev.message + '\n');
+    }
+  };
+}
+
+
+// Get the console stream to which progress information should be written,
+// when there's no emitter to report it to.
+//
+function consoleStream(opts) {
+  if (opts && opts.output === 'json') {
+    return process.stderr;
+  }
+  return process.stdout;
+}
@@ -0,0 +1,158 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Scaffolding of new awsboxen config files.
+ *
+ * This module writes a starter config for a project that doesn't have one.
+ * Projects that are already deployed with plain awsbox get their existing
+ * .awsbox.json settings converted into the fully-structured awsboxen style,
+ * so that what will be deployed is spelled out explicitly in the config
+ * rather than being conjured up at load time.
+ *
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsyaml = require('js-yaml');
+const async = require('async');
+
+const config = require('./config');
+const template = require('./template');
+
+
+const INIT_CONFIG_FILE = '.awsboxen.yml';
+
+const STARTER_CONFIG = ''+
+'# Each Boxen declaration describes how to build a machine image.\n'+
+'# This one uses awsbox to run a NodeJS app, and its Properties are the\n'+
+'# usual contents of an .awsbox.json file.\n'+
+'Boxen:\n'+
+'  WebHead:\n'+
+'    Type: AWSBox\n'+
+'    Properties:\n'+
+'      processes:\n'+
+'        - %s\n'+
+'\n'+
+'# Resources are declared using the CloudFormation template language.\n'+
+'# If there are none, awsboxen creates an EC2 instance for each Boxen\n'+
+'# along with a security group allowing ssh and web traffic.\n'+
+'#\n'+
+'# Resources:\n'+
+'#   WebHeadServer:\n'+
+'#     Type: AWS::EC2::Instance\n'+
+'#     Properties:\n'+
+'#       ImageId: { Ref: WebHeadAMI }\n'+
+'#       InstanceType: m1.small\n'+
+'\n'+
+'# Profiles can override any part of the config for a particular kind of\n'+
+'# deployment, selected with "awsboxen deploy --profile=NAME".\n'+
+'#\n'+
+'# Profiles:\n'+
+'#   Production:\n'+
+'#     Resources:\n'+
+'#       WebHeadServer:\n'+
+'#         Properties:\n'+
+'#           InstanceType: m1.large\n';
+
+const UPGRADED_CONFIG_ORDER = ['AWSBoxenVersion', 'Description', 'Boxen',
+                               'Profiles', 'Parameters', 'Mappings',
+                               'Resources', 'Outputs'];
+
+
+module.exports = {
+  initConfig: initConfig,
+  upgradeAWSBoxConfig: upgradeAWSBoxConfig,
+  INIT_CONFIG_FILE: INIT_CONFIG_FILE
+};
+
+
+//  Write a new awsboxen config file into the given project directory.
+//  If the project has an .awsbox.json file then its settings are upgraded
+//  into the new config, otherwise a commented starter config is written.
+//  The result is a hash with the following keys:
+//
+//    * path:  the path of the newly-written config file
+//    * upgradedFrom:  path of the .awsbox.json file, or null
+//
+function initConfig(projDir, cb) {
+  var res = {
+    path: path.join(projDir, INIT_CONFIG_FILE),
+    upgradedFrom: null
+  };
+  fs.readdir(projDir, function(err, names) {
+    if (err) return cb(err);
+    var awsboxPaths = [];
+    for (var i = 0; i < names.length; i++) {
+      var base = path.basename(names[i], path.extname(names[i]));
+      if (base === 'awsboxen' || base === '.awsboxen') {
+        return cb('awsboxen config already exists: ' + names[i]);
+      }
+      if (base === '.awsbox') {
+        awsboxPaths.push(path.join(projDir, names[i]));
+      }
+    }
+    if (!awsboxPaths.length) {
+      var data = STARTER_CONFIG.replace('%s', guessMainScript(projDir));
+      return fs.writeFile(res.path, data, function(err) {
+        return cb(err, res);
+      });
+    }
+    awsboxPaths.sort();
+    config.loadRootConfig(awsboxPaths, function(err, cfg) {
+      if (err) return cb(err);
+      upgradeAWSBoxConfig(cfg, function(err, cfg) {
+        if (err) return cb(err);
+        var data = '# Upgraded from ' + path.basename(awsboxPaths[0]) +
+                   ' by "awsboxen init".\n\n' + jsyaml.safeDump(cfg);
+        res.upgradedFrom = awsboxPaths[0];
+        fs.writeFile(res.path, data, function(err) {
+          return cb(err, res);
+        });
+      });
+    });
+  });
+}
+
+
+//  Upgrade an .awsbox.json-style config into the explicit awsboxen style.
+//  This applies the same conversion that is done implicitly at load time,
+//  and fills in the default Resources that would otherwise be generated.
+//  The result is a new config object with its keys in a readable order.
+//
+function upgradeAWSBoxConfig(cfg, cb) {
+  template.upgradeFromAWSBoxConfig(cfg, function(err) {
+    if (err) return cb(err);
+    async.eachSeries(Object.keys(cfg.Profiles || {}), function(k, cb) {
+      template.upgradeFromAWSBoxConfig(cfg.Profiles[k], cb);
+    }, function(err) {
+      if (err) return cb(err);
+      if (!cfg.Resources) {
+        template.addDefaultResources(cfg);
+      }
+      var upgraded = {};
+      UPGRADED_CONFIG_ORDER.forEach(function(key) {
+        if (cfg.hasOwnProperty(key)) {
+          upgraded[key] = cfg[key];
+        }
+      });
+      return cb(null, upgraded);
+    });
+  });
+}
+
+
+//  Make a guess at the main script of a NodeJS project, for use in the
+//  starter config.  We look in package.json, falling back to "server.js".
+//
+function guessMainScript(projDir) {
+  try {
+    var pkgPath = path.join(projDir, 'package.json');
+    var pkg = JSON.parse(fs.readFileSync(pkgPath));
+    if (pkg.main) {
+      return path.normalize(pkg.main);
+    }
+  } catch (e) { }
+  return 'server.js';
+}
@@ -0,0 +1,146 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Summary of the status of all deployed stacks.
+ *
+ * When juggling several deployments of several projects, it's handy to see
+ * at a glance what is deployed where: which profile and commit each stack
+ * is running, whether it's healthy, and how far it has fallen behind the
+ * code in the local checkout.
+ *
+ */
+
+const async = require('async');
+
+const cfn = require('./cfn');
+const git = require('./git');
+
+
+const STATUS_COLUMNS = [
+  ['name', 'STACK'],
+  ['status', 'STATUS'],
+  ['updated', 'LAST UPDATED'],
+  ['profile', 'PROFILE'],
+  ['commit', 'COMMIT'],
+  ['behind', 'BEHIND']
+];
+
+
+module.exports = {
+  getStatus: getStatus,
+  summariseStacks: summariseStacks,
+  formatStatus: formatStatus
+};
+
+
+//  Get a status summary of all stacks in the region, as produced by
+//  summariseStacks().  Commits are compared against the local checkout
+//  in projDir.  If the options contain a 'project' name then only stacks
+//  deployed from that project are included, and if 'profile_explicit' is
+//  set then only stacks deployed with the selected profile are included.
+//
+function getStatus(opts, projDir, cb) {
+  cfn.describeStacks(opts, function(err, stacks) {
+    if (err) return cb(err);
+    var summary = summariseStacks(stacks, {
+      project: opts.project || null,
+      profile: opts.profile_explicit ? opts.profile : null
+    });
+    async.eachSeries(summary, function(item, cb) {
+      if (!item.commit) return cb(null);
+      git.countCommitsSince(projDir, item.commit, function(err, count) {
+        if (err) return cb(err);
+        item.behind = count;
+        cb(null);
+      });
+    }, function(err) {
+      if (err) return cb(err);
+      return cb(null, summary);
+    });
+  });
+}
+
+
+//  Summarise a list of stacks as produced by cfn.describeStacks().
+//  The result is a list of objects with the following keys, sorted by
+//  stack name:
+//
+//    * name:  the name of the stack
+//    * project:  name of the project from which it was deployed, or null
+//    * status:  the status string for the stack
+//    * updated:  timestamp at which the stack was last updated
+//    * profile:  the name of the deployed profile, or null
+//    * commit:  the deployed commit, or null
+//    * behind:  number of commits behind the local checkout, or null
+//
+//  Stacks can be filtered by the 'project' and 'profile' keys of the
+//  given filters hash.  A stack deployed with a chain of profiles matches
+//  either the whole chain or just the last profile in it.  Stacks deployed
+//  by older versions of awsboxen don't report their project name as an
+//  output, so we fall back to parsing it out of the stack description.
+//
+function summariseStacks(stacks, filters) {
+  filters = filters || {};
+  var summary = stacks.map(function(stack) {
+    var project = stack.outputs.AWSBoxenProject || null;
+    if (!project) {
+      var match = /^awsboxen deployment of (.+)$/.exec(stack.description);
+      if (match) {
+        project = match[1];
+      }
+    }
+    return {
+      name: stack.name,
+      project: project,
+      status: stack.status,
+      updated: stack.updated,
+      profile: stack.outputs.AWSBoxenProfile || null,
+      commit: stack.outputs.AWSBoxenCommit || null,
+      behind: null
+    };
+  });
+  summary = summary.filter(function(item) {
+    if (filters.project && item.project !== filters.project) return false;
+    if (filters.profile && item.profile !== filters.profile &&
+        (item.profile || '').split(',').pop() !== filters.profile) {
+      return false;
+    }
+    return true;
+  });
+  summary.sort(function(a, b) {
+    return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+  });
+  return summary;
+}
+
+
+//  Format a status summary as an aligned table for display on the console.
+//  The result is a list of lines ready to print.
+//
+function formatStatus(summary) {
+  if (!summary.length) {
+    return ['No stacks found.'];
+  }
+  var rows = [STATUS_COLUMNS.map(function(col) { return col[1]; })];
+  summary.forEach(function(item) {
+    rows.push(STATUS_COLUMNS.map(function(col) {
+      var value = item[col[0]];
+      if (value === null || typeof value === 'undefined') {
+        return '-';
+      }
+      return String(value);
+    }));
+  });
+  var widths = STATUS_COLUMNS.map(function(col, i) {
+    return Math.max.apply(Math, rows.map(function(row) {
+      return row[i].length;
+    }));
+  });
+  return rows.map(function(row) {
+    return row.map(function(value, i) {
+      return value + new Array(widths[i] - value.length + 1).join(' ');
+    }).join('  ').replace(/\s+$/, '');
+  });
+}
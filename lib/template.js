@@ -21,12 +21,14 @@ const awsbox = {
 };
 
 const config = require('./config');
+const git = require('./git');
 
 
 const CONFIG_TOP_LEVEL_KEYS = ["Boxen", "Profiles", "AWSBoxenVersion",
                                "AWSTemplateFormatVersion", "Description",
                                "Parameters", "Resources", "Mappings",
-                               "Outputs"];
+                               "Outputs", "Protected", "Regions",
+                               "Extends"];
 
 
 // Make the module callable, returning a ProjectInfo object.
@@ -34,6 +36,14 @@ const CONFIG_TOP_LEVEL_KEYS = ["Boxen", "Profiles", "AWSBoxenVersion",
 module.exports = {
   loadTemplate: loadTemplate,
   resolveParam: resolveParam,
+  getProjectName: getProjectName,
+  getConfigOptions: getConfigOptions,
+  getRegions: getRegions,
+  getProfileChain: getProfileChain,
+  setDeployKey: setDeployKey,
+  setPreviousCommit: setPreviousCommit,
+  upgradeFromAWSBoxConfig: upgradeFromAWSBoxConfig,
+  addDefaultResources: addDefaultResources,
   CONFIG_TOP_LEVEL_KEYS: CONFIG_TOP_LEVEL_KEYS
 };
 
@@ -43,6 +53,9 @@ module.exports = {
 // filling in the selected profile, providing sensible defaults, and
 // returns the completed config object ready for use.
 //
+// If opts.offline is set then it won't talk to AWS at all, at the cost of
+// not knowing the name of the awsbox deploy key.
+//
 function loadTemplate(projDir, opts, cb) {
   if (!cb && typeof opts === 'function') {
     cb = opts;
@@ -53,6 +66,7 @@ function loadTemplate(projDir, opts, cb) {
   opts.profile = opts.profile || 'Default';
 
   var currentCommit = null;
+  var profileChain = [];
   var cwd = { cwd: projDir };
 
   var configDirOrPaths;
@@ -62,16 +76,13 @@ function loadTemplate(projDir, opts, cb) {
     configDirOrPaths = projDir;
   }
 
-  config.loadRootConfig(configDirOrPaths, function(err, cfg) {
+  var loadOpts = getConfigOptions(opts);
+
+  config.loadRootConfig(configDirOrPaths, null, loadOpts, function(err, cfg) {
     if (err) return cb(err);
 
     async.waterfall([
 
-      function initializeAwsboxHelpers(cb) {
-        awsbox.aws.createClients(opts.aws_region);
-        return cb(null);
-      },
-
       // Check for uncommitted changes; bail out if present.
       function checkForUncommittedChanges(cb) {
         if (opts.ignore_uncommitted) return cb(null);
@@ -86,13 +97,9 @@ function loadTemplate(projDir, opts, cb) {
 
       // Figure out the current commit.
       function findCurrentCommit(cb) {
-        var cmd = 'git log --pretty=%h -1';
-        child_process.exec(cmd, cwd, function(err, stdout) {
+        git.getCurrentCommit(projDir, function(err, commit) {
           if (err) return cb(err);
-          currentCommit = stdout.trim();
-          if (!currentCommit || currentCommit.length !== 7) {
-            return cb('failed to get current commit');
-          }
+          currentCommit = commit;
           cb(null);
         });
       },
@@ -109,18 +116,64 @@ function loadTemplate(projDir, opts, cb) {
         });
       },
 
-      // Merge the selected profile into the base configuration.
-      // The special profile 'Default' is assumed to be empty if not exists.
-      function mergeProfileConfig(cb) {
-        var profileCfg = cfg.Profiles ? cfg.Profiles[opts.profile] : null;
-        if (!profileCfg) {
-          if (opts.profile !== 'Default') {
-            return cb('unknown profile "' + opts.profile + '"');
+      // Work out which profiles to merge, and in which order.  Several may
+      // be selected, separated by commas, and each may extend others.
+      // Any other profiles are dropped, since they might use variables
+      // that aren't defined for this deployment.
+      function selectProfiles(cb) {
+        getProfileChain(cfg.Profiles, opts.profile, function(err, chain) {
+          if (err) return cb(err);
+          profileChain = chain;
+          if (cfg.Profiles) {
+            var profiles = cfg.Profiles;
+            cfg.Profiles = {};
+            profileChain.forEach(function(name) {
+              cfg.Profiles[name] = profiles[name];
+            });
           }
-        } else {
-          cfg = config.mergeConfig(cfg, profileCfg);
-        }
+          cb(null);
+        });
+      },
+
+      // Interpolate any variables such as "${env:HOME}" into the config.
+      // This is done before merging so that it works in the profiles too.
+      function interpolateVariables(cb) {
+        config.interpolateConfig(cfg, {
+          env: function(name) {
+            return process.env[name];
+          },
+          param: function(name) {
+            if (opts.define && opts.define.hasOwnProperty(name)) {
+              return opts.define[name];
+            }
+            var params = profileChain.map(function(name) {
+              return cfg.Profiles[name].Parameters;
+            }).reverse().concat([cfg.Parameters]);
+            for (var i = 0; i < params.length; i++) {
+              if (params[i] && params[i][name]) {
+                return params[i][name].Default;
+              }
+            }
+          },
+          git: function(name) {
+            if (name === 'commit') return currentCommit;
+          }
+        }, function(err) {
+          return cb(err);
+        });
+      },
+
+      // Merge the selected profiles into the base configuration, in order.
+      function mergeProfileConfig(cb) {
+        var profiles = cfg.Profiles;
         delete cfg.Profiles;
+        profileChain.forEach(function(name) {
+          delete profiles[name].Extends;
+          config.recordProfile(profiles[name], name);
+          cfg = config.mergeConfig(cfg, profiles[name]);
+        });
+        delete cfg.Extends;
+        config.applyMergeDirectives(cfg);
         cb(null);
       },
 
@@ -131,19 +184,24 @@ function loadTemplate(projDir, opts, cb) {
         async.waterfall([
           function setAWSBoxDeployKey(cb) {
             if (cfg.Parameters.AWSBoxDeployKey) return cb(null);
-            // XXX TODO: we currently assume that this key is available
-            awsbox.key.getName(function(err, keyName) {
-              cfg.Parameters.AWSBoxDeployKey = {
-                Type: 'String',
-                Default: keyName
-              };
-              cb(null);
-            });
+            cfg.Parameters.AWSBoxDeployKey = { Type: 'String' };
+            if (opts.offline) return cb(null);
+            setDeployKey(cfg, opts, cb);
           },
           function setAWSBoxenDetails(cb) {
+            cfg.Parameters.AWSBoxenProject = {
+              Type: 'String',
+              Default: getProjectName(projDir, opts)
+            };
+            cfg.Outputs.AWSBoxenProject = {
+              Value: {'Ref' : 'AWSBoxenProject'},
+              Description: 'AWSBoxen Project Name'
+            };
+            // This is the full chain of profiles that were merged, so that
+            // the same config can be re-created by selecting it again.
             cfg.Parameters.AWSBoxenProfile = {
               Type: 'String',
-              Default: opts.profile
+              Default: profileChain.join(',') || opts.profile
             };
             cfg.Outputs.AWSBoxenProfile = {
               Value: {'Ref' : 'AWSBoxenProfile'},
@@ -158,6 +216,18 @@ function loadTemplate(projDir, opts, cb) {
               Description: 'AWSBoxen Deployed Commit SHA1'
             };
             return cb(null);
+          },
+          // Protection is recorded as an output, so that it can be checked
+          // before tearing down the deployed stack.
+          function setAWSBoxenProtection(cb) {
+            if (cfg.Protected) {
+              cfg.Outputs.AWSBoxenProtected = {
+                Value: 'true',
+                Description: 'AWSBoxen Teardown Protection'
+              };
+            }
+            delete cfg.Protected;
+            return cb(null);
           }
         ], cb);
       },
@@ -167,37 +237,7 @@ function loadTemplate(projDir, opts, cb) {
       // along with some supporting infrastructure.
       function setDefaultResources(cb) {
         if (cfg.Resources) return cb(null);
-        cfg.Resources = {
-          AWSBoxSecurityGroup: {
-            Type: 'AWS::EC2::SecurityGroup',
-            Properties: {
-              GroupDescription: 'awsboxen default security group',
-              SecurityGroupIngress: [
-                {IpProtocol: "tcp", FromPort: "22", ToPort: "22",
-                 CidrIp: "0.0.0.0/0"},
-                {IpProtocol: "tcp", FromPort: "80", ToPort: "80",
-                 CidrIp: "0.0.0.0/0"},
-                {IpProtocol: "tcp", FromPort: "443", ToPort: "443",
-                 CidrIp: "0.0.0.0/0"}
-              ]
-            }
-          }
-        };
-        Object.keys(cfg.Boxen).forEach(function(boxName) {
-          cfg.Resources[boxName + 'Server'] = {
-            Type: 'AWS::EC2::Instance',
-            Properties: {
-              ImageId: { Ref: boxName + 'AMI' },
-              InstanceType: 'm1.small',
-              SecurityGroups: [{ Ref: 'AWSBoxSecurityGroup' }],
-              KeyName: { Ref: 'AWSBoxDeployKey' }
-            }
-          };
-          cfg.Outputs[boxName + 'ServerURL'] = {
-            Value: {'Fn::GetAtt' : [boxName + 'Server', 'PublicDnsName']},
-            Description: 'Public URL for ' + boxName + 'Server'
-          };
-        });
+        addDefaultResources(cfg);
         cb(null);
       },
 
@@ -221,7 +261,7 @@ function loadTemplate(projDir, opts, cb) {
         });
         Object.keys(cfg.Resources).forEach(function(resName) {
           if (!cfg.Resources[resName]) {
-            delete cfg.Resources.resName;
+            delete cfg.Resources[resName];
           }
         });
         cb(null);
@@ -232,7 +272,7 @@ function loadTemplate(projDir, opts, cb) {
       // built before CloudFormation ever sees the template.
       function resolveFunctionCallsInBoxenDefinitions(cb) {
         // Do one pass to resolve any scalar parameters.
-        traverse(cfg).forEach(function(obj) {
+        traverse(cfg.Boxen).forEach(function(obj) {
           if (typeof obj === 'object' && obj !== null) {
             var keys = Object.keys(obj);
             if (keys.length === 1 && keys[0] === 'Ref') {
@@ -244,7 +284,7 @@ function loadTemplate(projDir, opts, cb) {
           }
         });
         // Now we can resolve any occurrances of Fn::FindInMap.
-        traverse(cfg).forEach(function(obj) {
+        traverse(cfg.Boxen).forEach(function(obj) {
           if (typeof obj === 'object' && obj !== null) {
             var keys = Object.keys(obj);
             if (keys.length === 1 && keys[0] === 'Fn::FindInMap') {
@@ -263,7 +303,7 @@ function loadTemplate(projDir, opts, cb) {
       // Fill in any final defaults.
       function setFinalDefaults(cb) {
         if (!cfg.Description) {
-          var projName = path.basename(projDir);
+          var projName = getProjectName(projDir, opts);
           cfg.Description = 'awsboxen deployment of ' + projName;
         }
         if (!cfg.AWSTemplateFormatVersion) {
@@ -278,6 +318,46 @@ function loadTemplate(projDir, opts, cb) {
 }
 
 
+// Add the default Resources and Outputs for a config that doesn't declare
+// any of its own: an EC2 instance for each Boxen definition, along with a
+// security group allowing ssh and web traffic.
+//
+function addDefaultResources(cfg) {
+  if (!cfg.Outputs) cfg.Outputs = {};
+  cfg.Resources = {
+    AWSBoxSecurityGroup: {
+      Type: 'AWS::EC2::SecurityGroup',
+      Properties: {
+        GroupDescription: 'awsboxen default security group',
+        SecurityGroupIngress: [
+          {IpProtocol: "tcp", FromPort: "22", ToPort: "22",
+           CidrIp: "0.0.0.0/0"},
+          {IpProtocol: "tcp", FromPort: "80", ToPort: "80",
+           CidrIp: "0.0.0.0/0"},
+          {IpProtocol: "tcp", FromPort: "443", ToPort: "443",
+           CidrIp: "0.0.0.0/0"}
+        ]
+      }
+    }
+  };
+  Object.keys(cfg.Boxen).forEach(function(boxName) {
+    cfg.Resources[boxName + 'Server'] = {
+      Type: 'AWS::EC2::Instance',
+      Properties: {
+        ImageId: { Ref: boxName + 'AMI' },
+        InstanceType: 'm1.small',
+        SecurityGroups: [{ Ref: 'AWSBoxSecurityGroup' }],
+        KeyName: { Ref: 'AWSBoxDeployKey' }
+      }
+    };
+    cfg.Outputs[boxName + 'ServerURL'] = {
+      Value: {'Fn::GetAtt' : [boxName + 'Server', 'PublicDnsName']},
+      Description: 'Public URL for ' + boxName + 'Server'
+    };
+  });
+}
+
+
 // Upgrade a config from .awsbox.json configuration style to the more
 // richly-structured style of a generic .awsboxen.js.  This is factored
 // out as a separate function so it can be applied to both the root
@@ -314,6 +394,7 @@ function upgradeFromAWSBoxConfig(cfg, cb) {
         if (CONFIG_TOP_LEVEL_KEYS.indexOf(k) === -1) {
           hasExtraTopLevelKeys = true;
           extraTopLevelKeys[k] = cfg[k];
+          config.copySource(cfg, k, extraTopLevelKeys, k);
           delete cfg[k];
         }
       });
@@ -352,3 +433,155 @@ function resolveParam(name, opts, cfg) {
     return opts.stack_name || undefined;
   }
 }
+
+
+// Get the chain of profiles to merge into the base config for the given
+// profile name, or comma-separated list of names.  Each profile may list
+// others that it "Extends", which come before it in the chain.  Profiles
+// appear only once, the first time that they're needed.  The special
+// profile 'Default' is assumed to be empty if not exists.
+//
+function getProfileChain(profiles, profileSpec, cb) {
+  profiles = profiles || {};
+  var chain = [];
+  function visit(name, path) {
+    if (path.indexOf(name) !== -1) {
+      return 'profile inheritance cycle: ' + path.concat([name]).join(' -> ');
+    }
+    if (!profiles[name]) {
+      if (name === 'Default' && !path.length) return null;
+      if (!path.length) return 'unknown profile "' + name + '"';
+      return 'unknown profile "' + name + '" extended by "' +
+             path[path.length - 1] + '"';
+    }
+    var parents = profiles[name].Extends || [];
+    if (!Array.isArray(parents)) parents = [parents];
+    for (var i = 0; i < parents.length; i++) {
+      var err = visit(parents[i], path.concat([name]));
+      if (err) return err;
+    }
+    if (chain.indexOf(name) === -1) chain.push(name);
+    return null;
+  }
+  var names = String(profileSpec || 'Default').split(',');
+  for (var i = 0; i < names.length; i++) {
+    var name = names[i].trim();
+    if (!name) continue;
+    var err = visit(name, []);
+    if (err) return cb(err);
+  }
+  return cb(null, chain);
+}
+
+
+// Fill in the name of the awsbox deploy key as the default value of the
+// generated AWSBoxDeployKey parameter.  This needs to talk to AWS, so it
+// can also be done separately for a config that was loaded offline.  An
+// AWSBoxDeployKey parameter declared in the config is left as-is.
+//
+// Looking up the key will upload it if it's not already in AWS, so in a
+// dry run we just work out the name that awsbox would give it.
+//
+function setDeployKey(cfg, opts, cb) {
+  var param = cfg.Parameters.AWSBoxDeployKey;
+  if (param.Default || config.getSourceInfo(cfg.Parameters,
+                                            'AWSBoxDeployKey')) {
+    return cb(null);
+  }
+  if (opts.dry_run) {
+    return awsbox.key.fingerprint(function(err, fingerprint) {
+      if (!err) param.Default = 'awsbox deploy key (' + fingerprint + ')';
+      cb(null);
+    });
+  }
+  awsbox.aws.createClients(opts.aws_region);
+  // XXX TODO: we currently assume that this key is available
+  awsbox.key.getName(function(err, keyName) {
+    param.Default = keyName;
+    cb(null);
+  });
+}
+
+
+// Record the commit that is currently deployed to a stack in the template
+// that is to replace it, if it's different to the one being deployed, so
+// that we can roll back to it later.  The deployed values are given as a
+// hash, which may be either the outputs or the parameters of the stack.
+//
+function setPreviousCommit(cfg, deployed) {
+  var prevCommit = deployed.AWSBoxenPreviousCommit;
+  if (deployed.AWSBoxenCommit !== cfg.Parameters.AWSBoxenCommit.Default) {
+    prevCommit = deployed.AWSBoxenCommit;
+  }
+  if (!prevCommit) return;
+  cfg.Parameters.AWSBoxenPreviousCommit = {
+    Type: 'String',
+    Default: prevCommit
+  };
+  cfg.Outputs.AWSBoxenPreviousCommit = {
+    Value: {'Ref' : 'AWSBoxenPreviousCommit'},
+    Description: 'AWSBoxen Previously Deployed Commit SHA1'
+  };
+}
+
+
+// Get the list of regions into which a config should be deployed.
+// Each entry in its "Regions" list may be just the name of a region, or a
+// hash giving the "Name" of the region and any "Parameters" whose default
+// values should be overridden there.  The result is a list of hashes with
+// keys 'name' and 'parameters'.  If the config doesn't list any regions,
+// then it's just the region given in the options.
+//
+function getRegions(cfg, opts, cb) {
+  if (!cfg.Regions) {
+    return cb(null, [{ name: opts.aws_region, parameters: {} }]);
+  }
+  var entries = Array.isArray(cfg.Regions) ? cfg.Regions : [cfg.Regions];
+  var regions = [];
+  for (var i = 0; i < entries.length; i++) {
+    var region = entries[i];
+    if (typeof region === 'string') {
+      region = { Name: region };
+    }
+    if (!region || !region.Name) {
+      return cb('invalid entry in Regions: ' + JSON.stringify(region));
+    }
+    var parameters = region.Parameters || {};
+    var names = Object.keys(parameters);
+    for (var j = 0; j < names.length; j++) {
+      if (!cfg.Parameters || !cfg.Parameters[names[j]]) {
+        return cb('unknown parameter "' + names[j] + '" for region ' +
+                  region.Name);
+      }
+    }
+    regions.push({ name: region.Name, parameters: parameters });
+  }
+  if (!regions.length) {
+    return cb('Regions must list at least one region');
+  }
+  return cb(null, regions);
+}
+
+
+// Get the options passed to JavaScript config files, which may tailor the
+// config to the selected profile, region and parameter definitions.
+//
+function getConfigOptions(opts) {
+  return {
+    profile: opts.profile || 'Default',
+    region: opts.aws_region,
+    defines: opts.define || {}
+  };
+}
+
+
+// Get the name of the project in the given directory.
+// This is usually just the name of the directory, but it can be overridden
+// by the 'project_name' option when working from a temporary checkout.
+//
+function getProjectName(projDir, opts) {
+  if (opts && opts.project_name) {
+    return opts.project_name;
+  }
+  return path.basename(path.resolve(process.cwd(), projDir));
+}
@@ -0,0 +1,105 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Usage string for the `awsboxen` command-line client.
+ *
+ * This lives in its own module so that it can be used both to parse the
+ * command-line, and to generate shell completions for it.
+ *
+ */
+
+
+// Our command-line options and usage string.
+// This becomes a working parser by the magic of docopt.
+//
+// Ye Gods, there must be a better way to do multi-line strings in JS...
+//
+const USAGE = ''+
+'awsboxen\n'+
+'\n'+
+'Usage:\n'+
+'  awsboxen [options] init\n'+
+'  awsboxen [options] deploy <stack-name>\n'+
+'  awsboxen [options] rollback <stack-name> [<commit>]\n'+
+'  awsboxen [options] freeze [<boxen>...]\n'+
+'  awsboxen [options] export <file>\n'+
+'  awsboxen [options] showconfig\n'+
+'  awsboxen [options] validate\n'+
+'  awsboxen [options] lint\n'+
+'  awsboxen [options] graph\n'+
+'  awsboxen [options] estimate [<stack-name>]\n'+
+'  awsboxen [options] diff <stack-name>\n'+
+'  awsboxen [options] list\n'+
+'  awsboxen [options] status\n'+
+'  awsboxen [options] images list\n'+
+'  awsboxen [options] images prune\n'+
+'  awsboxen [options] info <stack-name> [<resource-name>]\n'+
+'  awsboxen [options] events <stack-name>\n'+
+'  awsboxen [options] outputs <stack-name>\n'+
+'  awsboxen [options] teardown <stack-name>\n'+
+'  awsboxen [options] completion <shell>\n'+
+'  awsboxen [options] complete [--] [<words>...]\n'+
+'  awsboxen -h | --help\n'+
+'  awsboxen --version\n'+
+'\n'+
+'Arguments:\n'+
+'  <stack-name>:     a unique name used to name identify this deployment\n'+
+'  <resource-name>:  the unique name for a particular resource in a stack\n'+
+'  <boxen>:          name of a Boxen declaration to freeze; defaults to all\n'+
+'  <commit>:         git commit to roll back to; defaults to previous one\n'+
+'  <file>:           file to which the deployment artifact is written\n'+
+'  <shell>:          shell to generate completions for, "bash" or "zsh"\n'+
+'  <words>:          partial command-line to complete; used by completions\n'+
+'\n'+
+'Options:\n'+
+' -h, --help                        show this help message and exit\n'+
+' --version                         show version number and exit\n'+
+' -c CONFIG, --config=CONFIG        the config file/directory to use\n'+
+' -p PROFILE, --profile=PROFILE     name of the deployment profile to use\n'+
+' -D PARAM, --define=PARAM          key=value defn of template parameters\n'+
+' -F FILE, --param-file=FILE        file defining template parameters\n'+
+' --ignore-uncommitted              proceed despite uncommitted changes\n'+
+' --clear-cached-boxen              clear any cached machine images\n'+
+' --dry-run                         report what would be done, then stop\n'+
+' --ref=REF                         use the code from the given git ref,\n'+
+'                                   rather than the current working tree\n'+
+' --from-artifact=FILE              deploy an artifact made by "export"\n'+
+' -y, --yes                         tear down without asking to confirm\n'+
+' --override-protection             allow teardown of a protected stack\n'+
+' --aws-id                          aws access key id; defaults to $AWS_ID\n'+
+' --aws-secret                      aws secret key; defaults to $AWS_SECRET\n'+
+' --aws-region                      aws region; defaults to us-east-1\n'+
+' -o FORMAT, --output=FORMAT        output format, "text" or "json"\n'+
+' --resource=NAME                   only show events for the named resource\n'+
+' --status=STATUS                   only show events matching this status\n'+
+' --limit=N                         only look at the N most recent events\n'+
+' --project=NAME                    only show stacks/images of named project\n'+
+' --older-than=DAYS                 prune images older than this many days\n'+
+' --keep=N                          never prune the N newest images of\n'+
+'                                   each Boxen\n'+
+' --follow                          keep showing events until stack settles\n'+
+' --format=FORMAT                   stack outputs format: "shell", "dotenv"\n'+
+'                                   or "json"; defaults to "shell"\n'+
+' --out-file=FILE                   write stack outputs to the named file\n'+
+' --graph-format=FORMAT             dependency graph format: "dot" or\n'+
+'                                   "mermaid"; defaults to "dot"\n'+
+' --explain                         show where each config value came from\n'+
+' --compare=PROFILE                 compare estimated cost with a profile\n'+
+' --price-file=FILE                 file of updated prices for estimates\n'+
+'\n';
+
+// Words in the usage string that can appear as a sub-command of another
+// command, mapped to the name of that parent command.
+//
+const SUBCOMMANDS = {
+  list: 'images',
+  prune: 'images'
+};
+
+
+module.exports = {
+  USAGE: USAGE,
+  SUBCOMMANDS: SUBCOMMANDS
+};
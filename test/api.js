@@ -0,0 +1,548 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for the programmatic API.
+ *
+ */
+
+const assert = require('assert');
+const child_process = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp');
+const CloudFormation = require('awssum-amazon-cloudformation').CloudFormation;
+
+const api = require('../lib/api');
+const artifact = require('../lib/artifact');
+const progress = require('../lib/progress');
+const git = require('../lib/git');
+const cfn = require('../lib/cfn');
+
+
+describe('programmatic api', function() {
+
+  it('runs commands and resolves with the result', function(done) {
+    temp.mkdir('awsboxen-test', function(err, projDir) {
+      assert.equal(err, null);
+      var client = api.createClient({ project_dir: projDir });
+      client.run('init').then(function(res) {
+        assert.equal(res.path, path.join(projDir, '.awsboxen.yml'));
+        return client.run('init');
+      }).then(function() {
+        assert.fail('init should have failed the second time');
+      }, function(err) {
+        assert.ok(err instanceof Error);
+        assert.equal(err.message,
+                     'awsboxen config already exists: .awsboxen.yml');
+        git.removeCheckout(projDir, done);
+      }).catch(done);
+    });
+  });
+
+  it('rejects unknown commands', function(done) {
+    api.createClient().run('explode').then(function() {
+      done(new Error('unknown command should have failed'));
+    }, function(err) {
+      assert.equal(err.message, 'unknown command: explode');
+      done();
+    });
+  });
+
+  it('guards teardown with protection and confirmation', function(done) {
+    var origCheckStack = cfn.checkStack;
+    var origTeardownStack = cfn.teardownStack;
+    var stacks = { plain: {}, precious: { AWSBoxenProtected: 'true' } };
+    var tornDown = [];
+    cfn.checkStack = function(opts, cb) {
+      cb(null, stacks[opts.stack_name] || null);
+    };
+    cfn.teardownStack = function(opts, cb) {
+      tornDown.push(opts.stack_name);
+      cb(null);
+    };
+    function restore(err) {
+      cfn.checkStack = origCheckStack;
+      cfn.teardownStack = origTeardownStack;
+      done(err);
+    }
+    function expectFailure(promise, msg) {
+      return promise.then(function() {
+        throw new Error('teardown should have failed');
+      }, function(err) {
+        assert.equal(err.message, msg);
+      });
+    }
+    function answer(text) {
+      return function(prompt, cb) { cb(text); };
+    }
+    var client = api.createClient({ aws_id: 'x', aws_secret: 'y' });
+    var p = expectFailure(client.teardown('plain'),
+                          'teardown must be confirmed; use --yes to skip this');
+    p = p.then(function() {
+      return expectFailure(client.teardown('plain', { confirm: answer('x') }),
+                           'teardown cancelled');
+    }).then(function() {
+      return expectFailure(client.teardown('precious', { yes: true }),
+                           'stack "precious" is protected; use ' +
+                           '--override-protection to tear it down anyway');
+    }).then(function() {
+      return client.teardown('plain', { confirm: answer('plain') });
+    }).then(function() {
+      return client.teardown('precious', {
+        yes: true,
+        override_protection: true
+      });
+    }).then(function(res) {
+      assert.equal(res.status, 'DELETE_COMPLETE');
+      assert.deepEqual(tornDown, ['plain', 'precious']);
+    });
+    p.then(restore, restore);
+  });
+
+  it('rolls back to the previous commit with the deployed profile',
+     function(done) {
+    var origCheckStack = cfn.checkStack;
+    var origResolveCommit = git.resolveCommit;
+    var stacks = {
+      web: { AWSBoxenCommit: 'bbbbbbb', AWSBoxenPreviousCommit: 'aaaaaaa',
+             AWSBoxenProfile: 'Prod' },
+      fresh: { AWSBoxenCommit: 'bbbbbbb', AWSBoxenProfile: 'Prod' },
+      layered: {
+        AWSBoxenCommit: 'bbbbbbb',
+        AWSBoxenPreviousCommit: 'ccccccc',
+        AWSBoxenProfile: 'ExtraAWSBoxSettingsEX,Protected,ProtectedEX'
+      }
+    };
+    cfn.checkStack = function(opts, cb) {
+      cb(null, stacks[opts.stack_name] || null);
+    };
+    // Stop once the commit to check out has been chosen.
+    var checkouts = [];
+    git.resolveCommit = function(projDir, ref, cb) {
+      checkouts.push(ref);
+      cb('stopped before checkout');
+    };
+    function restore(err) {
+      cfn.checkStack = origCheckStack;
+      git.resolveCommit = origResolveCommit;
+      done(err);
+    }
+    function expectFailure(options, msg) {
+      return client.run('rollback', options).then(function() {
+        throw new Error('rollback should have failed');
+      }, function(err) {
+        assert.equal(err.message, msg);
+      });
+    }
+    var client = api.createClient({ aws_id: 'x', aws_secret: 'y' });
+    var logged = [];
+    client.on('log', function(ev) {
+      logged.push(ev.message);
+    });
+    var p = expectFailure({ stack_name: 'web' }, 'stopped before checkout');
+    p = p.then(function() {
+      return expectFailure({ stack_name: 'web', commit: 'v1.0' },
+                           'stopped before checkout');
+    }).then(function() {
+      return expectFailure({ stack_name: 'web', profile: 'Prod' },
+                           'stopped before checkout');
+    }).then(function() {
+      return expectFailure({ stack_name: 'web', profile: 'Staging' },
+                           'stack web is deployed with profile Prod, not ' +
+                           'Staging; rollback always uses the deployed ' +
+                           'profile');
+    }).then(function() {
+      return expectFailure({ stack_name: 'layered', profile: 'ProtectedEX' },
+                           'stopped before checkout');
+    }).then(function() {
+      return expectFailure({ stack_name: 'layered', profile: 'Protected' },
+                           'stack layered is deployed with profile ' +
+                           'ExtraAWSBoxSettingsEX,Protected,ProtectedEX, not ' +
+                           'Protected; rollback always uses the deployed ' +
+                           'profile');
+    }).then(function() {
+      return expectFailure({ stack_name: 'fresh' },
+                           'no previous commit recorded for fresh; please ' +
+                           'specify the commit to roll back to');
+    }).then(function() {
+      return expectFailure({ stack_name: 'missing' },
+                           'no such stack: missing');
+    }).then(function() {
+      assert.deepEqual(checkouts, ['aaaaaaa', 'v1.0', 'aaaaaaa', 'ccccccc']);
+      assert.equal(logged[0], 'Rolling back web to commit aaaaaaa ' +
+                   '(profile Prod)');
+      assert.equal(logged[3], 'Rolling back layered to commit ccccccc ' +
+                   '(profile ExtraAWSBoxSettingsEX,Protected,ProtectedEX)');
+    });
+    p.then(restore, restore);
+  });
+
+  it('deploys an artifact to each region it was built for', function(done) {
+    var origCheckStack = cfn.checkStack;
+    var origDeployStack = cfn.deployStack;
+    var deployed = {};
+    cfn.checkStack = function(opts, cb) {
+      cb(null, null);
+    };
+    cfn.deployStack = function(opts, cfg, cb) {
+      deployed[opts.aws_region] = cfg.Parameters.WebHeadAMI.Default;
+      cb(null, { name: opts.stack_name });
+    };
+    function restore(err) {
+      cfn.checkStack = origCheckStack;
+      cfn.deployStack = origDeployStack;
+      done(err);
+    }
+    var cfg = {
+      Parameters: { WebHeadAMI: { Type: 'String' } },
+      Mappings: { AWSBoxenAMIs: {
+        'us-east-1': { WebHeadAMI: 'ami-1111' },
+        'eu-west-1': { WebHeadAMI: 'ami-2222' }
+      } },
+      Resources: {}
+    };
+    var regions = [{ name: 'us-east-1', parameters: {} },
+                   { name: 'eu-west-1', parameters: {} }];
+    var res = artifact.makeArtifact(cfg, {}, regions);
+    assert.deepEqual(res.manifest.regions, ['us-east-1', 'eu-west-1']);
+    temp.mkdir('awsboxen-test', function(err, dirPath) {
+      assert.equal(err, null);
+      var filePath = path.join(dirPath, 'artifact.json');
+      var client = api.createClient({ aws_id: 'x', aws_secret: 'y' });
+      var options = { stack_name: 'web', from_artifact: filePath };
+      var p = new Promise(function(resolve, reject) {
+        artifact.writeArtifact(filePath, res, function(err) {
+          return err ? reject(err) : resolve();
+        });
+      });
+      p = p.then(function() {
+        return client.run('deploy', options);
+      }).then(function(stack) {
+        assert.deepEqual(Object.keys(stack.regions), ['us-east-1',
+                                                      'eu-west-1']);
+        assert.deepEqual(deployed, { 'us-east-1': 'ami-1111',
+                                     'eu-west-1': 'ami-2222' });
+        deployed = {};
+        res.regions.push({ name: 'ap-southeast-2', parameters: {} });
+        fs.writeFileSync(filePath, JSON.stringify(res));
+        return client.run('deploy', options);
+      }).then(function() {
+        throw new Error('deploy should have failed');
+      }, function(err) {
+        assert.equal(err.message, 'artifact has no AMIs for region ' +
+                     'ap-southeast-2');
+        assert.deepEqual(deployed, {});
+      });
+      p.then(function() {
+        git.removeCheckout(dirPath, restore);
+      }, restore);
+    });
+  });
+
+  it('filters and limits the stack events shown', function(done) {
+    var origGetStackEvents = cfn.getStackEvents;
+    var limit = null;
+    cfn.getStackEvents = function(opts, cb) {
+      limit = opts.max_stack_events;
+      cb(null, [
+        { LogicalResourceId: 'WebHead', ResourceStatus: 'UPDATE_FAILED' },
+        { LogicalResourceId: 'Database', ResourceStatus: 'UPDATE_FAILED' },
+        { LogicalResourceId: 'WebHead', ResourceStatus: 'CREATE_COMPLETE' },
+        { LogicalResourceId: 'WebHead', ResourceStatus: 'CREATE_FAILED' }
+      ]);
+    };
+    var client = api.createClient({ aws_id: 'x', aws_secret: 'y' });
+    var emitted = 0;
+    client.on('stackEvent', function() {
+      emitted++;
+    });
+    client.run('events', {
+      stack_name: 'test',
+      resource: 'WebHead',
+      '--status': 'FAILED',
+      limit: '4'
+    }).then(function(events) {
+      cfn.getStackEvents = origGetStackEvents;
+      assert.equal(limit, 4);
+      assert.deepEqual(events.map(function(event) {
+        return event.ResourceStatus;
+      }), ['CREATE_FAILED', 'UPDATE_FAILED']);
+      assert.equal(emitted, 2);
+      done();
+    }).catch(function(err) {
+      cfn.getStackEvents = origGetStackEvents;
+      done(err);
+    });
+  });
+
+  it('shows each new event just once when following', function(done) {
+    var proto = CloudFormation.prototype;
+    var origDescribeStackEvents = proto.DescribeStackEvents;
+    var origDescribeStacks = proto.DescribeStacks;
+    function restore(err) {
+      proto.DescribeStackEvents = origDescribeStackEvents;
+      proto.DescribeStacks = origDescribeStacks;
+      done(err);
+    }
+    // New events turn up once we've started following the stack, and it
+    // then settles on the second poll.
+    var stackEvents = ['E3', 'E2', 'E1'];
+    var eventRequests = 0;
+    proto.DescribeStackEvents = function(args, cb) {
+      var page = stackEvents.map(function(id) {
+        return { EventId: id, LogicalResourceId: 'Stack',
+                 ResourceStatus: 'UPDATE_IN_PROGRESS' };
+      });
+      if (++eventRequests === 2) {
+        stackEvents = ['E5', 'E4'].concat(stackEvents);
+      }
+      cb(null, { Body: { DescribeStackEventsResponse: {
+        DescribeStackEventsResult: { StackEvents: { member: page } }
+      } } });
+    };
+    var statuses = ['UPDATE_IN_PROGRESS', 'UPDATE_COMPLETE'];
+    proto.DescribeStacks = function(args, cb) {
+      cb(null, { Body: { DescribeStacksResponse: { DescribeStacksResult: {
+        Stacks: { member: { StackName: 'test',
+                            StackStatus: statuses.shift() } }
+      } } } });
+    };
+    var client = api.createClient({ aws_id: 'x', aws_secret: 'y' });
+    client.run('events', { stack_name: 'test', follow: true })
+          .then(function(events) {
+      assert.deepEqual(events.map(function(event) {
+        return event.EventId;
+      }), ['E1', 'E2', 'E3', 'E4', 'E5']);
+      assert.deepEqual(statuses, []);
+    }).then(restore, restore);
+  });
+
+  it('builds from a clean checkout of a --ref', function(done) {
+    // The deploy key is declared so that showconfig needn't look it up.
+    function writeConfig(projDir, fileName, version) {
+      fs.writeFileSync(path.join(projDir, fileName), JSON.stringify({
+        Description: fileName + ' v' + version,
+        Parameters: {
+          AWSBoxDeployKey: { Type: 'String', Default: 'test key' }
+        }
+      }));
+    }
+    var origCheckoutCommit = git.checkoutCommit;
+    var workDirs = [];
+    git.checkoutCommit = function(projDir, commit, cb) {
+      origCheckoutCommit(projDir, commit, function(err, dirPath) {
+        if (dirPath) workDirs.push(dirPath);
+        cb(err, dirPath);
+      });
+    };
+    temp.mkdir('awsboxen-test', function(err, projDir) {
+      assert.equal(err, null);
+      function restore(err) {
+        git.checkoutCommit = origCheckoutCommit;
+        git.removeCheckout(projDir, function() {
+          done(err);
+        });
+      }
+      writeConfig(projDir, '.awsboxen.json', 1);
+      writeConfig(projDir, 'alt.json', 1);
+      var commands = [
+        'git init -q',
+        'git add .awsboxen.json alt.json',
+        'git -c user.name=test -c user.email=test@example.com commit -qm v1',
+        'git tag v1'
+      ];
+      var gitOpts = { cwd: projDir };
+      child_process.exec(commands.join(' && '), gitOpts, function(err) {
+        assert.equal(err, null);
+        // These uncommitted changes should not be seen.
+        writeConfig(projDir, '.awsboxen.json', 2);
+        writeConfig(projDir, 'alt.json', 2);
+        var client = api.createClient({
+          project_dir: projDir,
+          aws_id: 'x',
+          aws_secret: 'y',
+          ref: 'v1'
+        });
+        var p = client.run('showconfig').then(function(cfg) {
+          assert.equal(cfg.Description, '.awsboxen.json v1');
+          var altPath = path.join(projDir, 'alt.json');
+          return client.run('showconfig', { config: altPath });
+        }).then(function(cfg) {
+          assert.equal(cfg.Description, 'alt.json v1');
+          var missingPath = path.join(projDir, 'missing.json');
+          return client.run('showconfig', { config: missingPath });
+        }).then(function() {
+          throw new Error('showconfig should have failed');
+        }, function(err) {
+          assert.ok(/missing\.json/.test(err.message));
+          assert.equal(workDirs.length, 3);
+          workDirs.forEach(function(workDir) {
+            assert.ok(workDir.indexOf(projDir) !== 0);
+            assert.ok(!fs.existsSync(workDir));
+          });
+        });
+        p.then(restore, restore);
+      });
+    });
+  });
+
+  it('checks boxen before talking to AWS', function(done) {
+    temp.mkdir('awsboxen-test', function(err, projDir) {
+      assert.equal(err, null);
+      fs.writeFileSync(path.join(projDir, '.awsboxen.json'), JSON.stringify({
+        Boxen: {
+          Storage: {
+            Type: 'AWSBoxen::BuildScript',
+            Properties: { BuildScirpts: ['build.sh'] }
+          }
+        }
+      }));
+      var client = api.createClient({
+        project_dir: projDir,
+        aws_id: 'x',
+        aws_secret: 'y'
+      });
+      var logged = [];
+      client.on('log', function(ev) {
+        logged.push(ev.message);
+      });
+      var commands = [
+        'git init -q',
+        'git add .awsboxen.json',
+        'git -c user.name=test -c user.email=test@example.com commit -qm v1'
+      ];
+      var gitOpts = { cwd: projDir };
+      child_process.exec(commands.join(' && '), gitOpts, function(err) {
+        assert.equal(err, null);
+        client.run('validate').then(function() {
+          assert.fail('validate should have failed');
+        }, function(err) {
+          assert.equal(err.message, '.awsboxen.json: ' +
+                       'Boxen.Storage.Properties: error: missing required ' +
+                       'property "BaseAMI" of AWSBoxen::BuildScript Boxen ' +
+                       '"Storage"');
+          assert.deepEqual(logged, [
+            '.awsboxen.json: Boxen.Storage.Properties.BuildScirpts: ' +
+            'warning: unknown property "BuildScirpts" of ' +
+            'AWSBoxen::BuildScript Boxen "Storage" will be ignored'
+          ]);
+          git.removeCheckout(projDir, done);
+        }).catch(done);
+      });
+    });
+  });
+
+  it('diffs AMIs per region, and skips NoEcho values', function(done) {
+    var origGetDeployedTemplate = cfn.getDeployedTemplate;
+    cfn.getDeployedTemplate = function(opts, cb) {
+      cb(null, {
+        template: {
+          Parameters: {
+            DBPassword: { Type: 'String', NoEcho: 'true' },
+            WebHeadAMI: { Type: 'String' }
+          },
+          Mappings: { AWSBoxenAMIs: {
+            'us-east-1': { WebHeadAMI: 'ami-east' },
+            'eu-west-1': { WebHeadAMI: 'ami-west' }
+          } }
+        },
+        parameters: { DBPassword: '****', WebHeadAMI: 'ami-east' }
+      });
+    };
+    function restore(err) {
+      cfn.getDeployedTemplate = origGetDeployedTemplate;
+      done(err);
+    }
+    temp.mkdir('awsboxen-test', function(err, projDir) {
+      assert.equal(err, null);
+      fs.writeFileSync(path.join(projDir, '.awsboxen.json'), JSON.stringify({
+        Parameters: {
+          AWSBoxDeployKey: { Type: 'String', Default: 'test-key' },
+          DBPassword: { Type: 'String', Default: 'secret', NoEcho: 'true' }
+        },
+        Boxen: { WebHead: { Type: 'AWSBox', Properties: {} } },
+        Regions: ['us-east-1', 'eu-west-1']
+      }));
+      var commands = [
+        'git init -q',
+        'git add .awsboxen.json',
+        'git -c user.name=test -c user.email=test@example.com commit -qm v1'
+      ];
+      var gitOpts = { cwd: projDir };
+      child_process.exec(commands.join(' && '), gitOpts, function(err) {
+        assert.equal(err, null);
+        var client = api.createClient({
+          project_dir: projDir,
+          aws_id: 'x',
+          aws_secret: 'y'
+        });
+        client.run('diff', { stack_name: 'web' }).then(function(res) {
+          assert.equal(res.Mappings.modified.AWSBoxenAMIs, undefined);
+          var values = res.ParameterValues;
+          assert.equal(values.modified.WebHeadAMI, undefined);
+          assert.equal(values.modified.DBPassword, undefined);
+          assert.equal(values.added.DBPassword, undefined);
+          assert.equal(values.removed.DBPassword, undefined);
+        }).then(function() {
+          git.removeCheckout(projDir, restore);
+        }, restore);
+      });
+    });
+  });
+
+  it('loads and checks each of the fixture profiles', function(done) {
+    var projDir = path.resolve(__dirname, '..');
+    var profiles = fs.readdirSync(path.join(projDir, '.awsboxen', 'Profiles'));
+    var client = api.createClient({ project_dir: projDir });
+    var p = Promise.resolve();
+    profiles.forEach(function(fileName) {
+      var profile = path.basename(fileName, path.extname(fileName));
+      p = p.then(function() {
+        return client.run('lint', { profile: profile }).catch(function(err) {
+          throw new Error('profile ' + profile + ': ' + err.message);
+        });
+      });
+    });
+    p.then(function() {
+      done();
+    }, done);
+  });
+
+  it('rejects AWSBox hooks given as a list', function(done) {
+    var projDir = path.resolve(__dirname, '..');
+    var configFile = path.join('test', 'config-test-data', 'hooks-list.json');
+    var client = api.createClient({ project_dir: projDir });
+    client.run('lint', { config: path.join(projDir, configFile) })
+          .then(function() {
+      throw new Error('lint should have failed');
+    }, function(err) {
+      assert.equal(err.message, configFile + ': ' +
+                   'Boxen.AWSBox.Properties.hooks: error: expected a dict ' +
+                   'but found a list');
+    }).then(done, done);
+  });
+
+  it('emits structured progress events', function(done) {
+    var client = api.createClient();
+    var events = [];
+    client.on('progress', function(ev) {
+      events.push(ev);
+    });
+    client.on('amiState', function(ev) {
+      assert.equal(ev.state, 'pending');
+    });
+    var opts = { emitter: client };
+    progress.log(opts, 'Building', 'things');
+    progress.event(opts, 'amiState', { state: 'pending' }, 'AMI pending');
+    progress.stream(opts).write('some output');
+    assert.deepEqual(events, [
+      { type: 'log', message: 'Building things' },
+      { type: 'amiState', message: 'AMI pending', state: 'pending' },
+      { type: 'output', message: 'some output' }
+    ]);
+    done();
+  });
+
+});
@@ -0,0 +1,74 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for deployment artifacts.
+ *
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp');
+
+const artifact = require('../lib/artifact');
+const git = require('../lib/git');
+
+
+const TEMPLATE = {
+  Description: 'awsboxen deployment of myapp',
+  Parameters: {
+    WebHeadAMI: { Type: 'String', Default: 'ami-123456' },
+    DBPassword: { Type: 'String', Default: 'decoy', NoEcho: 'true' },
+    AWSBoxenProject: { Type: 'String', Default: 'myapp' },
+    AWSBoxenProfile: { Type: 'String', Default: 'Prod' },
+    AWSBoxenCommit: { Type: 'String', Default: 'e81d07b' }
+  },
+  Resources: {
+    WebHeadServer: {
+      Type: 'AWS::EC2::Instance',
+      Properties: { ImageId: { Ref: 'WebHeadAMI' } }
+    }
+  }
+};
+
+
+describe('deployment artifacts', function() {
+
+  it('records a manifest of the deployed template', function(done) {
+    var res = artifact.makeArtifact(TEMPLATE, { profile: 'Default',
+                                               aws_region: 'us-west-2' });
+    assert.equal(res.AWSBoxenArtifact, 1);
+    assert.strictEqual(res.template, TEMPLATE);
+    assert.equal(res.manifest.project, 'myapp');
+    assert.equal(res.manifest.profile, 'Prod');
+    assert.equal(res.manifest.commit, 'e81d07b');
+    assert.deepEqual(res.manifest.regions, ['us-west-2']);
+    assert.deepEqual(res.regions, [{ name: 'us-west-2', parameters: {} }]);
+    assert.equal(res.manifest.parameters.WebHeadAMI, 'ami-123456');
+    assert.equal(res.manifest.parameters.DBPassword, '****');
+    done();
+  });
+
+  it('can be written to a file and read back again', function(done) {
+    temp.mkdir('awsboxen-test', function(err, dirPath) {
+      assert.equal(err, null);
+      var filePath = path.join(dirPath, 'artifact.json');
+      var res = artifact.makeArtifact(TEMPLATE, { aws_region: 'us-east-1' });
+      artifact.writeArtifact(filePath, res, function(err) {
+        assert.equal(err, null);
+        artifact.readArtifact(filePath, function(err, loaded) {
+          assert.equal(err, null);
+          assert.deepEqual(loaded, res);
+          fs.writeFileSync(filePath, JSON.stringify(TEMPLATE));
+          artifact.readArtifact(filePath, function(err) {
+            assert.equal(err, 'not an awsboxen artifact: ' + filePath);
+            git.removeCheckout(dirPath, done);
+          });
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,116 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for the CloudFormation wrapper, using a stubbed connection.
+ *
+ */
+
+const assert = require('assert');
+const CloudFormation = require('awssum-amazon-cloudformation').CloudFormation;
+
+const cfn = require('../lib/cfn');
+
+
+// Make a DescribeStackEvents response with the given events and NextToken.
+//
+function eventsResponse(events, nextToken) {
+  return {
+    Body: {
+      DescribeStackEventsResponse: {
+        DescribeStackEventsResult: {
+          StackEvents: { member: events },
+          NextToken: nextToken
+        }
+      }
+    }
+  };
+}
+
+
+// Serve the events of a stack a page at a time, most recent first, with
+// each page's NextToken being the index of the first event on the next.
+// The requests that were made are given to the callback, along with the
+// result of fetching the events with the given options.
+//
+function getStubbedEvents(opts, cb) {
+  var proto = CloudFormation.prototype;
+  var origDescribeStackEvents = proto.DescribeStackEvents;
+  var events = [];
+  for (var i = 9; i >= 1; i--) {
+    events.push({ EventId: 'E' + i });
+  }
+  var requests = [];
+  proto.DescribeStackEvents = function(args, cb) {
+    requests.push(args);
+    var start = parseInt(args.NextToken || '0', 10);
+    var next = start + 4 < events.length ? String(start + 4) : undefined;
+    cb(null, eventsResponse(events.slice(start, start + 4), next));
+  };
+  var stackOpts = {
+    aws_id: 'x',
+    aws_secret: 'y',
+    aws_region: 'us-east-1',
+    stack_name: 'test'
+  };
+  Object.keys(opts).forEach(function(k) {
+    stackOpts[k] = opts[k];
+  });
+  cfn.getStackEvents(stackOpts, function(err, res) {
+    proto.DescribeStackEvents = origDescribeStackEvents;
+    cb(err, res && res.map(function(event) {
+      return event.EventId;
+    }), requests);
+  });
+}
+
+
+describe('cloudformation wrapper', function() {
+
+  it('follows NextToken to fetch every stack event', function(done) {
+    getStubbedEvents({}, function(err, eventIds, requests) {
+      assert.equal(err, null);
+      assert.deepEqual(eventIds, ['E9', 'E8', 'E7', 'E6', 'E5', 'E4', 'E3',
+                                  'E2', 'E1']);
+      assert.deepEqual(requests.map(function(args) {
+        return args.NextToken || null;
+      }), [null, '4', '8']);
+      assert.equal(requests[0].StackName, 'test');
+      done();
+    });
+  });
+
+  it('stops at the event limit, across pages if need be', function(done) {
+    getStubbedEvents({ max_stack_events: 6 }, function(err, eventIds,
+                                                       requests) {
+      assert.equal(err, null);
+      assert.deepEqual(eventIds, ['E9', 'E8', 'E7', 'E6', 'E5', 'E4']);
+      assert.equal(requests.length, 2);
+      done();
+    });
+  });
+
+  it('stops at the last-seen stack event', function(done) {
+    getStubbedEvents({ last_stack_event: 'E6' }, function(err, eventIds,
+                                                          requests) {
+      assert.equal(err, null);
+      assert.deepEqual(eventIds, ['E9', 'E8', 'E7']);
+      assert.equal(requests.length, 1);
+      done();
+    });
+  });
+
+  it('formats a stack event into a line', function(done) {
+    assert.equal(cfn.formatStackEvent({
+      Timestamp: '2013-11-15T10:00:00Z',
+      LogicalResourceId: 'WebHead',
+      ResourceType: 'AWS::EC2::Instance',
+      ResourceStatus: 'CREATE_FAILED',
+      ResourceStatusReason: 'no capacity'
+    }), '2013-11-15T10:00:00Z  WebHead (AWS::EC2::Instance): ' +
+        'CREATE_FAILED [no capacity]');
+    done();
+  });
+
+});
@@ -0,0 +1,167 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for shell completion.
+ *
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp');
+
+const completion = require('../lib/completion');
+const USAGE = require('../lib/usage').USAGE;
+const git = require('../lib/git');
+const cfn = require('../lib/cfn');
+
+
+const CONFIG = [
+  'Boxen:',
+  '  WebHead:',
+  '    processes: [server.js]',
+  '  DBServer: {}',
+  'Profiles:',
+  '  Production:',
+  '    Boxen:',
+  '      Cache: {}',
+  '  Staging: {}'
+].join('\n');
+
+
+describe('shell completion', function() {
+
+  it('parses commands and options from the usage string', function(done) {
+    var spec = completion.parseUsage(USAGE);
+    var commands = spec.commands.map(function(tokens) {
+      return tokens[0].word;
+    });
+    assert.ok(commands.indexOf('deploy') !== -1);
+    assert.ok(commands.indexOf('completion') !== -1);
+    assert.equal(commands.indexOf('complete'), -1);
+    assert.ok(spec.options.indexOf('--dry-run') !== -1);
+    assert.ok(spec.options.indexOf('-p') !== -1);
+    assert.equal(spec.valueOptions['-p'], 'profile');
+    assert.equal(spec.valueOptions['--profile'], 'profile');
+    assert.equal(spec.valueOptions['--dry-run'], undefined);
+    done();
+  });
+
+  it('completes commands, sub-commands and options', function(done) {
+    var opts = { project_dir: '.' };
+    completion.getCompletions(opts, USAGE, ['i'], function(err, words) {
+      assert.equal(err, null);
+      assert.deepEqual(words, ['init', 'images', 'info']);
+      completion.getCompletions(opts, USAGE, ['-p', 'x', 'images', ''],
+                                function(err, words) {
+        assert.equal(err, null);
+        assert.deepEqual(words, ['list', 'prune']);
+        completion.getCompletions(opts, USAGE, ['--dr'], function(err, words) {
+          assert.equal(err, null);
+          assert.deepEqual(words, ['--dry-run']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('completes profiles and boxen from the config', function(done) {
+    temp.mkdir('awsboxen-test', function(err, projDir) {
+      assert.equal(err, null);
+      fs.writeFileSync(path.join(projDir, 'awsboxen.yml'), CONFIG);
+      var opts = { project_dir: projDir };
+      var words = ['--profile=P'];
+      completion.getCompletions(opts, USAGE, words, function(err, words) {
+        assert.equal(err, null);
+        assert.deepEqual(words, ['--profile=Production']);
+        words = ['--profile', '=', ''];
+        completion.getCompletions(opts, USAGE, words, function(err, words) {
+          assert.equal(err, null);
+          assert.deepEqual(words, ['Production', 'Staging']);
+          words = ['-p', 'Production', 'freeze', 'WebHead', ''];
+          completion.getCompletions(opts, USAGE, words, function(err, words) {
+            assert.equal(err, null);
+            assert.deepEqual(words, ['DBServer', 'Cache']);
+            git.removeCheckout(projDir, done);
+          });
+        });
+      });
+    });
+  });
+
+  it('tailors javascript configs to the typed options', function(done) {
+    temp.mkdir('awsboxen-test', function(err, projDir) {
+      assert.equal(err, null);
+      fs.writeFileSync(path.join(projDir, 'awsboxen.js'), [
+        'module.exports = function(options) {',
+        '  var cfg = { Boxen: { WebHead: {} } };',
+        '  cfg.Boxen[options.profile + options.region] = {};',
+        '  if (options.defines.Extra) cfg.Boxen[options.defines.Extra] = {};',
+        '  return cfg;',
+        '};'
+      ].join('\n'));
+      var opts = { project_dir: projDir, aws_region: 'us-east-1' };
+      var words = ['freeze', ''];
+      completion.getCompletions(opts, USAGE, words, function(err, words) {
+        assert.equal(err, null);
+        assert.deepEqual(words, ['WebHead', 'Defaultus-east-1']);
+        opts.aws_region = 'eu-west-1';
+        words = ['-p', 'Prod', '-D', 'Extra=Queue', 'freeze', ''];
+        completion.getCompletions(opts, USAGE, words, function(err, words) {
+          assert.equal(err, null);
+          assert.deepEqual(words, ['WebHead', 'Prodeu-west-1', 'Queue']);
+          git.removeCheckout(projDir, done);
+        });
+      });
+    });
+  });
+
+  it('completes stack names from a per-user cache', function(done) {
+    var origHome = process.env.HOME;
+    var origListStacks = cfn.listStacks;
+    var lookups = 0;
+    cfn.listStacks = function(opts, cb) {
+      lookups++;
+      cb(null, ['myapp-prod', 'myapp-stage', 'other']);
+    };
+    function restore(err) {
+      process.env.HOME = origHome;
+      cfn.listStacks = origListStacks;
+      done(err);
+    }
+    temp.mkdir('awsboxen-test', function(err, homeDir) {
+      assert.equal(err, null);
+      process.env.HOME = homeDir;
+      var opts = { aws_id: 'test-id', aws_region: 'test-region' };
+      var words = ['deploy', 'myapp'];
+      completion.getCompletions(opts, USAGE, words, function(err, res) {
+        assert.equal(err, null);
+        assert.deepEqual(res, ['myapp-prod', 'myapp-stage']);
+        completion.getCompletions(opts, USAGE, words, function(err, res) {
+          assert.equal(err, null);
+          assert.deepEqual(res, ['myapp-prod', 'myapp-stage']);
+          assert.equal(lookups, 1);
+          var cacheFile = path.join(homeDir, '.awsboxen',
+                                    'completion-cache.json');
+          var data = fs.readFileSync(cacheFile).toString();
+          assert.equal(data.indexOf('test-id'), -1);
+          var mode = fs.statSync(cacheFile).mode & parseInt('777', 8);
+          assert.equal(mode, parseInt('600', 8));
+          git.removeCheckout(homeDir, restore);
+        });
+      });
+    });
+  });
+
+  it('generates scripts for supported shells', function(done) {
+    completion.SHELLS.forEach(function(shell) {
+      var script = completion.getCompletionScript(shell);
+      assert.ok(script.indexOf('awsboxen complete --') !== -1);
+    });
+    assert.equal(completion.getCompletionScript('fish'), null);
+    done();
+  });
+
+});
@@ -0,0 +1,20 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// Generate one instance per shard, asynchronously.
+module.exports = function(options) {
+  var resources = {};
+  var numShards = parseInt(options.defines.NumShards, 10);
+  for (var i = 0; i < numShards; i++) {
+    resources['Shard' + i] = {
+      Type: 'AWS::EC2::Instance',
+      Properties: { Tags: [{ Key: 'Region', Value: options.region }] }
+    };
+  }
+  return new Promise(function(resolve) {
+    setImmediate(function() {
+      resolve({ Profile: options.profile, Resources: resources });
+    });
+  });
+};
@@ -9,9 +9,13 @@
  */
 
 const assert = require('assert');
+const child_process = require('child_process');
+const fs = require('fs');
 const path = require('path');
+const temp = require('temp');
 
 const config = require('../lib/config');
+const git = require('../lib/git');
 
 
 function testDataPath(name) {
@@ -86,6 +90,25 @@ describe('config loader', function() {
     });
   });
 
+  it('records the file that each config item came from', function(done) {
+    config.loadConfig(testDataPath('merged'), function(err, res) {
+      assert.equal(err, null);
+      assert.equal(config.findSource(res, ['Items', 'milk']),
+                   testDataPath('merged/Items.json'));
+      assert.equal(config.findSource(res, ['Sub', 'Sub2', 'one']),
+                   testDataPath('merged/Sub/Sub2.json'));
+      assert.equal(config.findSource(res, ['Sub', 'Sub2', 'three']),
+                   testDataPath('merged/Sub.yaml'));
+      assert.equal(config.findSource(res, ['Sub', 'extras', 0]),
+                   testDataPath('merged/Sub.yaml'));
+      assert.equal(config.findSource({}, ['Sub']), null);
+      assert.equal(config.getSourceInfo(res.Sub.extras, 1).line, 3);
+      assert.equal(config.getSourceInfo(res.Sub.Sub2, 'three').line, 5);
+      assert.equal(JSON.stringify(res.Items), '{"milk":true,"bread":false}');
+      done();
+    });
+  });
+
   it('merges config dicts in a sensible way', function(done) {
     assert.deepEqual(config.mergeConfig({one: 1, two: 2}, {two: null}),
                      {one: 1, two: null});
@@ -96,4 +119,167 @@ describe('config loader', function() {
     done();
   });
 
+  it('applies merge directives to lists and deletions', function(done) {
+    var basePath = testDataPath('directives/base.json');
+    var overridePath = testDataPath('directives/override.yml');
+    config.loadRootConfig([basePath, overridePath], function(err, res) {
+      assert.equal(err, null);
+      config.applyMergeDirectives(res);
+      assert.deepEqual(res, {
+        SecurityGroupIngress: [
+          { IpProtocol: 'tcp', FromPort: '80', ToPort: '80' },
+          { IpProtocol: 'tcp', FromPort: '443', ToPort: '443' }
+        ],
+        Tags: ['zero', 'one', 'three'],
+        Nested: { Deeply: { Wanted: true } },
+        NewList: ['only']
+      });
+      assert.deepEqual(config.mergeConfig([1, 2, 3], [4]), [4]);
+      assert.equal(config.mergeConfig({ one: 1 }, {'AWSBoxen::Delete': true}),
+                   undefined);
+      config.loadConfig(testDataPath('directives/invalid.json'), function(err) {
+        assert.equal(err, 'invalid merge directive at Tags: unexpected key ' +
+                     '"Other" in ' + testDataPath('directives/invalid.json'));
+        done();
+      });
+    });
+  });
+
+  it('loads configs computed by javascript modules', function(done) {
+    var context = { options: {
+      profile: 'Production',
+      region: 'us-west-2',
+      defines: { NumShards: '2' }
+    }};
+    config.loadConfig(testDataPath('modules'), context, function(err, res) {
+      assert.equal(err, null);
+      assert.deepEqual(res.Static, {
+        Description: 'a config exported as a plain object'
+      });
+      assert.equal(res.Shards.Profile, 'Production');
+      assert.deepEqual(Object.keys(res.Shards.Resources), ['Shard0', 'Shard1']);
+      assert.equal(res.Shards.Resources.Shard1.Properties.Tags[0].Value,
+                   'us-west-2');
+      assert.equal(config.findSource(res, ['Shards', 'Resources', 'Shard0']),
+                   testDataPath('modules/Shards.js'));
+      done();
+    });
+  });
+
+  it('resolves includes relative to the including file', function(done) {
+    var mainPath = testDataPath('includes/main.yml');
+    config.loadConfig(mainPath, function(err, res) {
+      assert.equal(err, null);
+      assert.deepEqual(res, {
+        Resources: {
+          LoggingGroup: {
+            Type: 'AWS::EC2::SecurityGroup',
+            Properties: { GroupDescription: 'Shared logging access' }
+          },
+          WebHead: {
+            Type: 'AWS::EC2::Instance',
+            Properties: {
+              InstanceType: 'm1.large',
+              SecurityGroups: ['LoggingGroup']
+            }
+          }
+        }
+      });
+      assert.equal(config.findSource(res, ['Resources', 'LoggingGroup',
+                                           'Type']),
+                   testDataPath('includes/shared/logging.json'));
+      assert.equal(config.findSource(res, ['Resources', 'WebHead',
+                                           'Properties', 'InstanceType']),
+                   mainPath);
+      done();
+    });
+  });
+
+  it('detects cyclic includes', function(done) {
+    var onePath = testDataPath('includes/cycle/one.yml');
+    config.loadConfig(onePath, function(err) {
+      assert.equal(err, 'include cycle: ' + onePath + ' -> ' +
+                        testDataPath('includes/cycle/two.yml') + ' -> ' +
+                        onePath);
+      done();
+    });
+  });
+
+  it('includes files from git urls pinned to a ref', function(done) {
+    temp.mkdir('awsboxen-test', function(err, repoDir) {
+      assert.equal(err, null);
+      var gitOpts = { cwd: repoDir };
+      fs.writeFileSync(path.join(repoDir, 'shared.yml'), 'Version: 1');
+      var commands = [
+        'git init -q',
+        'git add shared.yml',
+        'git -c user.name=test -c user.email=test@example.com commit -qm v1',
+        'git tag v1',
+        'echo "Version: 2" > shared.yml',
+        'git -c user.name=test -c user.email=test@example.com commit -qam v2',
+        'git checkout -q -b feature',
+        'echo "Version: 3" > shared.yml',
+        'git -c user.name=test -c user.email=test@example.com commit -qam v3',
+        'git checkout -q -'
+      ];
+      child_process.exec(commands.join(' && '), gitOpts, function(err) {
+        assert.equal(err, null);
+        var mainPath = path.join(repoDir, 'main.json');
+        var url = 'git+' + repoDir + '#v1:shared.yml';
+        fs.writeFileSync(mainPath, JSON.stringify({
+          Shared: { 'AWSBoxen::Include': url }
+        }));
+        config.loadConfig(mainPath, function(err, res) {
+          assert.equal(err, null);
+          assert.deepEqual(res, { Shared: { Version: 1 } });
+          assert.equal(config.findSource(res, ['Shared', 'Version']), url);
+          url = 'git+' + repoDir + '#feature:shared.yml';
+          fs.writeFileSync(mainPath, JSON.stringify({
+            Shared: { 'AWSBoxen::Include': url }
+          }));
+          config.loadConfig(mainPath, function(err, res) {
+            assert.equal(err, null);
+            assert.deepEqual(res, { Shared: { Version: 3 } });
+            fs.writeFileSync(mainPath, JSON.stringify({
+              Shared: { 'AWSBoxen::Include': 'git+' + repoDir + ':shared.yml' }
+            }));
+            config.loadConfig(mainPath, function(err) {
+              assert.ok(/must be of the form/.test(err));
+              git.removeCheckout(repoDir, done);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('interpolates variables into config strings', function(done) {
+    var itemsPath = testDataPath('merged/Items.json');
+    config.loadConfig(testDataPath('merged'), function(err, res) {
+      assert.equal(err, null);
+      res.Items.milk = '${env:MILK} and ${param:Sugar:-no sugar}';
+      res.Sub.extras = ['$${env:MILK}', '${git:commit}'];
+      var lookup = {
+        env: function(name) {
+          return name === 'MILK' ? 'skim' : undefined;
+        },
+        param: function() {},
+        git: function() {
+          return 'abcdef1';
+        }
+      };
+      config.interpolateConfig(res, lookup, function(err, res) {
+        assert.equal(err, null);
+        assert.equal(res.Items.milk, 'skim and no sugar');
+        assert.deepEqual(res.Sub.extras, ['${env:MILK}', 'abcdef1']);
+        res.Items.bread = 'with ${env:BUTTER}';
+        config.interpolateConfig(res, lookup, function(err) {
+          assert.equal(err, 'undefined variable "${env:BUTTER}" at ' +
+                            'Items.bread in ' + itemsPath);
+          done();
+        });
+      });
+    });
+  });
+
 });
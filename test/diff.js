@@ -0,0 +1,94 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for structured comparison of templates.
+ *
+ */
+
+const assert = require('assert');
+
+const diff = require('../lib/diff');
+
+
+describe('template diff', function() {
+
+  it('reports added, removed and modified items', function(done) {
+    var oldCfg = {
+      Parameters: { Size: { Type: 'String', Default: 'm1.small' } },
+      Resources: {
+        OldServer: { Type: 'AWS::EC2::Instance', Properties: {} },
+        WebHead: {
+          Type: 'AWS::EC2::Instance',
+          Properties: { InstanceType: 'm1.small', ImageId: 'ami-1' }
+        }
+      }
+    };
+    var newCfg = {
+      Parameters: { Size: { Type: 'String', Default: 'm1.small' } },
+      Resources: {
+        NewServer: { Type: 'AWS::EC2::Instance', Properties: {} },
+        WebHead: {
+          Type: 'AWS::EC2::Instance',
+          Properties: { InstanceType: 'm1.large', ImageId: 'ami-1' }
+        }
+      },
+      Outputs: { URL: { Value: 'http://example.com' } }
+    };
+    var res = diff.diffTemplates(oldCfg, newCfg);
+    assert.deepEqual(Object.keys(res).sort(),
+                     ['Mappings', 'Outputs', 'Parameters', 'Resources']);
+    assert.deepEqual(res.Parameters,
+                     { added: {}, removed: {}, modified: {} });
+    assert.deepEqual(Object.keys(res.Resources.added), ['NewServer']);
+    assert.deepEqual(Object.keys(res.Resources.removed), ['OldServer']);
+    assert.deepEqual(res.Resources.modified, {
+      WebHead: [{
+        path: 'Properties.InstanceType',
+        old: 'm1.small',
+        new: 'm1.large'
+      }]
+    });
+    assert.deepEqual(Object.keys(res.Outputs.added), ['URL']);
+    assert.ok(!diff.isEmptyDiff(res));
+    assert.ok(diff.isEmptyDiff(diff.diffTemplates(oldCfg, oldCfg)));
+    done();
+  });
+
+  it('reports property-level changes inside lists', function(done) {
+    var changes = diff.diffValues({
+      Ingress: [{ FromPort: '22' }, { FromPort: '80' }]
+    }, {
+      Ingress: [{ FromPort: '22' }, { FromPort: '8080' }, { FromPort: '443' }]
+    });
+    assert.deepEqual(changes, [
+      { path: 'Ingress[1].FromPort', old: '80', new: '8080' },
+      { path: 'Ingress[2]', old: undefined, new: { FromPort: '443' } }
+    ]);
+    done();
+  });
+
+  it('formats a diff for display on the console', function(done) {
+    var res = diff.diffTemplates({
+      Resources: { Gone: { Type: 'AWS::EC2::SecurityGroup' } }
+    }, {
+      Resources: { Here: { Type: 'AWS::EC2::Instance', Properties: {} } },
+      Outputs: { URL: { Value: 'one' } }
+    });
+    res.Outputs.modified.URL = diff.diffValues({Value: 'one'}, {Value: 'two'});
+    assert.deepEqual(diff.formatDiff(res), [
+      'Resources:',
+      '  + Here (AWS::EC2::Instance)',
+      '  - Gone (AWS::EC2::SecurityGroup)',
+      'Outputs:',
+      '  + URL',
+      '  ~ URL',
+      '      Value: "one" => "two"'
+    ]);
+    assert.deepEqual(diff.formatDiff(diff.diffTemplates({}, {})),
+                     ['No changes.']);
+    done();
+  });
+
+});
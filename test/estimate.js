@@ -0,0 +1,163 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for monthly cost estimates.
+ *
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp');
+
+const costEstimate = require('../lib/estimate');
+
+
+const PRICES = {
+  Updated: 'test',
+  Regions: {
+    'us-east-1': {
+      EC2: { 'm1.small': 0.1, 'm1.large': 0.4 },
+      ELB: { hour: 0.02 },
+      EBS: { standard: 0.05, io1: 0.1, iops: 0.1 },
+      RDS: { 'db.m1.small': 0.2, storage: 0.1 }
+    }
+  }
+};
+
+
+function makeTemplate() {
+  return {
+    Parameters: {
+      WebHeadAMI: { Type: 'String', Default: 'ami-XXXXXX' },
+      Capacity: { Type: 'Number', Default: '3' },
+      DBClass: { Type: 'String' }
+    },
+    Mappings: {
+      Sizes: { 'us-east-1': { Instance: 'm1.large' } }
+    },
+    Resources: {
+      Server: {
+        Type: 'AWS::EC2::Instance',
+        Properties: {
+          ImageId: { Ref: 'WebHeadAMI' },
+          InstanceType: {
+            'Fn::FindInMap': ['Sizes', { Ref: 'AWS::Region' }, 'Instance']
+          }
+        }
+      },
+      Launch: {
+        Type: 'AWS::AutoScaling::LaunchConfiguration',
+        Properties: { ImageId: { Ref: 'WebHeadAMI' } }
+      },
+      Group: {
+        Type: 'AWS::AutoScaling::AutoScalingGroup',
+        Properties: {
+          LaunchConfigurationName: { Ref: 'Launch' },
+          MinSize: '1',
+          DesiredCapacity: { Ref: 'Capacity' }
+        }
+      },
+      Balancer: { Type: 'AWS::ElasticLoadBalancing::LoadBalancer' },
+      Volume: {
+        Type: 'AWS::EC2::Volume',
+        Properties: { Size: '100', VolumeType: 'io1', Iops: '50' }
+      },
+      Database: {
+        Type: 'AWS::RDS::DBInstance',
+        Properties: {
+          DBInstanceClass: { Ref: 'DBClass' },
+          AllocatedStorage: '10',
+          MultiAZ: 'true'
+        }
+      },
+      Queue: { Type: 'AWS::SQS::Queue' }
+    }
+  };
+}
+
+
+function estimateWith(paramValues) {
+  var regions = [{ name: 'us-east-1', paramValues: paramValues }];
+  return costEstimate.estimateCost(makeTemplate(), PRICES, regions);
+}
+
+
+describe('cost estimates', function() {
+
+  it('prices instances, groups, balancers, volumes and databases',
+     function(done) {
+    var res = estimateWith({ Capacity: '3', DBClass: 'db.m1.small' });
+    var costs = {};
+    res.items.forEach(function(item) {
+      costs[item.name] = item.detail + ': ' + item.monthly.toFixed(2);
+    });
+    assert.deepEqual(costs, {
+      Server: 'm1.large: 292.00',
+      Group: '3 x m1.small: 219.00',
+      Balancer: 'load balancer: 14.60',
+      Volume: '100GB io1, 50 IOPS: 15.00',
+      Database: 'db.m1.small multi-AZ, 10GB: 294.00'
+    });
+    assert.equal(res.total.toFixed(2), '834.60');
+    assert.deepEqual(res.unpriced, []);
+    done();
+  });
+
+  it('reports resources that cannot be priced', function(done) {
+    var res = estimateWith({ Capacity: '3' });
+    assert.deepEqual(res.unpriced, [{
+      name: 'Database',
+      type: 'AWS::RDS::DBInstance',
+      region: 'us-east-1',
+      reason: 'could not determine the instance class'
+    }]);
+    done();
+  });
+
+  it('compares two estimates', function(done) {
+    var before = estimateWith({ Capacity: '3', DBClass: 'db.m1.small' });
+    var after = estimateWith({ Capacity: '5', DBClass: 'db.m1.small' });
+    after.items = after.items.filter(function(item) {
+      return item.name !== 'Volume';
+    });
+    after.total -= 15;
+    var diff = costEstimate.compareEstimates(before, after);
+    assert.equal(diff.total.toFixed(2), '131.00');
+    assert.deepEqual(diff.items.map(function(item) {
+      return [item.name, item.before, item.after].join(' ');
+    }), ['Group 219 365', 'Volume 15 ']);
+    var lines = costEstimate.formatEstimates({
+      pricesUpdated: 'test',
+      estimates: [before, after],
+      difference: diff
+    });
+    assert.ok(lines.indexOf('  us-east-1 Volume: $15.00 -> -') !== -1);
+    assert.ok(lines.indexOf('  Total: +$131.00 per month') !== -1);
+    done();
+  });
+
+  it('merges updated prices over the bundled table', function(done) {
+    temp.mkdir('awsboxen-test', function(err, dirPath) {
+      assert.equal(err, null);
+      var priceFile = path.join(dirPath, 'prices.json');
+      fs.writeFileSync(priceFile, JSON.stringify({
+        Updated: '2099-01-01',
+        Regions: { 'us-east-1': { EC2: { 'm1.small': 0.01 } } }
+      }));
+      costEstimate.loadPrices(priceFile, function(err, prices) {
+        assert.equal(err, null);
+        assert.equal(prices.Updated, '2099-01-01');
+        var ec2 = prices.Regions['us-east-1'].EC2;
+        assert.equal(ec2['m1.small'], 0.01);
+        assert.equal(typeof ec2['m1.large'], 'number');
+        fs.unlinkSync(priceFile);
+        fs.rmdirSync(dirPath);
+        done();
+      });
+    });
+  });
+
+});
@@ -0,0 +1,77 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for explaining where config values came from.
+ * These use the awsboxen project itself to provide the test data.
+ *
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const template = require('../lib/template');
+const explain = require('../lib/explain');
+
+
+var PROJDIR = path.resolve(__dirname, '..');
+
+
+// Find the explanation of the item at the given path.
+//
+function findItem(explanation, itemPath) {
+  return explanation.filter(function(item) {
+    return item.path.join('.') === itemPath;
+  })[0];
+}
+
+
+describe('config explanation', function() {
+
+  it('traces values to their file, line and profile', function(done) {
+    var opts = {
+      ignore_uncommitted: true,
+      offline: true,
+      profile: 'ExtraAWSBoxSettingsEX'
+    };
+    template.loadTemplate(PROJDIR, opts, function(err, cfg) {
+      assert.equal(err, null);
+      var explanation = explain.explainConfig(cfg, PROJDIR);
+      var props = 'Boxen.AWSBox.Properties.';
+      assert.deepEqual(findItem(explanation, props + 'processes.0'), {
+        path: ['Boxen', 'AWSBox', 'Properties', 'processes', '0'],
+        value: 'somethingelse.js',
+        file: '.awsboxen/Profiles/ExtraAWSBoxSettingsEX.json',
+        line: 6,
+        profile: 'ExtraAWSBoxSettingsEX',
+        generated: false
+      });
+      var readme = findItem(explanation, props + 'env.README');
+      assert.equal(readme.file, '.awsbox.json');
+      assert.equal(readme.line, 6);
+      assert.equal(readme.profile, null);
+      var deployKey = findItem(explanation, 'Parameters.AWSBoxDeployKey.Type');
+      assert.equal(deployKey.generated, true);
+      assert.deepEqual(explain.formatExplanation([readme, deployKey]), [
+        props + 'env.README: "this only exists for testing purposes"  ' +
+        '(.awsbox.json:6)',
+        'Parameters.AWSBoxDeployKey.Type: "String"  (generated)'
+      ]);
+      done();
+    });
+  });
+
+  it('leaves out values that are undefined', function(done) {
+    var explanation = explain.explainConfig({
+      Kept: 'yes',
+      Dropped: undefined,
+      Nested: { Dropped: undefined, Kept: null }
+    });
+    assert.deepEqual(explanation.map(function(item) {
+      return item.path.join('.');
+    }), ['Kept', 'Nested.Kept']);
+    done();
+  });
+
+});
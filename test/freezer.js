@@ -0,0 +1,108 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for checking Boxen declarations before freezing them.
+ *
+ */
+
+const assert = require('assert');
+
+const freezer = require('../lib/freezer');
+
+
+describe('boxen checker', function() {
+
+  it('finds the helper for each boxen type', function(done) {
+    var buildscript = require('../lib/freezer/buildscript');
+    assert.equal(freezer.getHelper('AWSBoxen::BuildScript'), buildscript);
+    assert.equal(freezer.getHelper('buildscript'), buildscript);
+    assert.equal(freezer.getHelper('AWSBox'),
+                 require('../lib/freezer/awsbox'));
+    assert.equal(freezer.getHelper('Puppet'), null);
+    assert.equal(freezer.getHelper(undefined), null);
+    done();
+  });
+
+  it('accepts valid boxen, including computed values', function(done) {
+    var problems = freezer.checkBoxen({
+      Boxen: {
+        WebHead: {
+          Type: 'AWSBox',
+          Properties: {
+            processes: ['server.js'],
+            env: { PORT: 8080 },
+            hooks: { postcreate: 'scripts/setup.sh' }
+          }
+        },
+        Storage: {
+          Type: 'AWSBoxen::BuildScript',
+          Properties: {
+            BaseAMI: { 'Fn::FindInMap': ['RegionMap', { Ref: 'AWS::Region' },
+                                         'BaseAMI'] },
+            BuildScripts: ['scripts/common.sh', { Ref: 'ExtraScript' }]
+          }
+        }
+      }
+    });
+    assert.deepEqual(problems, []);
+    done();
+  });
+
+  it('reports problems with the properties of each boxen', function(done) {
+    var problems = freezer.checkBoxen({
+      Boxen: {
+        WebHead: {
+          Type: 'AWSBox',
+          Properties: {
+            processes: 'server.js',
+            hooks: { postcreate: 'setup.sh', predeploy: 'check.sh' }
+          }
+        },
+        Storage: {
+          Type: 'AWSBoxen::BuildScript',
+          Properties: {
+            BuildScirpts: ['scripts/storage.sh'],
+            User: null
+          }
+        },
+        Other: { Type: 'Puppet', Properties: {} },
+        Broken: { Type: 'AWSBox', Properties: ['server.js'] }
+      }
+    });
+    assert.deepEqual(problems, [{
+      level: 'error',
+      path: ['Boxen', 'WebHead', 'Properties', 'processes'],
+      message: 'expected a list but found a string'
+    }, {
+      level: 'error',
+      path: ['Boxen', 'WebHead', 'Properties', 'hooks', 'predeploy'],
+      message: '"predeploy" is not one of postcreate, postdeploy, poststart'
+    }, {
+      level: 'error',
+      path: ['Boxen', 'Storage', 'Properties'],
+      message: 'missing required property "BaseAMI" of ' +
+               'AWSBoxen::BuildScript Boxen "Storage"'
+    }, {
+      level: 'warning',
+      path: ['Boxen', 'Storage', 'Properties', 'BuildScirpts'],
+      message: 'unknown property "BuildScirpts" of AWSBoxen::BuildScript ' +
+               'Boxen "Storage" will be ignored'
+    }, {
+      level: 'error',
+      path: ['Boxen', 'Storage', 'Properties', 'User'],
+      message: 'expected a string but found null'
+    }, {
+      level: 'error',
+      path: ['Boxen', 'Other', 'Type'],
+      message: 'invalid boxen type "Puppet"'
+    }, {
+      level: 'error',
+      path: ['Boxen', 'Broken', 'Properties'],
+      message: 'Properties of Boxen "Broken" must be a dict'
+    }]);
+    done();
+  });
+
+});
@@ -0,0 +1,94 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for the git helper functions, using a temporary repo.
+ *
+ */
+
+const assert = require('assert');
+const child_process = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp');
+
+const git = require('../lib/git');
+
+
+// Make a temporary git repo with three commits to VERSION, tagging the
+// first as "v1".  The callback gets the path of the repo.
+//
+function makeRepo(cb) {
+  temp.mkdir('awsboxen-test', function(err, repoDir) {
+    if (err) return cb(err);
+    var commit = 'git -c user.name=test -c user.email=test@example.com ' +
+                 'commit -q';
+    var commands = [
+      'git init -q',
+      'echo 1 > VERSION',
+      'git add VERSION',
+      commit + ' -m v1',
+      'git tag v1',
+      'echo 2 > VERSION',
+      commit + ' -am v2',
+      'echo 3 > VERSION',
+      commit + ' -am v3'
+    ];
+    child_process.exec(commands.join(' && '), { cwd: repoDir }, function(err) {
+      return cb(err, repoDir);
+    });
+  });
+}
+
+
+describe('git helpers', function() {
+
+  it('resolves refs and counts the commits since them', function(done) {
+    makeRepo(function(err, repoDir) {
+      assert.equal(err, null);
+      git.resolveCommit(repoDir, 'v1', function(err, v1) {
+        assert.equal(err, null);
+        assert.ok(/^[0-9a-f]{7}$/.test(v1));
+        git.getCurrentCommit(repoDir, function(err, head) {
+          assert.equal(err, null);
+          assert.notEqual(head, v1);
+          git.resolveCommit(repoDir, 'nonexistent', function(err) {
+            assert.equal(err, 'unknown git ref: nonexistent');
+            git.countCommitsSince(repoDir, v1, function(err, count) {
+              assert.equal(err, null);
+              assert.equal(count, 2);
+              git.countCommitsSince(repoDir, 'deadbee', function(err, count) {
+                assert.equal(err, null);
+                assert.strictEqual(count, null);
+                git.removeCheckout(repoDir, done);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('checks out a commit into a temp dir, and cleans up', function(done) {
+    makeRepo(function(err, repoDir) {
+      assert.equal(err, null);
+      git.checkoutCommit(repoDir, 'v1', function(err, workDir) {
+        assert.equal(err, null);
+        assert.notEqual(workDir, repoDir);
+        var version = fs.readFileSync(path.join(workDir, 'VERSION'));
+        assert.equal(version.toString().trim(), '1');
+        git.removeCheckout(workDir, function(err) {
+          assert.equal(err, null);
+          assert.ok(!fs.existsSync(workDir));
+          git.checkoutCommit(repoDir, 'nonexistent', function(err, dir) {
+            assert.equal(err, 'failed to checkout commit: nonexistent');
+            assert.equal(dir, undefined);
+            git.removeCheckout(repoDir, done);
+          });
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,108 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for template dependency graphs.
+ *
+ */
+
+const assert = require('assert');
+
+const graph = require('../lib/graph');
+
+
+function makeTemplate() {
+  return {
+    Boxen: {
+      WebHead: { Type: 'AWSBox', Properties: {} }
+    },
+    Parameters: {
+      WebHeadAMI: { Type: 'String', Default: 'ami-XXXXXX' }
+    },
+    Resources: {
+      WebHeadServer: {
+        Type: 'AWS::EC2::Instance',
+        Properties: { ImageId: { Ref: 'WebHeadAMI' } }
+      },
+      WebHeadVolume: {
+        Type: 'AWS::EC2::Volume',
+        DependsOn: 'WebHeadServer',
+        Properties: {
+          AvailabilityZone: {
+            'Fn::GetAtt': ['WebHeadServer', 'AvailabilityZone']
+          }
+        }
+      }
+    },
+    Outputs: {
+      URL: { Value: { 'Fn::GetAtt': ['WebHeadServer', 'PublicDnsName'] } }
+    }
+  };
+}
+
+
+describe('dependency graph', function() {
+
+  it('links boxen, parameters, resources and outputs', function(done) {
+    var g = graph.buildGraph(makeTemplate());
+    assert.deepEqual(g.nodes.map(function(node) {
+      return node.id;
+    }), ['Boxen:WebHead', 'Parameter:WebHeadAMI', 'Resource:WebHeadServer',
+         'Resource:WebHeadVolume', 'Output:URL']);
+    assert.equal(g.nodes[2].type, 'AWS::EC2::Instance');
+    assert.deepEqual(g.edges, [
+      { from: 'Boxen:WebHead', to: 'Parameter:WebHeadAMI', kind: 'AMI' },
+      { from: 'Parameter:WebHeadAMI', to: 'Resource:WebHeadServer',
+        kind: 'Ref' },
+      { from: 'Resource:WebHeadServer', to: 'Resource:WebHeadVolume',
+        kind: 'GetAtt' },
+      { from: 'Resource:WebHeadServer', to: 'Output:URL', kind: 'GetAtt' },
+      { from: 'Resource:WebHeadServer', to: 'Resource:WebHeadVolume',
+        kind: 'DependsOn' }
+    ]);
+    done();
+  });
+
+  it('shows the changes made by a profile', function(done) {
+    var cfg = makeTemplate();
+    var base = graph.buildGraph(cfg);
+    delete cfg.Resources.WebHeadVolume;
+    cfg.Outputs.AMI = { Value: { Ref: 'WebHeadAMI' } };
+    var diff = graph.diffGraphs(base, graph.buildGraph(cfg));
+    var changes = {};
+    diff.nodes.concat(diff.edges).forEach(function(item) {
+      if (item.change) {
+        changes[item.id || item.from + ' -> ' + item.to] = item.change;
+      }
+    });
+    assert.deepEqual(changes, {
+      'Output:AMI': 'added',
+      'Parameter:WebHeadAMI -> Output:AMI': 'added',
+      'Resource:WebHeadVolume': 'removed',
+      'Resource:WebHeadServer -> Resource:WebHeadVolume': 'removed'
+    });
+    done();
+  });
+
+  it('renders in DOT and mermaid syntax', function(done) {
+    var cfg = makeTemplate();
+    var base = graph.buildGraph(cfg);
+    delete cfg.Outputs.URL;
+    var diff = graph.diffGraphs(base, graph.buildGraph(cfg));
+    var dot = graph.formatGraph(diff, 'dot');
+    assert.equal(dot[0], 'digraph awsboxen {');
+    assert.ok(dot.indexOf('  "Boxen:WebHead" -> "Parameter:WebHeadAMI" ' +
+                          '[label="AMI"];') !== -1);
+    assert.ok(dot.indexOf('  "Output:URL" [label="URL", ' +
+                          'fillcolor="#b8e186", color="red", ' +
+                          'style="filled,dashed"];') !== -1);
+    var mermaid = graph.formatGraph(diff, 'mermaid');
+    assert.equal(mermaid[0], 'graph LR');
+    assert.ok(mermaid.indexOf('  Resource_WebHeadServer -.->|GetAtt| ' +
+                              'Output_URL') !== -1);
+    assert.ok(mermaid.indexOf('  class Output_URL removed') !== -1);
+    done();
+  });
+
+});
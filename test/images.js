@@ -0,0 +1,73 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for garbage-collection of Boxen images.
+ *
+ */
+
+const assert = require('assert');
+
+const images = require('../lib/images');
+
+
+const NOW = new Date('2013-12-01T00:00:00.000Z').getTime();
+
+// Listed newest-first, as produced by images.listImages().
+const IMAGES = [
+  { id: 'ami-5', name: 'myapp-WebHead-eeeeee', boxName: 'WebHead',
+    created: '2013-11-30T00:00:00.000Z', stacks: [] },
+  { id: 'ami-4', name: 'myapp-Worker-dddddd', boxName: 'Worker',
+    created: '2013-11-20T00:00:00.000Z', stacks: [] },
+  { id: 'ami-3', name: 'myapp-WebHead-cccccc', boxName: 'WebHead',
+    created: '2013-11-15T00:00:00.000Z', stacks: ['myapp-prod'] },
+  { id: 'ami-2', name: 'myapp-WebHead-bbbbbb', boxName: 'WebHead',
+    created: '2013-11-10T00:00:00.000Z', stacks: [] },
+  { id: 'ami-1', name: 'myapp-WebHead-aaaaaa', boxName: 'WebHead',
+    created: '2013-10-01T00:00:00.000Z', stacks: [] }
+];
+
+
+function imageIds(imageList) {
+  return imageList.map(function(image) { return image.id; });
+}
+
+
+describe('image pruning', function() {
+
+  it('selects unused images older than a given age', function(done) {
+    var doomed = images.selectImagesToPrune(IMAGES, 14, null, NOW);
+    assert.deepEqual(imageIds(doomed), ['ami-2', 'ami-1']);
+    done();
+  });
+
+  it('selects unused images beyond the newest few per box', function(done) {
+    var doomed = images.selectImagesToPrune(IMAGES, null, 1, NOW);
+    assert.deepEqual(imageIds(doomed), ['ami-2', 'ami-1']);
+    doomed = images.selectImagesToPrune(IMAGES, null, 3, NOW);
+    assert.deepEqual(imageIds(doomed), ['ami-1']);
+    doomed = images.selectImagesToPrune(IMAGES, 60, 3, NOW);
+    assert.deepEqual(imageIds(doomed), ['ami-1']);
+    doomed = images.selectImagesToPrune(IMAGES, null, null, NOW);
+    assert.deepEqual(imageIds(doomed), []);
+    done();
+  });
+
+  it('always keeps the newest few per box, however old', function(done) {
+    var doomed = images.selectImagesToPrune(IMAGES, 14, 3, NOW);
+    assert.deepEqual(imageIds(doomed), ['ami-1']);
+    doomed = images.selectImagesToPrune(IMAGES, 14, 1, NOW);
+    assert.deepEqual(imageIds(doomed), ['ami-2', 'ami-1']);
+    doomed = images.selectImagesToPrune(IMAGES, 90, 1, NOW);
+    assert.deepEqual(imageIds(doomed), []);
+    done();
+  });
+
+  it('never selects images used by a live stack', function(done) {
+    var doomed = images.selectImagesToPrune(IMAGES, 0, 0, NOW);
+    assert.deepEqual(imageIds(doomed), ['ami-5', 'ami-4', 'ami-2', 'ami-1']);
+    done();
+  });
+
+});
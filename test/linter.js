@@ -0,0 +1,125 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for offline template linting.
+ *
+ */
+
+const assert = require('assert');
+
+const linter = require('../lib/linter');
+
+
+function makeTemplate() {
+  return {
+    Boxen: {
+      WebHead: { Type: 'AWSBox', Properties: {} },
+      Unused: { Type: 'AWSBox', Properties: {} }
+    },
+    Parameters: {
+      WebHeadAMI: { Type: 'String', Default: 'ami-XXXXXX' },
+      UnusedAMI: { Type: 'String', Default: 'ami-XXXXXX' },
+      AWSBoxenCommit: { Type: 'String' },
+      InstanceType: { Type: 'String', Default: 'm1.small' },
+      Forgotten: { Type: 'String' }
+    },
+    Mappings: {
+      RegionMap: {
+        'us-east-1': { Zone: 'us-east-1a' },
+        'us-west-1': { Zone: 'us-west-1a', Extra: 'yes' }
+      }
+    },
+    Resources: {
+      WebHeadServer: {
+        Type: 'AWS::EC2::Instance',
+        Properties: {
+          ImageId: { Ref: 'WebHeadAMI' },
+          InstanceType: { Ref: 'InstanceType' },
+          AvailabilityZone: {
+            'Fn::FindInMap': ['RegionMap', { Ref: 'AWS::Region' }, 'Zone']
+          }
+        }
+      }
+    },
+    Outputs: {
+      URL: { Value: { 'Fn::GetAtt': ['WebHeadServer', 'PublicDnsName'] } }
+    }
+  };
+}
+
+
+describe('template linter', function() {
+
+  it('accepts a sensible template, apart from unused items', function(done) {
+    var problems = linter.lintTemplate(makeTemplate());
+    assert.deepEqual(problems, [{
+      level: 'warning',
+      path: ['Parameters', 'Forgotten'],
+      message: 'parameter "Forgotten" is never used'
+    }, {
+      level: 'warning',
+      path: ['Boxen', 'Unused'],
+      message: 'Boxen "Unused" is never used; its AMI parameter ' +
+               '"UnusedAMI" is never referenced'
+    }]);
+    done();
+  });
+
+  it('reports bad references', function(done) {
+    var cfg = makeTemplate();
+    var props = cfg.Resources.WebHeadServer.Properties;
+    props.KeyName = { Ref: 'Nonexistent' };
+    props.UserData = { 'Fn::GetAtt': ['Nowhere', 'Thing'] };
+    props.AvailabilityZone['Fn::FindInMap'][2] = 'Extra';
+    props.SubnetId = { 'Fn::FindInMap': ['RegionMap', 'eu-west-1', 'Zone'] };
+    cfg.Outputs.URL.Value['Fn::GetAtt'][1] = 'PublicURL';
+    var messages = linter.lintTemplate(cfg).filter(function(problem) {
+      return problem.level === 'error';
+    }).map(function(problem) {
+      return problem.path.join('.') + ': ' + problem.message;
+    });
+    assert.deepEqual(messages, [
+      'Resources.WebHeadServer.Properties.KeyName: Ref to undefined ' +
+        'parameter or resource "Nonexistent"',
+      'Resources.WebHeadServer.Properties.UserData: Fn::GetAtt on ' +
+        'undefined resource "Nowhere"',
+      'Outputs.URL.Value: Fn::GetAtt on unknown attribute "PublicURL" of ' +
+        'AWS::EC2::Instance "WebHeadServer"',
+      'Resources.WebHeadServer.Properties.AvailabilityZone: Fn::FindInMap ' +
+        'on undefined key "Extra" of mapping "RegionMap" entry "us-east-1"',
+      'Resources.WebHeadServer.Properties.SubnetId: Fn::FindInMap on ' +
+        'undefined key "eu-west-1" of mapping "RegionMap"'
+    ]);
+    done();
+  });
+
+  it('reports dependency cycles', function(done) {
+    var cfg = makeTemplate();
+    cfg.Resources.Volume = {
+      Type: 'AWS::EC2::Volume',
+      DependsOn: 'Attachment',
+      Properties: { Size: '10' }
+    };
+    cfg.Resources.Attachment = {
+      Type: 'AWS::EC2::VolumeAttachment',
+      Properties: {
+        InstanceId: { Ref: 'WebHeadServer' },
+        Device: '/dev/sdh'
+      }
+    };
+    cfg.Resources.WebHeadServer.DependsOn = ['Volume'];
+    var problems = linter.lintTemplate(cfg).filter(function(problem) {
+      return problem.level === 'error';
+    });
+    assert.deepEqual(problems, [{
+      level: 'error',
+      path: ['Resources', 'WebHeadServer'],
+      message: 'dependency cycle: WebHeadServer -> Volume -> Attachment -> ' +
+               'WebHeadServer'
+    }]);
+    done();
+  });
+
+});
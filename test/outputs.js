@@ -0,0 +1,44 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for formatting of stack outputs.
+ *
+ */
+
+const assert = require('assert');
+
+const outputs = require('../lib/outputs');
+
+
+var STACK_OUTPUTS = {
+  WebHeadURL: 'http://example.com/',
+  Quoted: "it's \"quoted\""
+};
+
+
+describe('stack outputs formatter', function() {
+
+  it('formats outputs as shell exports', function(done) {
+    assert.equal(outputs.formatOutputs(STACK_OUTPUTS, 'shell'),
+                 "export Quoted='it'\\''s \"quoted\"'\n" +
+                 "export WebHeadURL='http://example.com/'\n");
+    done();
+  });
+
+  it('formats outputs as a dotenv file', function(done) {
+    assert.equal(outputs.formatOutputs(STACK_OUTPUTS, 'dotenv'),
+                 'Quoted="it\'s \\"quoted\\""\n' +
+                 'WebHeadURL="http://example.com/"\n');
+    done();
+  });
+
+  it('formats outputs as json', function(done) {
+    var res = outputs.formatOutputs(STACK_OUTPUTS, 'json');
+    assert.deepEqual(JSON.parse(res), STACK_OUTPUTS);
+    assert.deepEqual(Object.keys(JSON.parse(res)), ['Quoted', 'WebHeadURL']);
+    done();
+  });
+
+});
@@ -0,0 +1,127 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for deployment planning, using stubbed AWS connections.
+ *
+ */
+
+const assert = require('assert');
+const child_process = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const temp = require('temp');
+const Ec2 = require('awssum-amazon-ec2').Ec2;
+
+const plan = require('../lib/plan');
+const cfn = require('../lib/cfn');
+const git = require('../lib/git');
+
+
+const CONFIG = {
+  Parameters: {
+    AWSBoxenCommit: { Type: 'String', Default: 'bbbbbbb' },
+    InstanceType: { Type: 'String', Default: 'm1.small' },
+    DBPassword: { Type: 'String', Default: 'secret', NoEcho: 'true' }
+  },
+  Outputs: {},
+  Boxen: {
+    WebHead: { Type: 'AWSBox', Properties: { processes: ['server.js'] } }
+  },
+  Regions: [
+    'us-east-1',
+    { Name: 'eu-west-1', Parameters: { InstanceType: 'm1.large' } }
+  ]
+};
+
+
+describe('deployment planner', function() {
+
+  it('plans the deploy and AMI copies for each region', function(done) {
+    var origCheckStack = cfn.checkStack;
+    var origCheckoutCommit = git.checkoutCommit;
+    var origDescribeImages = Ec2.prototype.DescribeImages;
+    cfn.checkStack = function(opts, cb) {
+      if (opts.aws_region !== 'us-east-1') return cb(null, null);
+      cb(null, { status: 'UPDATE_COMPLETE', AWSBoxenCommit: 'aaaaaaa' });
+    };
+    git.checkoutCommit = function(projDir, commit, cb) {
+      cb('planning should not check out the code');
+    };
+    // The AMI has been copied into eu-west-1 before, but isn't built yet.
+    Ec2.prototype.DescribeImages = function(args, cb) {
+      var item = null;
+      if (this.region() === 'eu-west-1') item = { imageId: 'ami-eu' };
+      cb(null, { Body: { DescribeImagesResponse: {
+        imagesSet: { item: item }
+      } } });
+    };
+    function restore(err) {
+      cfn.checkStack = origCheckStack;
+      git.checkoutCommit = origCheckoutCommit;
+      Ec2.prototype.DescribeImages = origDescribeImages;
+      done(err);
+    }
+    temp.mkdir('awsboxen-test', function(err, projDir) {
+      assert.equal(err, null);
+      fs.writeFileSync(path.join(projDir, 'server.js'), '');
+      var commands = [
+        'git init -q',
+        'git add server.js',
+        'git -c user.name=test -c user.email=test@example.com commit -qm v1'
+      ];
+      child_process.exec(commands.join(' && '), { cwd: projDir },
+                         function(err) {
+        assert.equal(err, null);
+        var opts = {
+          aws_id: 'x',
+          aws_secret: 'y',
+          aws_region: 'us-east-1',
+          stack_name: 'web',
+          profile: 'Default',
+          define: { Nonexistent: 'x' }
+        };
+        var cfg = JSON.parse(JSON.stringify(CONFIG));
+        plan.planDeployment(opts, projDir, cfg, function(err, res) {
+          if (err) return restore(err);
+          var boxPlan = res.boxen.WebHead;
+          assert.equal(boxPlan.rebuild, true);
+          assert.deepEqual(boxPlan.copies, {
+            'eu-west-1': { amiId: 'ami-eu', copy: false }
+          });
+          assert.deepEqual(res.regions.map(function(regionPlan) {
+            return [regionPlan.name, regionPlan.action];
+          }), [['us-east-1', 'update'], ['eu-west-1', 'create']]);
+          var east = res.regions[0].parameters;
+          var west = res.regions[1].parameters;
+          assert.deepEqual(east.WebHeadAMI, {
+            value: null,
+            source: 'new Boxen AMI'
+          });
+          assert.deepEqual(west.WebHeadAMI, {
+            value: 'ami-eu',
+            source: 'cached copy of Boxen AMI'
+          });
+          assert.equal(east.InstanceType.value, 'm1.small');
+          assert.deepEqual(west.InstanceType, {
+            value: 'm1.large',
+            source: 'region eu-west-1'
+          });
+          assert.equal(east.AWSBoxenPreviousCommit.value, 'aaaaaaa');
+          assert.equal(west.AWSBoxenPreviousCommit, undefined);
+          assert.deepEqual(res.unknownParameters, ['Nonexistent']);
+          var lines = plan.formatPlan(res);
+          assert.ok(lines.indexOf('      would use cached copy ami-eu in ' +
+                                  'eu-west-1') !== -1);
+          assert.ok(lines.indexOf('  The stack in eu-west-1 would be ' +
+                                  'created.') !== -1);
+          assert.ok(lines.indexOf('    DBPassword = ****  [template ' +
+                                  'default]') !== -1);
+          git.removeCheckout(projDir, restore);
+        });
+      });
+    });
+  });
+
+});
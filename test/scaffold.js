@@ -0,0 +1,65 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for scaffolding of new config files.
+ *
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const jsyaml = require('js-yaml');
+const temp = require('temp');
+
+const scaffold = require('../lib/scaffold');
+const git = require('../lib/git');
+
+
+describe('config scaffolding', function() {
+
+  it('writes a starter config for a new project', function(done) {
+    temp.mkdir('awsboxen-test', function(err, projDir) {
+      assert.equal(err, null);
+      scaffold.initConfig(projDir, function(err, res) {
+        assert.equal(err, null);
+        assert.equal(res.upgradedFrom, null);
+        var cfg = jsyaml.safeLoad(fs.readFileSync(res.path).toString());
+        assert.deepEqual(cfg, { Boxen: { WebHead: {
+          Type: 'AWSBox',
+          Properties: { processes: ['server.js'] }
+        }}});
+        scaffold.initConfig(projDir, function(err) {
+          assert.equal(err, 'awsboxen config already exists: .awsboxen.yml');
+          git.removeCheckout(projDir, done);
+        });
+      });
+    });
+  });
+
+  it('upgrades an existing .awsbox.json into explicit form', function(done) {
+    temp.mkdir('awsboxen-test', function(err, projDir) {
+      assert.equal(err, null);
+      var awsboxCfg = { processes: ['app.js'], env: { NODE_ENV: 'prod' } };
+      fs.writeFileSync(path.join(projDir, '.awsbox.json'),
+                       JSON.stringify(awsboxCfg));
+      scaffold.initConfig(projDir, function(err, res) {
+        assert.equal(err, null);
+        assert.equal(res.upgradedFrom, path.join(projDir, '.awsbox.json'));
+        var cfg = jsyaml.safeLoad(fs.readFileSync(res.path).toString());
+        assert.deepEqual(Object.keys(cfg), ['Boxen', 'Resources', 'Outputs']);
+        assert.deepEqual(cfg.Boxen, { AWSBox: {
+          Type: 'AWSBox',
+          Properties: awsboxCfg
+        }});
+        assert.deepEqual(Object.keys(cfg.Resources).sort(),
+                         ['AWSBoxSecurityGroup', 'AWSBoxServer']);
+        assert.deepEqual(cfg.Resources.AWSBoxServer.Properties.ImageId,
+                         { Ref: 'AWSBoxAMI' });
+        git.removeCheckout(projDir, done);
+      });
+    });
+  });
+
+});
@@ -0,0 +1,93 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Testcases for the summary of deployed stacks.
+ *
+ */
+
+const assert = require('assert');
+
+const status = require('../lib/status');
+
+
+const STACKS = [{
+  name: 'myapp-prod',
+  status: 'UPDATE_COMPLETE',
+  description: 'awsboxen deployment of myapp',
+  updated: '2013-11-12T22:01:09.000Z',
+  outputs: {
+    AWSBoxenProject: 'myapp',
+    AWSBoxenProfile: 'Prod',
+    AWSBoxenCommit: 'e81d07b'
+  }
+}, {
+  name: 'myapp-dev',
+  status: 'CREATE_COMPLETE',
+  description: 'awsboxen deployment of myapp',
+  updated: '2013-11-20T03:14:15.000Z',
+  outputs: {
+    AWSBoxenProfile: 'Default',
+    AWSBoxenCommit: '4f2a9c1'
+  }
+}, {
+  name: 'unrelated',
+  status: 'CREATE_FAILED',
+  description: 'something else entirely',
+  updated: '2013-10-01T00:00:00.000Z',
+  outputs: {}
+}];
+
+
+describe('stack status', function() {
+
+  it('summarises stacks in name order', function(done) {
+    var summary = status.summariseStacks(STACKS);
+    assert.deepEqual(summary.map(function(item) { return item.name; }),
+                     ['myapp-dev', 'myapp-prod', 'unrelated']);
+    assert.equal(summary[0].project, 'myapp');
+    assert.equal(summary[0].profile, 'Default');
+    assert.equal(summary[0].commit, '4f2a9c1');
+    assert.equal(summary[2].project, null);
+    assert.equal(summary[2].commit, null);
+    done();
+  });
+
+  it('filters stacks by project and profile', function(done) {
+    var summary = status.summariseStacks(STACKS, { project: 'myapp' });
+    assert.deepEqual(summary.map(function(item) { return item.name; }),
+                     ['myapp-dev', 'myapp-prod']);
+    summary = status.summariseStacks(STACKS, { profile: 'Prod' });
+    assert.deepEqual(summary.map(function(item) { return item.name; }),
+                     ['myapp-prod']);
+    var layered = STACKS.concat([{
+      name: 'myapp-eu',
+      status: 'CREATE_COMPLETE',
+      description: 'awsboxen deployment of myapp',
+      updated: '2013-11-21T00:00:00.000Z',
+      outputs: { AWSBoxenProfile: 'Prod,EU' }
+    }]);
+    summary = status.summariseStacks(layered, { profile: 'EU' });
+    assert.deepEqual(summary.map(function(item) { return item.name; }),
+                     ['myapp-eu']);
+    summary = status.summariseStacks(layered, { profile: 'Prod,EU' });
+    assert.deepEqual(summary.map(function(item) { return item.name; }),
+                     ['myapp-eu']);
+    done();
+  });
+
+  it('formats the summary as an aligned table', function(done) {
+    var summary = status.summariseStacks(STACKS, { profile: 'Prod' });
+    summary[0].behind = 12;
+    assert.deepEqual(status.formatStatus(summary), [
+      'STACK       STATUS           LAST UPDATED              PROFILE' +
+      '  COMMIT   BEHIND',
+      'myapp-prod  UPDATE_COMPLETE  2013-11-12T22:01:09.000Z  Prod   ' +
+      '  e81d07b  12'
+    ]);
+    assert.deepEqual(status.formatStatus([]), ['No stacks found.']);
+    done();
+  });
+
+});
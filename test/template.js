@@ -80,6 +80,64 @@ describe('template loader', function() {
     });
   });
 
+  it('applies merge directives and null definitions from a profile',
+     function(done) {
+    var opts = { ignore_uncommitted: true, profile: 'MergeDirectives' };
+    template.loadTemplate(PROJDIR, opts, function(err, cfg) {
+      assert.equal(err, null);
+      var props = cfg.Boxen.AWSBox.Properties;
+      assert.deepEqual(props.processes, ['nonexistent.js', 'extra.js']);
+      assert.deepEqual(Object.keys(props.env), ['README']);
+      assert.deepEqual(cfg.Resources, {});
+      done();
+    });
+  });
+
+  it('records stack protection as an output', function(done) {
+    var opts = { ignore_uncommitted: true, profile: 'Protected' };
+    template.loadTemplate(PROJDIR, opts, function(err, cfg) {
+      assert.equal(err, null);
+      assert.deepEqual(Object.keys(cfg).sort(), TOP_LEVEL_KEYS);
+      assert.equal(cfg.Outputs.AWSBoxenProtected.Value, 'true');
+      opts.profile = 'Default';
+      template.loadTemplate(PROJDIR, opts, function(err, cfg) {
+        assert.equal(err, null);
+        assert.equal(cfg.Outputs.AWSBoxenProtected, undefined);
+        done();
+      });
+    });
+  });
+
+  it('lists the target regions for deployment', function(done) {
+    var opts = {
+      ignore_uncommitted: true,
+      profile: 'MultiRegion',
+      aws_region: 'us-west-1'
+    };
+    template.loadTemplate(PROJDIR, opts, function(err, cfg) {
+      assert.equal(err, null);
+      template.getRegions(cfg, opts, function(err, regions) {
+        assert.equal(err, null);
+        assert.deepEqual(regions, [
+          { name: 'us-east-1', parameters: {} },
+          { name: 'eu-west-1', parameters: { InstanceType: 'm1.large' } }
+        ]);
+        cfg.Regions.push({ Name: 'ap-southeast-1',
+                           Parameters: { Nonexistent: 'x' } });
+        template.getRegions(cfg, opts, function(err) {
+          assert.equal(err, 'unknown parameter "Nonexistent" for region ' +
+                            'ap-southeast-1');
+          delete cfg.Regions;
+          template.getRegions(cfg, opts, function(err, regions) {
+            assert.equal(err, null);
+            assert.deepEqual(regions, [{ name: 'us-west-1', parameters: {} }]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
   it('resolves params and function calls in boxen definitions', function(done) {
     var opts = {
       ignore_uncommitted: true,
@@ -90,6 +148,13 @@ describe('template loader', function() {
       assert.equal(err, null);
       assert.equal(cfg.Boxen.TestRegionMap.Properties.BaseAMI, "ami-EAST");
       assert.equal(cfg.Boxen.TestParam.Properties.BaseAMI, "DefaultValue");
+      // The rest of the template may be deployed to several regions, so
+      // it keeps its function calls for CloudFormation to resolve.
+      var props = cfg.Resources.TestQueue.Properties;
+      assert.deepEqual(props.QueueName, {"Ref": "UserParam1"});
+      assert.deepEqual(props.RedrivePolicy.deadLetterTargetArn, {
+        "Fn::FindInMap": ["RegionMap", {"Ref": "AWS::Region"}, "BaseAMI"]
+      });
       opts.aws_region = 'us-west-1';
       opts.define = {'UserParam1': 'UserValue'};
       template.loadTemplate(PROJDIR, opts, function(err, cfg) {
@@ -100,4 +165,123 @@ describe('template loader', function() {
     });
   });
 
+  it('interpolates variables before merging profiles', function(done) {
+    var opts = {
+      ignore_uncommitted: true,
+      profile: 'Interpolated',
+      define: { Greeting: 'howdy' }
+    };
+    delete process.env.AWSBOXEN_TEST_USER;
+    template.loadTemplate(PROJDIR, opts, function(err, cfg) {
+      assert.equal(err, null);
+      assert.equal(cfg.Description, 'Deployed by nobody');
+      var env = cfg.Boxen.AWSBox.Properties.env;
+      assert.equal(env.GREETING, 'howdy');
+      assert.equal(env.COMMIT, cfg.Parameters.AWSBoxenCommit.Default);
+      assert.equal(env.LITERAL, '${env:HOME}');
+      process.env.AWSBOXEN_TEST_USER = 'tester';
+      opts.define = {};
+      template.loadTemplate(PROJDIR, opts, function(err, cfg) {
+        delete process.env.AWSBOXEN_TEST_USER;
+        assert.equal(err, null);
+        assert.equal(cfg.Description, 'Deployed by tester');
+        assert.equal(cfg.Boxen.AWSBox.Properties.env.GREETING, 'hello');
+        done();
+      });
+    });
+  });
+
+  it('merges chains of extended and layered profiles', function(done) {
+    var opts = { ignore_uncommitted: true, profile: 'ProtectedEX' };
+    template.loadTemplate(PROJDIR, opts, function(err, cfg) {
+      assert.equal(err, null);
+      assert.deepEqual(Object.keys(cfg).sort(), TOP_LEVEL_KEYS);
+      var props = cfg.Boxen.AWSBox.Properties;
+      assert.deepEqual(props.processes, ['yetanotherthing.js']);
+      assert.deepEqual(props.hooks, { postcreate: 'nonexistent.sh' });
+      assert.equal(cfg.Outputs.AWSBoxenProtected.Value, 'true');
+      assert.equal(cfg.Parameters.AWSBoxenProfile.Default,
+                   'ExtraAWSBoxSettingsEX,Protected,ProtectedEX');
+      opts.profile = 'ExtraAWSBoxSettingsTL,Protected';
+      template.loadTemplate(PROJDIR, opts, function(err, cfg) {
+        assert.equal(err, null);
+        assert.deepEqual(cfg.Boxen.AWSBox.Properties.processes,
+                         ['somethingelse.js']);
+        assert.equal(cfg.Outputs.AWSBoxenProtected.Value, 'true');
+        assert.equal(cfg.Parameters.AWSBoxenProfile.Default,
+                     'ExtraAWSBoxSettingsTL,Protected');
+        done();
+      });
+    });
+  });
+
+  it('detects unknown and cyclic profile inheritance', function(done) {
+    var profiles = {
+      A: { Extends: 'B' },
+      B: { Extends: ['C'] },
+      C: { Extends: ['A'] },
+      D: { Extends: ['Nonexistent'] },
+      E: {}
+    };
+    template.getProfileChain(profiles, 'A', function(err) {
+      assert.equal(err, 'profile inheritance cycle: A -> B -> C -> A');
+      template.getProfileChain(profiles, 'E,D', function(err) {
+        assert.equal(err, 'unknown profile "Nonexistent" extended by "D"');
+        template.getProfileChain(profiles, 'Default', function(err, chain) {
+          assert.equal(err, null);
+          assert.deepEqual(chain, []);
+          done();
+        });
+      });
+    });
+  });
+
+  it('records the previously-deployed commit', function(done) {
+    function makeTemplate() {
+      return {
+        Parameters: { AWSBoxenCommit: { Type: 'String', Default: 'ccccccc' } },
+        Outputs: {}
+      };
+    }
+    // Deploying a new commit records the one that's being replaced.
+    var cfg = makeTemplate();
+    template.setPreviousCommit(cfg, { AWSBoxenCommit: 'bbbbbbb',
+                                      AWSBoxenPreviousCommit: 'aaaaaaa' });
+    assert.equal(cfg.Parameters.AWSBoxenPreviousCommit.Default, 'bbbbbbb');
+    assert.deepEqual(cfg.Outputs.AWSBoxenPreviousCommit.Value,
+                     { Ref: 'AWSBoxenPreviousCommit' });
+    // Re-deploying the same commit keeps the one from before it.
+    cfg = makeTemplate();
+    template.setPreviousCommit(cfg, { AWSBoxenCommit: 'ccccccc',
+                                      AWSBoxenPreviousCommit: 'aaaaaaa' });
+    assert.equal(cfg.Parameters.AWSBoxenPreviousCommit.Default, 'aaaaaaa');
+    // With nothing deployed before, there's nothing to record.
+    cfg = makeTemplate();
+    template.setPreviousCommit(cfg, { AWSBoxenCommit: 'ccccccc' });
+    assert.deepEqual(cfg, makeTemplate());
+    done();
+  });
+
+  it('names the deploy key without uploading it in a dry run',
+     function(done) {
+    var key = require('awsbox/lib/key');
+    var origGetName = key.getName;
+    var origFingerprint = key.fingerprint;
+    key.getName = function() {
+      throw new Error('a dry run should not look up the key in AWS');
+    };
+    key.fingerprint = function(cb) {
+      cb(null, 'abc123');
+    };
+    var cfg = { Parameters: { AWSBoxDeployKey: { Type: 'String' } } };
+    template.setDeployKey(cfg, { dry_run: true }, function(err) {
+      key.getName = origGetName;
+      key.fingerprint = origFingerprint;
+      assert.equal(err, null);
+      assert.equal(cfg.Parameters.AWSBoxDeployKey.Default,
+                   'awsbox deploy key (abc123)');
+      done();
+    });
+  });
+
 });